@@ -0,0 +1,146 @@
+// adminPage.js - The sizing config admin page. It's a static page: the admin key is typed
+// in and sent as X-Admin-Key to the /api/admin/config endpoints, which do the checking.
+
+const BRAND_COLOR = '#1f4e79';
+
+function renderAdminPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sizing settings</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 900px; margin: 24px auto; padding: 0 16px; }
+  h1 { color: ${BRAND_COLOR}; border-bottom: 4px solid ${BRAND_COLOR}; padding-bottom: 8px; }
+  h2 { color: ${BRAND_COLOR}; font-size: 1.1em; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 24px; }
+  textarea { width: 100%; height: 420px; font-family: monospace; font-size: 12px; }
+  input[type=text], input[type=password] { width: 280px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  #message { margin: 12px 0; white-space: pre-wrap; }
+  .error { color: #b00020; }
+</style>
+</head>
+<body>
+<h1>Sizing settings</h1>
+<p>
+  <label>Admin key <input type="password" id="key"></label>
+  <button id="load">Load</button>
+</p>
+<div id="message"></div>
+
+<h2>Current settings <span id="version"></span></h2>
+<p>Water needs are gallons per day (per head, person or acre), pump power is watts per stage, panels are watts and the casing minimum is inches.</p>
+<textarea id="settings" spellcheck="false"></textarea>
+<p>
+  <label>Note <input type="text" id="note" placeholder="What changed and why"></label>
+  <label>Your name <input type="text" id="author"></label>
+  <button id="save">Save as a new version</button>
+</p>
+
+<h2>History</h2>
+<table>
+  <thead><tr><th>Version</th><th>Saved</th><th>By</th><th>Note</th><th></th></tr></thead>
+  <tbody id="history"></tbody>
+</table>
+
+<script>
+  const $ = id => document.getElementById(id);
+  $('key').value = sessionStorage.getItem('adminKey') || '';
+
+  function show(text, isError) {
+    $('message').textContent = text;
+    $('message').className = isError ? 'error' : '';
+  }
+
+  async function api(path, options = {}) {
+    sessionStorage.setItem('adminKey', $('key').value);
+    const response = await fetch('/api/admin/config' + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Admin-Key': $('key').value }
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error([body.error, ...(body.fields || []).map(field => field.field + ' ' + field.message)].join('\\n'));
+    }
+    return body;
+  }
+
+  async function load() {
+    try {
+      const [{ config, shared }, { versions }] = await Promise.all([api(''), api('/history')]);
+      $('version').textContent = '(version ' + config.version + ')';
+      $('settings').value = JSON.stringify(config.settings, null, 2);
+      $('history').replaceChildren(...versions.map(entry => {
+        const row = document.createElement('tr');
+        for (const text of [entry.version, entry.createdAt || 'shipped', entry.author || '', entry.note || '']) {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.append(cell);
+        }
+        const action = document.createElement('td');
+        if (entry.version !== config.version) {
+          const button = document.createElement('button');
+          button.textContent = 'Roll back to this';
+          button.onclick = () => rollback(entry.version);
+          action.append(button);
+        }
+        row.append(action);
+        return row;
+      }));
+      // Settings held in one server's memory can be looked at but not changed
+      show(shared ? '' : 'This server keeps sizing settings in memory, so they can\'t be changed here. Set SIZING_CONFIG_STORE to sqlite or redis.', !shared);
+    } catch (error) {
+      show(error.message, true);
+    }
+  }
+
+  async function save() {
+    let settings;
+    try {
+      settings = JSON.parse($('settings').value);
+    } catch (error) {
+      return show('Settings are not valid JSON: ' + error.message, true);
+    }
+    try {
+      const { config } = await api('', {
+        method: 'PATCH',
+        body: JSON.stringify({ settings, note: $('note').value, author: $('author').value })
+      });
+      await load();
+      show('Saved as version ' + config.version);
+    } catch (error) {
+      show(error.message, true);
+    }
+  }
+
+  async function rollback(version) {
+    if (!confirm('Roll back to version ' + version + '? This is saved as a new version.')) {
+      return;
+    }
+    try {
+      const { config } = await api('/rollback', {
+        method: 'POST',
+        body: JSON.stringify({ version, author: $('author').value })
+      });
+      await load();
+      show('Rolled back to version ' + version + ', saved as version ' + config.version);
+    } catch (error) {
+      show(error.message, true);
+    }
+  }
+
+  $('load').onclick = load;
+  $('save').onclick = save;
+  if ($('key').value) {
+    load();
+  }
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderAdminPage
+};
@@ -0,0 +1,103 @@
+// billOfMaterials.js - The parts list for a recommended system
+const { pumpFamilies } = require('./pumpData');
+const { PIPE_MATERIALS, DEFAULT_PIPE_MATERIAL } = require('./pipeData');
+const { formatVolume, formatPipeSize } = require('./units');
+
+// Line items are { item, sku, description, quantity, unit }. Quantities stay in internal
+// units (feet of pipe and cable, whole items); descriptions are in the customer's units.
+// The sku is what the price list is keyed by.
+function buildBillOfMaterials(data, { pump, solarArray, storage, wiring, units, pipeSegments }) {
+  const family = pumpFamilies[pump.family];
+  const items = [];
+
+  items.push({
+    item: 'pump',
+    sku: `pump:${pump.model}`,
+    description: `${pump.model} solar pump, ${family.name}`,
+    quantity: 1,
+    unit: 'ea'
+  });
+
+  items.push({
+    item: 'controller',
+    sku: `controller:${pump.family}`,
+    description: `${family.voltage}V pump controller (${family.controller.maxPower} W max input)`,
+    quantity: 1,
+    unit: 'ea'
+  });
+
+  items.push({
+    item: 'panels',
+    sku: `panel:${solarArray.panelWatts}W`,
+    description: `${solarArray.panelWatts}W solar panel (${solarArray.strings} ${solarArray.strings === 1 ? 'string' : 'strings'} of ${solarArray.seriesCount} in series)`,
+    quantity: solarArray.panels,
+    unit: 'ea'
+  });
+
+  items.push({
+    item: 'mounting',
+    sku: 'mount:ground-rack',
+    description: 'Ground mount rack, per panel',
+    quantity: solarArray.panels,
+    unit: 'ea'
+  });
+
+  // Pipe is only listed when we know the run. A site with several runs passes all of its
+  // segments; lengths of the same pipe are added together.
+  const segments = pipeSegments ||
+    (data.pipeLength && data.pipeSize ? [{ length: data.pipeLength, size: data.pipeSize, material: data.pipeMaterial }] : []);
+  const pipeLengths = new Map();
+  for (const segment of segments) {
+    const material = PIPE_MATERIALS[segment.material] ? segment.material : DEFAULT_PIPE_MATERIAL;
+    const sku = `pipe:${material}:${segment.size}`;
+    const line = pipeLengths.get(sku) || { material, size: segment.size, length: 0 };
+    line.length += segment.length;
+    pipeLengths.set(sku, line);
+  }
+  for (const [sku, line] of pipeLengths) {
+    items.push({
+      item: 'pipe',
+      sku,
+      description: `${formatPipeSize(line.size, units)} ${PIPE_MATERIALS[line.material].name} pipe`,
+      quantity: Math.ceil(line.length),
+      unit: 'ft'
+    });
+  }
+
+  // Cable at the gauge sized for voltage drop, when there's a run to size
+  if (wiring) {
+    items.push({
+      item: 'wire',
+      sku: `wire:${wiring.gauge}AWG`,
+      description: `${wiring.gauge} AWG submersible drop cable`,
+      quantity: Math.ceil(wiring.length),
+      unit: 'ft'
+    });
+  }
+
+  // The float switch stops the pump when the tank is full
+  items.push({
+    item: 'floatSwitch',
+    sku: 'float-switch',
+    description: 'Tank float switch',
+    quantity: 1,
+    unit: 'ea'
+  });
+
+  // A tank when there isn't one, or the existing one is too small
+  if (storage.existingCapacity === null || storage.undersized) {
+    items.push({
+      item: 'tank',
+      sku: `tank:${storage.recommendedSize}`,
+      description: `Storage tank, ${formatVolume(storage.recommendedSize, units)}`,
+      quantity: 1,
+      unit: 'ea'
+    });
+  }
+
+  return items;
+}
+
+module.exports = {
+  buildBillOfMaterials
+};
@@ -0,0 +1,305 @@
+// configStore.js - Sizing settings that change without a redeploy: water needs per head,
+// person and acre, pump power per stage, panel size and the smallest casing we fit.
+// Every change is a new version, so there's a full history and a rollback is just a new
+// version with an old version's settings. Versions live in the session store's backend
+// (memory, SQLite or Redis) and are read on every request, so a change made through one
+// instance reaches them all. A version number can only be taken once, so two admins
+// saving at once can't both get one version.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SQLITE_PATH, createRedisConnection } = require('./sessionStore');
+
+const CONFIG_STORE_TYPES = ['memory', 'sqlite', 'redis'];
+const DEFAULT_SETTINGS_PATH = path.join(__dirname, 'data', 'sizingConfig.json');
+const REDIS_CONFIG_KEY = 'sizing-config:versions';
+
+// Keys every table must have; sizing looks these up by name
+const LIVESTOCK_TYPES = ['beef', 'dairy', 'horses', 'goats', 'sheep']; // gallons per head per day, with young
+const HOUSEHOLD_USES = ['person', 'bathroom', 'kitchen', 'laundry', 'garden_small', 'garden_medium', 'garden_large']; // gallons per day
+const IRRIGATION_RATES = ['drip', 'sprinkler', 'flood']; // gallons per acre per day
+const CROP_MULTIPLIERS = ['vegetables', 'fruits', 'lawn'];
+
+// Settings that can be changed, each replaced whole by an update
+const SETTING_KEYS = ['livestockWaterNeeds', 'householdWaterNeeds', 'irrigationWaterNeeds', 'pumpFamilies', 'minCasingSize'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositive = value => Number.isFinite(value) && value > 0;
+const isNonNegative = value => Number.isFinite(value) && value >= 0;
+
+// Check a full set of settings, returning a list of { field, message }. `families` is the
+// catalog's family IDs, so a typo in one doesn't quietly change nothing.
+function validateSizingConfig(settings, { families = null } = {}) {
+  const errors = [];
+
+  if (!isObject(settings)) {
+    return [{ field: 'settings', message: 'must be an object' }];
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      errors.push({ field: key, message: `is not a setting; expected one of ${SETTING_KEYS.join(', ')}` });
+    }
+  }
+
+  const livestock = settings.livestockWaterNeeds;
+  if (!isObject(livestock)) {
+    errors.push({ field: 'livestockWaterNeeds', message: 'must be an object' });
+  } else {
+    for (const type of LIVESTOCK_TYPES) {
+      const need = livestock[type];
+      if (!isObject(need) || !isPositive(need.summer)) {
+        errors.push({ field: `livestockWaterNeeds.${type}.summer`, message: 'must be a positive number' });
+      } else if (!Array.isArray(need.monthly) || need.monthly.length !== 12 || !need.monthly.every(isNonNegative)) {
+        errors.push({ field: `livestockWaterNeeds.${type}.monthly`, message: 'must be 12 numbers, January to December' });
+      }
+    }
+  }
+
+  const tables = [
+    ['householdWaterNeeds', HOUSEHOLD_USES, isNonNegative, 'a number, 0 or more'],
+    ['irrigationWaterNeeds', [...IRRIGATION_RATES, ...CROP_MULTIPLIERS], isPositive, 'a positive number']
+  ];
+  for (const [name, keys, check, expected] of tables) {
+    if (!isObject(settings[name])) {
+      errors.push({ field: name, message: 'must be an object' });
+      continue;
+    }
+    for (const key of keys) {
+      if (!check(settings[name][key])) {
+        errors.push({ field: `${name}.${key}`, message: `must be ${expected}` });
+      }
+    }
+  }
+
+  if (!isObject(settings.pumpFamilies)) {
+    errors.push({ field: 'pumpFamilies', message: 'must be an object' });
+  } else {
+    for (const [familyId, family] of Object.entries(settings.pumpFamilies)) {
+      if (families && !families.includes(familyId)) {
+        errors.push({ field: `pumpFamilies.${familyId}`, message: 'is not a family in the pump catalog' });
+        continue;
+      }
+      for (const key of ['wattsPerStage', 'panelWatts']) {
+        if (isObject(family) && family[key] !== undefined && !isPositive(family[key])) {
+          errors.push({ field: `pumpFamilies.${familyId}.${key}`, message: 'must be a positive number' });
+        }
+      }
+    }
+  }
+
+  if (!isPositive(settings.minCasingSize) || settings.minCasingSize > 48) {
+    errors.push({ field: 'minCasingSize', message: 'must be a number of inches, more than 0 and at most 48' });
+  }
+
+  return errors;
+}
+
+// Read the shipped settings that the first version starts from
+function loadDefaultSettings(settingsPath = DEFAULT_SETTINGS_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read sizing settings ${settingsPath}: ${error.message}`);
+  }
+}
+
+// The shipped settings as version 1, which every store starts from. Throws if they
+// don't validate, so the server refuses to start with settings it can't size with.
+function shippedConfig({ settingsPath = DEFAULT_SETTINGS_PATH, families = null } = {}) {
+  const settings = loadDefaultSettings(settingsPath);
+  const errors = validateSizingConfig(settings, { families });
+  if (errors.length > 0) {
+    throw new Error(`Invalid sizing settings ${settingsPath}:\n  - ${errors.map(error => `${error.field} ${error.message}`).join('\n  - ')}`);
+  }
+  return { version: 1, createdAt: null, author: null, note: 'Shipped settings', settings };
+}
+
+// Each backend keeps versions by number: list() returns them oldest first and add(entry)
+// returns false if that version is already taken.
+
+// Versions held in this process; lost on restart and not seen by other instances
+function createMemoryBackend() {
+  const versions = new Map();
+
+  return {
+    type: 'memory',
+    shared: false,
+
+    async list() {
+      return [...versions.keys()].sort((a, b) => a - b).map(version => JSON.parse(versions.get(version)));
+    },
+
+    async add(entry) {
+      if (versions.has(entry.version)) {
+        return false;
+      }
+      versions.set(entry.version, JSON.stringify(entry));
+      return true;
+    },
+
+    async close() {
+      versions.clear();
+    }
+  };
+}
+
+// Versions in a table next to the sessions; shared by every process on one server
+function createSqliteBackend({ path: dbPath = DEFAULT_SQLITE_PATH } = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(dbPath);
+
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS sizing_config (
+    version INTEGER PRIMARY KEY,
+    value TEXT NOT NULL
+  )`);
+
+  const statements = {
+    list: db.prepare('SELECT value FROM sizing_config ORDER BY version'),
+    add: db.prepare('INSERT OR IGNORE INTO sizing_config (version, value) VALUES (?, ?)')
+  };
+
+  return {
+    type: 'sqlite',
+    shared: true,
+
+    async list() {
+      return statements.list.all().map(row => JSON.parse(row.value));
+    },
+
+    async add(entry) {
+      return statements.add.run(entry.version, JSON.stringify(entry)).changes === 1;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Versions in a Redis hash keyed by version number; shared by every instance
+function createRedisBackend({ url = process.env.REDIS_URL } = {}) {
+  const { connected, quit } = createRedisConnection(url, 'sizing config store');
+
+  return {
+    type: 'redis',
+    shared: true,
+
+    async list() {
+      const versions = await (await connected()).hGetAll(REDIS_CONFIG_KEY);
+      return Object.values(versions).map(value => JSON.parse(value)).sort((a, b) => a.version - b.version);
+    },
+
+    async add(entry) {
+      return await (await connected()).hSetNX(REDIS_CONFIG_KEY, String(entry.version), JSON.stringify(entry)) === 1;
+    },
+
+    async close() {
+      await quit();
+    }
+  };
+}
+
+// Sizing settings on a backend picked from SIZING_CONFIG_STORE, else SESSION_STORE, so a
+// deploy that shares sessions shares its settings too. `backend` is for tests.
+function createConfigStore(type = process.env.SIZING_CONFIG_STORE || process.env.SESSION_STORE || 'memory', { backend, settingsPath = DEFAULT_SETTINGS_PATH, families = null, sqlitePath = process.env.SESSION_SQLITE_PATH || DEFAULT_SQLITE_PATH } = {}) {
+  const shipped = shippedConfig({ settingsPath, families });
+
+  if (!backend) {
+    switch (type) {
+      case 'memory':
+        backend = createMemoryBackend();
+        break;
+      case 'sqlite':
+        backend = createSqliteBackend({ path: sqlitePath });
+        break;
+      case 'redis':
+        backend = createRedisBackend();
+        break;
+      default:
+        throw new Error(`Unknown sizing config store "${type}"; expected one of: ${CONFIG_STORE_TYPES.join(', ')}`);
+    }
+  }
+
+  // Until the first change the shipped settings are version 1, stored with that change
+  async function versions() {
+    const stored = await backend.list();
+    return stored.length > 0 ? stored : [shipped];
+  }
+
+  // The version recommendations are sized with
+  async function current() {
+    const all = await versions();
+    return all[all.length - 1];
+  }
+
+  async function get(version) {
+    return (await versions()).find(entry => entry.version === version) || null;
+  }
+
+  // Every version, newest first
+  async function history() {
+    return (await versions()).reverse();
+  }
+
+  // Add a version with these settings after `latest`; nothing is kept if they don't
+  // validate, or if another change took the version number first.
+  // Returns { config } or { errors }, with `conflict` set for the second case.
+  async function save(latest, settings, { author = null, note = null, rolledBackFrom } = {}) {
+    const problems = validateSizingConfig(settings, { families });
+    if (problems.length > 0) {
+      return { errors: problems };
+    }
+
+    const config = {
+      version: latest.version + 1,
+      createdAt: new Date().toISOString(),
+      author,
+      note,
+      ...(rolledBackFrom ? { rolledBackFrom } : {}),
+      settings
+    };
+    if (latest === shipped) {
+      await backend.add(shipped);
+    }
+    if (!await backend.add(config)) {
+      return { conflict: true, errors: [{ field: 'version', message: `version ${config.version} was just saved by someone else; reload and try again` }] };
+    }
+
+    return { config };
+  }
+
+  // Change some settings; each one given replaces that setting whole
+  async function update(changes, options) {
+    if (!isObject(changes)) {
+      return { errors: [{ field: 'settings', message: 'must be an object' }] };
+    }
+    const latest = await current();
+    return save(latest, { ...latest.settings, ...changes }, options);
+  }
+
+  // Go back to an earlier version's settings, as a new version
+  async function rollback(version, { author = null, note = null } = {}) {
+    const all = await versions();
+    const target = all.find(entry => entry.version === version);
+    if (!target) {
+      return { errors: [{ field: 'version', message: `no version ${version}` }] };
+    }
+    return save(all[all.length - 1], target.settings, { author, note: note || `Rolled back to version ${version}`, rolledBackFrom: version });
+  }
+
+  return { type: backend.type, shared: backend.shared, current, get, history, update, rollback, close: () => backend.close() };
+}
+
+module.exports = {
+  CONFIG_STORE_TYPES,
+  DEFAULT_SETTINGS_PATH,
+  SETTING_KEYS,
+  validateSizingConfig,
+  loadDefaultSettings,
+  shippedConfig,
+  createMemoryBackend,
+  createSqliteBackend,
+  createRedisBackend,
+  createConfigStore
+};
@@ -0,0 +1,664 @@
+// conversation.js - The sizing conversation's state machine: what each answer
+// means for the session data and which stage comes next
+const { parsePipeMaterial } = require('./pipeData');
+const { resolveLocation, parseMonth } = require('./solarData');
+const { USAGE_TYPES, STAGES } = require('./stages');
+const { STAGE_FIELDS, MAX_REASKS, validateStageValues, getFallbackValues } = require('./extraction');
+const { DEFAULT_MAINS_DISTANCE } = require('./wiring');
+const {
+  parseLength,
+  parseVolume,
+  parseDailyFlow,
+  parseFlow,
+  parseDiameter,
+  parseArea,
+  detectUnitSystem
+} = require('./units');
+
+// A number with an optional length unit, for answers that hold several lengths
+const LENGTH_TEXT = '\\d[\\d,]*(?:\\.\\d+)?\\s*(?:m\\b|meters?|metres?|ft\\b|feet|foot|\')?';
+
+// A pipe or casing size with its unit, including fractions: 3/4", 1-1/4 inch, 5 1/2 in
+const DIAMETER_TEXT = '(?:\\d+(?:\\s*-\\s*|\\s+)\\d+\\/[1-9]\\d*|\\d+\\/[1-9]\\d*|\\d[\\d,]*(?:\\.\\d+)?)\\s*-?\\s*(?:mm|millimet(?:er|re)s?|cm|inch(?:es)?|in\\b|")';
+
+// "the second well" and friends, counting the first well as 1
+const WELL_ORDINALS = { second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+// Good enough to catch typos; the CRM does the real checking
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+// Words that start a reply to the contact question but aren't a name: "no, thanks",
+// "sure, sam@example.com", "I am not interested"
+const NOT_NAME_WORDS = new Set(['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'no', 'nope', 'nah', 'not', 'thanks', 'thank',
+  'please', 'just', 'hi', 'hello', 'hey', 'well', 'um', 'uh', 'fine', 'good', 'great', 'happy', 'interested', 'sorry',
+  'maybe', 'here', 'skip', 'pass', 'later', 'email', 'phone', 'call', 'text', 'it', 'that', 'the', 'a', 'an', 'and', 'or']);
+
+// A name from the words matched, up to the first one that isn't part of a name
+function nameFrom(text) {
+  const words = text.trim().split(/\s+/);
+  const end = words.findIndex(word => NOT_NAME_WORDS.has(word.toLowerCase()));
+  const name = words.slice(0, end === -1 ? words.length : end).join(' ');
+  return name || undefined;
+}
+
+// A new session at the start of the conversation
+function createSession() {
+  return {
+    messages: [],
+    data: {
+      usageType: USAGE_TYPES.UNKNOWN,
+      sarcasticLevel: 0 // Start with no sarcasm, will increase based on user interaction
+    },
+    currentStage: STAGES.GREETING,
+    hasSharedLocalFact: false
+  };
+}
+
+// Adjust sarcasm level based on user interaction
+function adjustSarcasticLevel(session, message) {
+  const lowerMessage = message.toLowerCase();
+  
+  // Increase sarcasm if user seems to enjoy banter
+  if (lowerMessage.includes('funny') || 
+      lowerMessage.includes('lol') || 
+      lowerMessage.includes('haha') || 
+      lowerMessage.includes('😂') ||
+      lowerMessage.includes('🤣') ||
+      lowerMessage.includes('lmao')) {
+    session.data.sarcasticLevel = Math.min(10, session.data.sarcasticLevel + 2);
+  }
+  
+  // Increase slightly if user is casual or using humor
+  else if (lowerMessage.includes('hey') || 
+           lowerMessage.includes('yo') || 
+           lowerMessage.includes('sup') || 
+           lowerMessage.includes('thanks') ||
+           lowerMessage.includes('👍') ||
+           lowerMessage.includes('cool')) {
+    session.data.sarcasticLevel = Math.min(10, session.data.sarcasticLevel + 1);
+  }
+  
+  // Decrease if user seems formal or frustrated
+  else if (lowerMessage.includes('please help') || 
+           lowerMessage.includes('serious') || 
+           lowerMessage.includes('frustrated') || 
+           lowerMessage.includes('not helpful') ||
+           lowerMessage.includes('confused')) {
+    session.data.sarcasticLevel = Math.max(0, session.data.sarcasticLevel - 2);
+  }
+}
+
+// Process user input based on the current conversation stage.
+// `extraction` holds values pulled out by LLM function calling; without it the regexes are used.
+function processUserInput(session, message, extraction = null) {
+  const data = session.data;
+  const lowerMessage = message.toLowerCase();
+  
+  // Display units follow the first units the user answers in, or an explicit "metric"/"imperial"
+  const unitSystem = detectUnitSystem(message);
+  if (unitSystem && (!data.unitSystem || /\b(?:metric|imperial)\b/.test(lowerMessage))) {
+    data.unitSystem = unitSystem;
+  }
+  
+  // Extract GPD if mentioned explicitly (for custom flow rates; a bare "2000 gallon" is a tank)
+  const dailyFlow = parseDailyFlow(message, data.unitSystem, { requireUnit: true });
+  if (dailyFlow && !data.customGPD) {
+    data.customGPD = Math.round(dailyFlow);
+    console.log(`Detected custom GPD: ${data.customGPD}`);
+  }
+  
+  // Extract total head/lift if mentioned explicitly (a bare "400 ft" is a pipe run or depth
+  // and "40 head" is a herd, so plain "head" needs a length unit)
+  const headMatch = lowerMessage.match(/(\d+(?:\.\d+)?\s*(?:ft|feet|m|meters?|metres?))\s*(?:of\s+)?(?:total\s*(?:dynamic\s*)?head|head|lift|tdh)\b/i) ||
+    lowerMessage.match(/(\d+(?:\.\d+)?)\s*(?:of\s+)?(?:total\s*(?:dynamic\s*)?head|lift|tdh)\b/i);
+  if (headMatch && !data.customHead) {
+    data.customHead = Math.round(parseLength(headMatch[1], data.unitSystem));
+    console.log(`Detected custom head: ${data.customHead}`);
+  }
+  
+  // Extract a design month if the user asks to size for one ("design for July")
+  if (/\bdesign\b|\bsize (?:it |this )?for\b/.test(lowerMessage)) {
+    const designMonth = parseMonth(lowerMessage);
+    if (designMonth !== null) {
+      data.designMonth = designMonth;
+    }
+  }
+  
+  // Handle explicit usage type mentions
+  if (session.currentStage === STAGES.GREETING || session.currentStage === STAGES.USAGE_TYPE) {
+    if (lowerMessage.includes('livestock') || 
+        lowerMessage.includes('cattle') || 
+        lowerMessage.includes('cow') || 
+        lowerMessage.includes('horse') || 
+        lowerMessage.includes('sheep') || 
+        lowerMessage.includes('goat')) {
+      data.usageType = USAGE_TYPES.LIVESTOCK;
+    }
+    else if (lowerMessage.includes('house') || 
+             lowerMessage.includes('home') || 
+             lowerMessage.includes('domestic') || 
+             lowerMessage.includes('drinking') || 
+             lowerMessage.includes('shower') || 
+             lowerMessage.includes('toilet')) {
+      data.usageType = USAGE_TYPES.HOUSEHOLD;
+    }
+    else if (lowerMessage.includes('irrigation') || 
+             lowerMessage.includes('crop') || 
+             lowerMessage.includes('garden') || 
+             lowerMessage.includes('farm') || 
+             lowerMessage.includes('field') || 
+             lowerMessage.includes('acre')) {
+      data.usageType = USAGE_TYPES.IRRIGATION;
+    }
+  }
+  
+  // Skip to custom flow/head if user has provided that information (once; after that the
+  // well questions carry on as normal)
+  if (data.customGPD && data.customHead && 
+      data.usageType !== USAGE_TYPES.OTHER &&
+      session.currentStage !== STAGES.SUMMARY && 
+      session.currentStage !== STAGES.CONTACT_INFO && 
+      session.currentStage !== STAGES.RECOMMENDATION) {
+    data.usageType = USAGE_TYPES.OTHER;
+    session.currentStage = STAGES.WELL_DEPTH;
+    return;
+  }
+  
+  // Stages that collect values take the LLM's extraction when there is one, else the regexes
+  let stageValues = {};
+  if (STAGE_FIELDS[session.currentStage]) {
+    const stage = session.currentStage;
+    const values = extraction ? extraction.values : extractWithRegex(stage, message, data.unitSystem);
+    const { accepted, problems } = validateStageValues(stage, values, extraction ? extraction.confidence : 'high');
+    
+    Object.assign(data, accepted);
+    stageValues = accepted;
+    
+    if (problems.length > 0) {
+      const attempts = session.reask && session.reask.stage === stage ? session.reask.attempts : 0;
+      
+      // Stay on this stage so the assistant asks again
+      if (attempts < MAX_REASKS) {
+        session.reask = { stage, attempts: attempts + 1, problems };
+        return;
+      }
+      
+      // Already re-asked once - move on; figures still missing are asked for at sizing
+      for (const [key, value] of Object.entries(getFallbackValues(stage))) {
+        if (accepted[key] === undefined) {
+          data[key] = value;
+        }
+      }
+    }
+    
+    session.reask = null;
+  }
+  
+  // Standard stage progression
+  switch(session.currentStage) {
+    case STAGES.GREETING:
+      session.currentStage = STAGES.USAGE_TYPE;
+      break;
+      
+    case STAGES.USAGE_TYPE:
+      if (data.usageType !== USAGE_TYPES.UNKNOWN) {
+        session.currentStage = STAGES.LOCATION;
+      }
+      break;
+      
+    case STAGES.LOCATION:
+      // Match the answer against the bundled insolation table
+      const region = resolveLocation(data.location);
+      data.solarRegion = region ? region.code : null;
+      
+      // Determine next stage based on usage type
+      switch(data.usageType) {
+        case USAGE_TYPES.LIVESTOCK:
+          session.currentStage = STAGES.LIVESTOCK_TYPE;
+          break;
+        case USAGE_TYPES.HOUSEHOLD:
+          session.currentStage = STAGES.PEOPLE_COUNT;
+          break;
+        case USAGE_TYPES.IRRIGATION:
+          session.currentStage = STAGES.IRRIGATION_AREA;
+          break;
+        default:
+          session.currentStage = STAGES.CUSTOM_FLOW;
+          break;
+      }
+      break;
+      
+    // Livestock-specific stages
+    case STAGES.LIVESTOCK_TYPE:
+      session.currentStage = STAGES.ANIMAL_COUNT;
+      break;
+      
+    case STAGES.ANIMAL_COUNT:
+      session.currentStage = STAGES.WELL_DEPTH;
+      break;
+      
+    // Household-specific stages
+    case STAGES.PEOPLE_COUNT:
+      session.currentStage = STAGES.FIXTURES_COUNT;
+      break;
+      
+    case STAGES.FIXTURES_COUNT:
+      if (stageValues.bathroomCount === undefined) {
+        data.bathroomCount = 0;
+      }
+      session.currentStage = STAGES.WELL_DEPTH;
+      break;
+      
+    // Irrigation-specific stages
+    case STAGES.IRRIGATION_AREA:
+      session.currentStage = STAGES.IRRIGATION_TYPE;
+      break;
+      
+    case STAGES.IRRIGATION_TYPE:
+      session.currentStage = STAGES.CROP_TYPE;
+      break;
+      
+    case STAGES.CROP_TYPE:
+      session.currentStage = STAGES.WELL_DEPTH;
+      break;
+      
+    // Custom flow/head stages
+    case STAGES.CUSTOM_FLOW:
+      session.currentStage = STAGES.CUSTOM_HEAD;
+      break;
+      
+    case STAGES.CUSTOM_HEAD:
+      session.currentStage = STAGES.WELL_DEPTH;
+      break;
+      
+    // Common stages for all usage types
+    case STAGES.WELL_DEPTH:
+      session.currentStage = STAGES.STATIC_WATER;
+      break;
+      
+    case STAGES.STATIC_WATER:
+      session.currentStage = STAGES.DRAWDOWN;
+      break;
+      
+    case STAGES.DRAWDOWN:
+      if (stageValues.drawdownLevel !== undefined) {
+        data.drawdownEstimated = false;
+      } else if (Number.isFinite(data.staticWaterLevel)) {
+        // Estimate drawdown as 10% of static water level if unknown
+        data.drawdownLevel = data.staticWaterLevel * 0.1;
+        data.drawdownEstimated = true;
+      } else {
+        // Nothing to estimate from when the static level is unknown too
+        data.drawdownEstimated = false;
+      }
+      session.currentStage = STAGES.WELL_YIELD;
+      break;
+      
+    case STAGES.WELL_YIELD:
+      session.currentStage = STAGES.PUMP_SETTING;
+      break;
+      
+    case STAGES.PUMP_SETTING:
+      // Unknown is fine; the recommendation suggests a setting depth
+      session.currentStage = STAGES.ADDITIONAL_WELLS;
+      break;
+      
+    case STAGES.ADDITIONAL_WELLS:
+      // Each answer adds one more well and asks again; a depth without a water level
+      // waits for it, and an answer with neither means there are no more
+      if (stageValues.otherWellStaticLevel !== undefined) {
+        data.additionalWells = [...(data.additionalWells || []), {
+          wellDepth: data.otherWellDepth,
+          staticWaterLevel: data.otherWellStaticLevel,
+          drawdownLevel: data.otherWellStaticLevel * 0.1,
+          drawdownEstimated: true
+        }];
+        delete data.otherWellDepth;
+      } else if (stageValues.otherWellDepth === undefined) {
+        delete data.otherWellDepth;
+        session.currentStage = STAGES.ELEVATION;
+      }
+      delete data.otherWellStaticLevel;
+      break;
+      
+    case STAGES.ELEVATION:
+      if (stageValues.elevationGain === undefined) {
+        data.elevationGain = 0;
+      }
+      
+      // Check if pumping directly to stock tank; other wells still need their tanks
+      data.directToStockTank = !!stageValues.directToStockTank;
+      if (data.directToStockTank) {
+        session.currentStage = (data.additionalWells || []).length > 0 ? STAGES.ADDITIONAL_DESTINATIONS : STAGES.WATER_QUALITY;
+      } else {
+        session.currentStage = STAGES.PIPE_INFO;
+      }
+      break;
+      
+    case STAGES.PIPE_INFO:
+      session.currentStage = STAGES.ADDITIONAL_DESTINATIONS;
+      break;
+      
+    case STAGES.ADDITIONAL_DESTINATIONS:
+      // Each answer adds one more tank and asks again; no rise or run means that's all
+      if (stageValues.otherDestinationPipeLength !== undefined || stageValues.otherDestinationElevation !== undefined) {
+        const wellCount = 1 + (data.additionalWells || []).length;
+        data.additionalDestinations = [...(data.additionalDestinations || []), {
+          well: Math.min(stageValues.otherDestinationWell || 1, wellCount) - 1,
+          elevationGain: stageValues.otherDestinationElevation || 0,
+          // Without a size or material it's the same pipe as the first run, and without a
+          // length it's as far as the first tank; with no first run it's at the well too
+          pipeSegments: stageValues.otherDestinationPipeLength !== undefined || data.pipeLength ? [{
+            length: stageValues.otherDestinationPipeLength !== undefined ? stageValues.otherDestinationPipeLength : data.pipeLength,
+            size: stageValues.otherDestinationPipeSize || data.pipeSize || 1,
+            material: stageValues.otherDestinationPipeMaterial || data.pipeMaterial
+          }] : []
+        }];
+      } else {
+        session.currentStage = data.directToStockTank ? STAGES.WATER_QUALITY : STAGES.STORAGE_TANK;
+      }
+      for (const field of STAGE_FIELDS[STAGES.ADDITIONAL_DESTINATIONS]) {
+        delete data[field.key];
+      }
+      break;
+      
+    case STAGES.STORAGE_TANK:
+      if (stageValues.tankCapacity !== undefined) {
+        data.hasStorageTank = true;
+      }
+      session.currentStage = STAGES.WATER_QUALITY;
+      break;
+      
+    case STAGES.WATER_QUALITY:
+      data.sandyWater = !!stageValues.sandyWater;
+      session.currentStage = STAGES.WELL_CASING;
+      break;
+      
+    case STAGES.WELL_CASING:
+      session.currentStage = STAGES.MAINS_DISTANCE;
+      break;
+      
+    case STAGES.MAINS_DISTANCE:
+      if (stageValues.mainsDistance !== undefined) {
+        data.mainsDistanceEstimated = false;
+      } else {
+        // Assume the controller sits a short way from the wellhead if unknown
+        data.mainsDistance = DEFAULT_MAINS_DISTANCE;
+        data.mainsDistanceEstimated = true;
+      }
+      session.currentStage = STAGES.SUMMARY;
+      break;
+      
+    case STAGES.SUMMARY:
+      // If user confirms, offer to send the quote before the recommendation
+      if (lowerMessage.includes('yes') || 
+          lowerMessage.includes('correct') ||
+          lowerMessage.includes('right') ||
+          lowerMessage.includes('look') && lowerMessage.includes('good')) {
+        session.currentStage = STAGES.CONTACT_INFO;
+      } else {
+        // Reset to specific stage if user mentions it
+        if (lowerMessage.includes('location')) {
+          session.currentStage = STAGES.LOCATION;
+        } else if (lowerMessage.includes('livestock') || lowerMessage.includes('animal')) {
+          if (data.usageType === USAGE_TYPES.LIVESTOCK) {
+            session.currentStage = STAGES.LIVESTOCK_TYPE;
+          }
+        } else if (lowerMessage.includes('people') || lowerMessage.includes('house')) {
+          if (data.usageType === USAGE_TYPES.HOUSEHOLD) {
+            session.currentStage = STAGES.PEOPLE_COUNT;
+          }
+        } else if (lowerMessage.includes('irrigation') || lowerMessage.includes('crop')) {
+          if (data.usageType === USAGE_TYPES.IRRIGATION) {
+            session.currentStage = STAGES.IRRIGATION_AREA;
+          }
+        } else if (/\b(?:another|other|second|more) wells?\b/.test(lowerMessage)) {
+          // The other wells are asked for again from scratch
+          data.additionalWells = [];
+          session.currentStage = STAGES.ADDITIONAL_WELLS;
+        } else if (/\b(?:another|other|second|more) (?:tanks?|troughs?)\b|\bdestinations?\b/.test(lowerMessage)) {
+          data.additionalDestinations = [];
+          session.currentStage = STAGES.ADDITIONAL_DESTINATIONS;
+        } else if (/\b(?:array|panels?|controller|wire|wiring|cable)\b/.test(lowerMessage)) {
+          session.currentStage = STAGES.MAINS_DISTANCE;
+        } else if (/\b(?:yield|recovery|recharge)\b/.test(lowerMessage)) {
+          session.currentStage = STAGES.WELL_YIELD;
+        } else if (/\b(?:setting|set at|pump depth|hangs?|hung)\b/.test(lowerMessage)) {
+          session.currentStage = STAGES.PUMP_SETTING;
+        } else if (lowerMessage.includes('well')) {
+          session.currentStage = STAGES.WELL_DEPTH;
+        } else if (lowerMessage.includes('static')) {
+          session.currentStage = STAGES.STATIC_WATER;
+        } else if (lowerMessage.includes('drawdown')) {
+          session.currentStage = STAGES.DRAWDOWN;
+        } else if (lowerMessage.includes('elevation')) {
+          session.currentStage = STAGES.ELEVATION;
+        } else if (lowerMessage.includes('pipe')) {
+          session.currentStage = STAGES.PIPE_INFO;
+        } else if (lowerMessage.includes('tank')) {
+          session.currentStage = STAGES.STORAGE_TANK;
+        } else if (lowerMessage.includes('quality') || lowerMessage.includes('sand')) {
+          session.currentStage = STAGES.WATER_QUALITY;
+        } else if (lowerMessage.includes('casing')) {
+          session.currentStage = STAGES.WELL_CASING;
+        }
+      }
+      break;
+      
+    case STAGES.CONTACT_INFO:
+      // Drop anything that can't be used to reach the customer
+      if (data.contactEmail && !EMAIL_PATTERN.test(data.contactEmail)) {
+        delete data.contactEmail;
+      }
+      if (data.contactPhone && data.contactPhone.replace(/\D/g, '').length < 10) {
+        delete data.contactPhone;
+      }
+      session.currentStage = STAGES.RECOMMENDATION;
+      break;
+      
+    default:
+      // For greeting or other stages, move forward
+      if (session.currentStage === STAGES.GREETING) {
+        session.currentStage = STAGES.USAGE_TYPE;
+      }
+      break;
+  }
+}
+
+// Offline fallback: pull a stage's values out of the message with regexes.
+// Bare numbers are read in the session's unit system and stored as feet, gallons, inches and acres.
+function extractWithRegex(stage, message, unitSystem) {
+  const lowerMessage = message.toLowerCase();
+  const numberMatch = message.match(/\d[\d,]*(?:\.\d+)?/);
+  const firstNumber = numberMatch ? parseFloat(numberMatch[0].replace(/,/g, '')) : undefined;
+  
+  switch(stage) {
+    case STAGES.LOCATION:
+      return { location: message };
+      
+    case STAGES.LIVESTOCK_TYPE:
+      if (lowerMessage.includes('dairy')) {
+        return { livestockType: 'dairy' };
+      } else if (lowerMessage.includes('horse')) {
+        return { livestockType: 'horses' };
+      } else if (lowerMessage.includes('goat')) {
+        return { livestockType: 'goats' };
+      } else if (lowerMessage.includes('sheep')) {
+        return { livestockType: 'sheep' };
+      } else if (/cattle|cow|beef|calf|calves|steer|heifer|bull|angus|hereford/.test(lowerMessage)) {
+        return { livestockType: 'beef' };
+      }
+      return {};
+      
+    case STAGES.ANIMAL_COUNT:
+      return { animalCount: firstNumber };
+      
+    case STAGES.PEOPLE_COUNT:
+      return { peopleCount: firstNumber };
+      
+    case STAGES.FIXTURES_COUNT:
+      const bathroomMatch = message.match(/(\d+)\s*bath/i);
+      return {
+        bathroomCount: bathroomMatch ? parseInt(bathroomMatch[1]) : undefined,
+        fixturesInfo: message
+      };
+      
+    case STAGES.IRRIGATION_AREA:
+      return { irrigationArea: parseArea(message, unitSystem) };
+      
+    case STAGES.IRRIGATION_TYPE:
+      if (lowerMessage.includes('drip')) {
+        return { irrigationMethod: 'drip' };
+      } else if (lowerMessage.includes('sprinkl')) {
+        return { irrigationMethod: 'sprinkler' };
+      } else if (lowerMessage.includes('flood')) {
+        return { irrigationMethod: 'flood' };
+      }
+      return {};
+      
+    case STAGES.CROP_TYPE:
+      let cropCategory;
+      if (lowerMessage.includes('veget')) {
+        cropCategory = 'vegetables';
+      } else if (lowerMessage.includes('fruit')) {
+        cropCategory = 'fruits';
+      } else if (lowerMessage.includes('lawn') || lowerMessage.includes('grass')) {
+        cropCategory = 'lawn';
+      }
+      return { cropType: message, cropCategory };
+      
+    case STAGES.CUSTOM_FLOW:
+      return { customGPD: parseDailyFlow(message, unitSystem) };
+      
+    case STAGES.CUSTOM_HEAD:
+      return { customHead: parseLength(message, unitSystem) };
+      
+    case STAGES.WELL_DEPTH:
+      return { wellDepth: parseLength(message, unitSystem) };
+      
+    case STAGES.STATIC_WATER:
+      return { staticWaterLevel: parseLength(message, unitSystem) };
+      
+    case STAGES.DRAWDOWN:
+      return { drawdownLevel: parseLength(message, unitSystem) };
+      
+    case STAGES.WELL_YIELD:
+      return { wellYield: parseFlow(message, unitSystem) };
+      
+    case STAGES.PUMP_SETTING:
+      return { pumpSettingDepth: parseLength(message, unitSystem) };
+      
+    case STAGES.ADDITIONAL_WELLS:
+      // "a second well, 180 ft deep with water at 60 ft"
+      const otherDepthText = message.match(new RegExp(`(${LENGTH_TEXT})\\s*deep`, 'i'));
+      const otherStaticText = message.match(new RegExp(`(?:water|static|level)\\D{0,20}?(${LENGTH_TEXT})`, 'i'));
+      return {
+        otherWellDepth: otherDepthText ? parseLength(otherDepthText[1], unitSystem) : undefined,
+        otherWellStaticLevel: otherStaticText ? parseLength(otherStaticText[1], unitSystem) : undefined
+      };
+      
+    case STAGES.ELEVATION:
+      return {
+        elevationGain: parseLength(message, unitSystem),
+        directToStockTank: lowerMessage.includes('stock tank') || lowerMessage.includes('directly')
+      };
+      
+    case STAGES.PIPE_INFO:
+      // Both need units here, since the answer holds two numbers
+      const pipeSizeText = message.match(new RegExp(DIAMETER_TEXT, 'i'));
+      return {
+        pipeLength: parseLength(message, unitSystem, { requireUnit: true }),
+        pipeSize: pipeSizeText ? parseDiameter(pipeSizeText[0], unitSystem, { pipe: true }) : undefined,
+        pipeMaterial: parsePipeMaterial(message) || undefined
+      };
+      
+    case STAGES.ADDITIONAL_DESTINATIONS:
+      // "another trough 40 ft up, 1200 ft of 1 inch poly from the second well"
+      const runText = message.match(new RegExp(`(${LENGTH_TEXT})\\s*(?:of\\b|pipe|run|away)`, 'i'));
+      const riseText = message.match(new RegExp(`(${LENGTH_TEXT})\\s*(?:up|higher|above|uphill|rise)\\b`, 'i')) ||
+        message.match(new RegExp(`\\b(?:up|rises?|climbs?|uphill)\\s*(?:about |maybe |around )?(${LENGTH_TEXT})`, 'i'));
+      const dropText = message.match(new RegExp(`(${LENGTH_TEXT})\\s*(?:down|lower|below|downhill)\\b`, 'i')) ||
+        message.match(new RegExp(`\\b(?:down|downhill|drops?|falls?)\\s*(?:about |maybe |around )?(${LENGTH_TEXT})`, 'i'));
+      const otherPipeSizeText = message.match(new RegExp(DIAMETER_TEXT, 'i'));
+      const fromWell = lowerMessage.match(/\bwell\s*(?:#|no\.?\s*)?(\d+)\b|\b(second|2nd|third|3rd|fourth|4th)\s+well\b/);
+      return {
+        otherDestinationElevation: riseText ? parseLength(riseText[1], unitSystem) :
+          dropText ? -parseLength(dropText[1], unitSystem) : undefined,
+        otherDestinationPipeLength: runText ? parseLength(runText[1], unitSystem) : undefined,
+        otherDestinationPipeSize: otherPipeSizeText ? parseDiameter(otherPipeSizeText[0], unitSystem, { pipe: true }) : undefined,
+        otherDestinationPipeMaterial: parsePipeMaterial(message) || undefined,
+        otherDestinationWell: fromWell ? (fromWell[1] ? parseInt(fromWell[1]) : WELL_ORDINALS[fromWell[2]]) : undefined
+      };
+      
+    case STAGES.STORAGE_TANK:
+      // Days of autonomy if the user asks for a specific number
+      const autonomyMatch = lowerMessage.match(/(\d+)\s*(?:cloudy\s*)?days?/);
+      return {
+        hasStorageTank: !lowerMessage.includes('no'),
+        // Existing tank capacity, e.g. "2,500 gallon tank" or "10,000 L"
+        tankCapacity: parseVolume(message, unitSystem, { requireUnit: true }),
+        autonomyDays: autonomyMatch ? parseInt(autonomyMatch[1]) : undefined
+      };
+      
+    case STAGES.WATER_QUALITY:
+      // "No sand" or "free of sediment" is clean water
+      return {
+        sandyWater: /\b(?:sand|sediment)/.test(lowerMessage) &&
+          !/\b(?:no|not|never|without|free of|zero)\b[^.,;]*\b(?:sand|sediment)|\b(?:sand|sediment)[\w\s-]*free\b/.test(lowerMessage)
+      };
+      
+    case STAGES.WELL_CASING:
+      const casingText = message.match(new RegExp(DIAMETER_TEXT, 'i'));
+      return { wellCasingSize: casingText ? parseDiameter(casingText[0], unitSystem) : undefined };
+      
+    case STAGES.MAINS_DISTANCE:
+      // "Right next to the well" is no distance at all
+      if (/\b(?:right )?(?:next to|beside|at|by) the (?:well|wellhead)\b/.test(lowerMessage) && !numberMatch) {
+        return { mainsDistance: 0 };
+      }
+      return { mainsDistance: parseLength(message, unitSystem) };
+      
+    case STAGES.CONTACT_INFO:
+      const emailMatch = message.match(EMAIL_PATTERN);
+      const phoneMatch = message.match(/\+?\(?\d[\d\s().-]{8,}\d/);
+      // "I'm Jane Doe, ..." or a leading name before the email or phone, unless it's
+      // "no, thanks" or the like
+      const nameMatch = message.match(/\b(?:my name is|name's|i am|i'm|this is)\s+([a-z][a-z'-]*(?:\s+[a-z][a-z'-]*)?)/i) ||
+        message.match(/^\s*([a-z][a-z'-]*(?:\s+[a-z][a-z'-]*){0,2})\s*[,;-]/i);
+      return {
+        contactName: nameMatch ? nameFrom(nameMatch[1]) : undefined,
+        contactEmail: emailMatch ? emailMatch[0] : undefined,
+        contactPhone: phoneMatch ? phoneMatch[0].trim() : undefined
+      };
+      
+    default:
+      return {};
+  }
+}
+
+// Check if message is related to the conversation stages
+function isConversationStageQuestion(message) {
+  const lowerMessage = message.toLowerCase();
+  return lowerMessage.includes('location') || 
+         lowerMessage.includes('livestock') || 
+         lowerMessage.includes('animal') || 
+         lowerMessage.includes('well') || 
+         lowerMessage.includes('water') || 
+         lowerMessage.includes('pump') ||
+         lowerMessage.includes('house') ||
+         lowerMessage.includes('irrigation') ||
+         lowerMessage.includes('crop') ||
+         lowerMessage.includes('people') ||
+         lowerMessage.includes('static') ||
+         lowerMessage.includes('drawdown') ||
+         lowerMessage.includes('head') ||
+         lowerMessage.includes('elevation');
+}
+
+module.exports = {
+  createSession,
+  adjustSarcasticLevel,
+  processUserInput,
+  extractWithRegex,
+  isConversationStageQuestion
+};
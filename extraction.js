@@ -0,0 +1,238 @@
+// extraction.js - Per-stage answer fields, LLM function-calling extraction and validation
+const { STAGES } = require('./stages');
+const { PIPE_MATERIALS } = require('./pipeData');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Fields collected at each stage. Required fields are re-asked when missing,
+// out of range or extracted with low confidence; fallback is used if the user
+// still can't answer after a re-ask. Figures have no fallback: sizing for a guessed
+// count or depth is worse than none, so they're left missing and sizing asks for them.
+const STAGE_FIELDS = {
+  [STAGES.USAGE_TYPE]: [
+    { key: 'usageType', type: 'string', enum: ['livestock', 'household', 'irrigation', 'other'], description: 'What the water is for' }
+  ],
+  [STAGES.LOCATION]: [
+    { key: 'location', type: 'string', required: true, description: 'City and state (or region and country), e.g. "Amarillo, TX"' }
+  ],
+  [STAGES.LIVESTOCK_TYPE]: [
+    { key: 'livestockType', type: 'string', enum: ['beef', 'dairy', 'horses', 'goats', 'sheep'], required: true, fallback: 'beef', description: 'Kind of livestock' }
+  ],
+  [STAGES.ANIMAL_COUNT]: [
+    { key: 'animalCount', type: 'integer', min: 1, max: 100000, required: true, description: 'Number of head' }
+  ],
+  [STAGES.PEOPLE_COUNT]: [
+    { key: 'peopleCount', type: 'integer', min: 1, max: 100, required: true, description: 'Number of people in the household' }
+  ],
+  [STAGES.FIXTURES_COUNT]: [
+    { key: 'bathroomCount', type: 'integer', min: 0, max: 50, description: 'Number of bathrooms' },
+    { key: 'fixturesInfo', type: 'string', description: 'Other water uses mentioned: kitchen, laundry, small/medium/large garden' }
+  ],
+  [STAGES.IRRIGATION_AREA]: [
+    { key: 'irrigationArea', type: 'number', min: 0.01, max: 1000, required: true, description: 'Irrigated area in acres' }
+  ],
+  [STAGES.IRRIGATION_TYPE]: [
+    { key: 'irrigationMethod', type: 'string', enum: ['drip', 'sprinkler', 'flood'], description: 'Irrigation method' }
+  ],
+  [STAGES.CROP_TYPE]: [
+    { key: 'cropType', type: 'string', description: 'Crop as the customer described it' },
+    { key: 'cropCategory', type: 'string', enum: ['vegetables', 'fruits', 'lawn'], description: 'Crop category, if one fits' }
+  ],
+  [STAGES.CUSTOM_FLOW]: [
+    { key: 'customGPD', type: 'number', min: 1, max: 1000000, required: true, description: 'Water needed in gallons per day' }
+  ],
+  [STAGES.CUSTOM_HEAD]: [
+    { key: 'customHead', type: 'number', min: 1, max: 2000, description: 'Total dynamic head in feet, if known' }
+  ],
+  [STAGES.WELL_DEPTH]: [
+    { key: 'wellDepth', type: 'number', min: 1, max: 5000, required: true, description: 'Total well depth in feet' }
+  ],
+  [STAGES.STATIC_WATER]: [
+    { key: 'staticWaterLevel', type: 'number', min: 0, max: 5000, required: true, description: 'Depth from the surface to the water when not pumping, in feet' }
+  ],
+  [STAGES.DRAWDOWN]: [
+    { key: 'drawdownLevel', type: 'number', min: 0, max: 5000, description: 'Drawdown in feet; leave out if the customer does not know' }
+  ],
+  [STAGES.WELL_YIELD]: [
+    { key: 'wellYield', type: 'number', min: 0.1, max: 10000, description: 'Well yield (recovery rate) in gallons per minute; leave out if the customer does not know' }
+  ],
+  [STAGES.PUMP_SETTING]: [
+    { key: 'pumpSettingDepth', type: 'number', min: 1, max: 5000, description: 'Depth the pump is or will be set at, in feet from the surface; leave out if the customer does not know' }
+  ],
+  [STAGES.ADDITIONAL_WELLS]: [
+    { key: 'otherWellDepth', type: 'number', min: 1, max: 5000, description: 'Depth of the other well in feet, if the customer has another well' },
+    { key: 'otherWellStaticLevel', type: 'number', min: 0, max: 5000, description: 'Static water level of the other well in feet' }
+  ],
+  [STAGES.ELEVATION]: [
+    { key: 'elevationGain', type: 'number', min: -1000, max: 5000, description: 'Elevation rise from the well head to the delivery point in feet (0 if flat)' },
+    { key: 'directToStockTank', type: 'boolean', description: 'True if pumping directly into a stock tank at the well' }
+  ],
+  [STAGES.PIPE_INFO]: [
+    { key: 'pipeLength', type: 'number', min: 1, max: 100000, description: 'Pipe run length in feet' },
+    { key: 'pipeSize', type: 'number', min: 0.25, max: 12, description: 'Nominal pipe size in inches' },
+    { key: 'pipeMaterial', type: 'string', enum: Object.keys(PIPE_MATERIALS), description: 'Pipe material' }
+  ],
+  [STAGES.ADDITIONAL_DESTINATIONS]: [
+    { key: 'otherDestinationElevation', type: 'number', min: -1000, max: 5000, description: 'Rise in feet from the well head to the other tank or trough (negative if downhill)' },
+    { key: 'otherDestinationPipeLength', type: 'number', min: 1, max: 100000, description: 'Pipe run to the other tank in feet' },
+    { key: 'otherDestinationPipeSize', type: 'number', min: 0.25, max: 12, description: 'Nominal pipe size to the other tank in inches' },
+    { key: 'otherDestinationPipeMaterial', type: 'string', enum: Object.keys(PIPE_MATERIALS), description: 'Pipe material to the other tank' },
+    { key: 'otherDestinationWell', type: 'integer', min: 1, max: 20, description: 'Which well feeds it, counting the first well as 1' }
+  ],
+  [STAGES.STORAGE_TANK]: [
+    { key: 'hasStorageTank', type: 'boolean', description: 'Whether the customer already has a storage tank' },
+    { key: 'tankCapacity', type: 'number', min: 1, max: 1000000, description: 'Existing tank capacity in gallons' },
+    { key: 'autonomyDays', type: 'integer', min: 1, max: 30, description: 'Cloudy days of storage the customer wants' }
+  ],
+  [STAGES.WATER_QUALITY]: [
+    { key: 'sandyWater', type: 'boolean', description: 'True if the water has sand or sediment' }
+  ],
+  [STAGES.WELL_CASING]: [
+    { key: 'wellCasingSize', type: 'number', min: 1, max: 48, description: 'Well casing inside diameter in inches' }
+  ],
+  [STAGES.MAINS_DISTANCE]: [
+    { key: 'mainsDistance', type: 'number', min: 0, max: 5000, description: 'Distance from the solar array and pump controller to the wellhead in feet (0 if right at the well); leave out if the customer does not know' }
+  ],
+  [STAGES.CONTACT_INFO]: [
+    { key: 'contactName', type: 'string', description: "Customer's name, if given" },
+    { key: 'contactEmail', type: 'string', description: 'Email address, if given' },
+    { key: 'contactPhone', type: 'string', description: 'Phone number, if given' }
+  ]
+};
+
+// How many times a stage is re-asked before moving on without an answer
+const MAX_REASKS = 1;
+
+// Build the function-calling tool definition for a stage's fields
+function buildExtractionTool(stage) {
+  const properties = {};
+
+  for (const field of STAGE_FIELDS[stage]) {
+    properties[field.key] = {
+      type: field.type,
+      description: field.description,
+      ...(field.enum ? { enum: field.enum } : {})
+    };
+  }
+
+  properties.confidence = {
+    type: 'string',
+    enum: CONFIDENCE_LEVELS,
+    description: 'How sure you are of the extracted values: high if stated plainly, medium if approximate or a range, low if guessed'
+  };
+
+  return {
+    type: 'function',
+    function: {
+      name: 'record_answer',
+      description: 'Record the values the customer gave in answer to the current sizing question',
+      parameters: {
+        type: 'object',
+        properties,
+        required: ['confidence']
+      }
+    }
+  };
+}
+
+// Ask the model to extract this stage's fields from the user's message.
+// Returns null when the stage has no fields or the call fails, so callers
+// can fall back to regex extraction. `signal` aborts the call if the client goes away.
+async function extractWithLLM(llm, stage, message, signal) {
+  if (!STAGE_FIELDS[stage]) {
+    return null;
+  }
+
+  try {
+    const args = await llm.callTool({
+      messages: [
+        {
+          role: 'system',
+          content: `You extract answers from a customer's message in a solar pump sizing conversation. The current question is "${stage}". Only fill fields the customer stated or clearly implied. Convert spelled-out numbers to digits and metric answers to the units each field asks for (1 m = 3.281 feet, 1 liter = 0.2642 gallons, 25.4 mm = 1 inch, 1 hectare = 2.471 acres; metric pipe sizes 20, 25, 32, 40, 50 and 63 mm are 1/2, 3/4, 1, 1-1/4, 1-1/2 and 2 inch). For a range, use the upper value and medium confidence. Leave out anything not mentioned.`
+        },
+        { role: 'user', content: message }
+      ],
+      tool: buildExtractionTool(stage),
+      signal
+    });
+
+    if (!args) {
+      return null;
+    }
+
+    const { confidence, ...values } = args;
+    return {
+      values,
+      confidence: CONFIDENCE_LEVELS.includes(confidence) ? confidence : 'low'
+    };
+  } catch (error) {
+    console.error('Extraction error:', error.message);
+    return null;
+  }
+}
+
+// Check extracted values against a stage's fields. Returns the values that
+// passed and a list of problems for fields that need re-asking.
+function validateStageValues(stage, values, confidence) {
+  const accepted = {};
+  const problems = [];
+
+  for (const field of STAGE_FIELDS[stage] || []) {
+    const value = values[field.key];
+
+    if (value === undefined || value === null || value === '') {
+      if (field.required) {
+        problems.push({ key: field.key, reason: 'missing', description: field.description });
+      }
+      continue;
+    }
+
+    let reason = null;
+    if (field.type === 'number' || field.type === 'integer') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        reason = 'not a number';
+      } else if (field.type === 'integer' && !Number.isInteger(value)) {
+        reason = 'not a whole number';
+      } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        reason = `out of range (${field.min} to ${field.max})`;
+      }
+    } else if (field.type === 'boolean' && typeof value !== 'boolean') {
+      reason = 'not yes or no';
+    } else if (field.enum && !field.enum.includes(value)) {
+      reason = `not one of ${field.enum.join(', ')}`;
+    }
+
+    if (reason) {
+      problems.push({ key: field.key, reason, description: field.description });
+    } else if (field.required && confidence === 'low') {
+      problems.push({ key: field.key, reason: 'unclear', description: field.description });
+      accepted[field.key] = value;
+    } else {
+      accepted[field.key] = value;
+    }
+  }
+
+  return { accepted, problems };
+}
+
+// Fallback values for required fields the user never answered
+function getFallbackValues(stage) {
+  const fallbacks = {};
+
+  for (const field of STAGE_FIELDS[stage] || []) {
+    if (field.fallback !== undefined) {
+      fallbacks[field.key] = field.fallback;
+    }
+  }
+
+  return fallbacks;
+}
+
+module.exports = {
+  STAGE_FIELDS,
+  MAX_REASKS,
+  buildExtractionTool,
+  extractWithLLM,
+  validateStageValues,
+  getFallbackValues
+};
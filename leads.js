@@ -0,0 +1,54 @@
+// leads.js - Completed sizings: kept in an append-only log and sent to the CRM webhook
+const crypto = require('crypto');
+const { createFileLog } = require('./logStore');
+
+const DEFAULT_LEADS_PATH = 'leads.jsonl';
+
+// Build the lead record for a session that just reached its recommendation
+function buildLead(sessionId, session) {
+  const { recommendation, contactName, contactEmail, contactPhone, ...site } = session.data;
+
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId,
+    // No email or phone means the customer skipped the contact question
+    contact: contactEmail || contactPhone ?
+      { name: contactName || null, email: contactEmail || null, phone: contactPhone || null } :
+      null,
+    site,
+    recommendation
+  };
+}
+
+// `store` is a log from logStore.js; without one, leads go to the JSONL file at `path`
+function createLeadLog({ path = DEFAULT_LEADS_PATH, store = createFileLog({ path }), webhook = null } = {}) {
+  // Keep the lead first so a webhook outage never loses it, then wait for the delivery:
+  // a serverless host stops the function once the response is sent. The sender caps
+  // how long that takes, so a down CRM only holds the reply for a moment.
+  // Resolves to the lead with `delivered` set when there's a webhook.
+  async function record(lead) {
+    await store.append(lead);
+
+    if (webhook && webhook.enabled) {
+      // Never throws; what isn't delivered is in the dead-letter log
+      const { delivered } = await webhook.send('sizing.completed', lead);
+      return { ...lead, delivered };
+    }
+
+    return lead;
+  }
+
+  // Every lead in the log, oldest first
+  function list() {
+    return store.list();
+  }
+
+  return { record, list };
+}
+
+module.exports = {
+  DEFAULT_LEADS_PATH,
+  buildLead,
+  createLeadLog
+};
@@ -0,0 +1,152 @@
+// llmProvider.js - LLM providers behind one interface, picked by LLM_PROVIDER:
+//   openai            - OpenAI's API (OPENAI_API_KEY)
+//   openai-compatible - any server speaking the OpenAI chat API, e.g. a local model (LLM_BASE_URL)
+//   mock              - scripted replies with no network or API key, for tests and demos
+//
+// Every provider has:
+//   complete({ messages, temperature, signal })  -> reply text
+//   stream({ messages, temperature, signal })    -> async iterable of reply text pieces
+//   callTool({ messages, tool, signal })         -> the tool call's arguments, or null
+const fs = require('fs');
+
+const LLM_PROVIDER_TYPES = ['openai', 'openai-compatible', 'mock'];
+
+const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+
+// Providers built on the OpenAI client, for OpenAI itself or a compatible endpoint
+function createOpenAIProvider({ apiKey, baseURL, model = DEFAULT_OPENAI_MODEL, name = 'openai' } = {}) {
+  const { OpenAI } = require('openai');
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+    model,
+
+    async complete({ messages, temperature, signal }) {
+      const response = await client.chat.completions.create({ model, messages, temperature }, { signal });
+      return response.choices[0].message.content;
+    },
+
+    async *stream({ messages, temperature, signal }) {
+      const stream = await client.chat.completions.create({ model, messages, temperature, stream: true }, { signal });
+      for await (const chunk of stream) {
+        const content = chunk.choices[0] && chunk.choices[0].delta.content;
+        if (content) {
+          yield content;
+        }
+      }
+    },
+
+    async callTool({ messages, tool, signal }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        tools: [tool],
+        tool_choice: { type: 'function', function: { name: tool.function.name } },
+        temperature: 0
+      }, { signal });
+
+      const toolCall = (response.choices[0].message.tool_calls || [])[0];
+      return toolCall ? JSON.parse(toolCall.function.arguments) : null;
+    }
+  };
+}
+
+// Pull the conversation stage out of the state message server.js sends last
+function getStageFromMessages(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const match = /Current conversation stage: (\w+)/.exec(messages[i].content || '');
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+// Deterministic provider with no network. Replies and tool calls are taken in order
+// from the script; once a list runs out, replies name the stage and tool calls return
+// null so extraction falls back to the regexes. A reply can also be keyed by stage, and
+// "delay" waits that many milliseconds before each streamed piece:
+//   { "replies": ["Howdy!", ...], "stageReplies": { "location": "Where ya at?" }, "toolCalls": [{...}], "delay": 20 }
+function createMockProvider({ replies = [], stageReplies = {}, toolCalls = [], delay = 0 } = {}) {
+  const replyQueue = replies.slice();
+  const toolCallQueue = toolCalls.slice();
+
+  function nextReply(messages) {
+    if (replyQueue.length > 0) {
+      return replyQueue.shift();
+    }
+    const stage = getStageFromMessages(messages);
+    return stageReplies[stage] || `[mock] Next question for stage: ${stage || 'unknown'}`;
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async complete({ messages, signal }) {
+      if (signal && signal.aborted) {
+        throw new Error('Request aborted');
+      }
+      return nextReply(messages);
+    },
+
+    async *stream({ messages, signal }) {
+      const reply = nextReply(messages);
+      for (const piece of reply.split(/(?<= )/)) {
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        if (signal && signal.aborted) {
+          throw new Error('Request aborted');
+        }
+        yield piece;
+      }
+    },
+
+    async callTool() {
+      return toolCallQueue.length > 0 ? toolCallQueue.shift() : null;
+    }
+  };
+}
+
+// Read a mock script from a JSON file
+function loadMockScript(scriptPath) {
+  return scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : {};
+}
+
+// Pick a provider from the environment; defaults to OpenAI
+function createLLMProvider(type = process.env.LLM_PROVIDER || 'openai', options = {}) {
+  switch (type) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        ...options
+      });
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL && !options.baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        baseURL: process.env.LLM_BASE_URL,
+        // Local servers usually ignore the key, but the client insists on one
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        model: process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        ...options
+      });
+    case 'mock':
+      return createMockProvider({ ...loadMockScript(process.env.LLM_MOCK_SCRIPT), ...options });
+    default:
+      throw new Error(`Unknown LLM provider "${type}"; expected one of: ${LLM_PROVIDER_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  LLM_PROVIDER_TYPES,
+  DEFAULT_OPENAI_MODEL,
+  createOpenAIProvider,
+  createMockProvider,
+  createLLMProvider
+};
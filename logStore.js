@@ -0,0 +1,122 @@
+// logStore.js - Append-only records (leads, webhook dead letters) with JSONL file, SQLite
+// and Redis backends. Every log has the same async interface: append(entry), list(), close().
+// A file only lasts as long as the disk it's on, which on a serverless host is one
+// request; sqlite and redis keep records where the sessions are.
+const fs = require('fs');
+const { DEFAULT_SQLITE_PATH, createRedisConnection } = require('./sessionStore');
+
+const LOG_STORE_TYPES = ['file', 'sqlite', 'redis'];
+const REDIS_KEY_PREFIX = 'log:';
+
+// Records in a JSONL file in the working directory
+function createFileLog({ path }) {
+  return {
+    type: 'file',
+
+    async append(entry) {
+      await fs.promises.appendFile(path, JSON.stringify(entry) + '\n');
+    },
+
+    // Every record, oldest first
+    async list() {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(path, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      return contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    },
+
+    async close() {}
+  };
+}
+
+// Records in a table next to the sessions, one log per name
+function createSqliteLog({ name, path = DEFAULT_SQLITE_PATH }) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path);
+
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS logs (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    value TEXT NOT NULL
+  )`);
+
+  const statements = {
+    append: db.prepare('INSERT INTO logs (name, value) VALUES (?, ?)'),
+    list: db.prepare('SELECT value FROM logs WHERE name = ? ORDER BY seq')
+  };
+
+  return {
+    type: 'sqlite',
+
+    async append(entry) {
+      statements.append.run(name, JSON.stringify(entry));
+    },
+
+    async list() {
+      return statements.list.all(name).map(row => JSON.parse(row.value));
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+// Records in a Redis list, one per name
+function createRedisLog({ name, url = process.env.REDIS_URL }) {
+  const { connected, quit } = createRedisConnection(url, `${name} log`);
+
+  return {
+    type: 'redis',
+
+    async append(entry) {
+      await (await connected()).rPush(REDIS_KEY_PREFIX + name, JSON.stringify(entry));
+    },
+
+    async list() {
+      return (await (await connected()).lRange(REDIS_KEY_PREFIX + name, 0, -1)).map(value => JSON.parse(value));
+    },
+
+    async close() {
+      await quit();
+    }
+  };
+}
+
+// Pick a log backend; `name` tells the logs in one database apart and `path` is the file
+// the file backend writes to
+function createLogStore(type, { name, path, sqlitePath = process.env.SESSION_SQLITE_PATH || DEFAULT_SQLITE_PATH }) {
+  switch (type) {
+    case 'file':
+      return createFileLog({ path });
+    case 'sqlite':
+      return createSqliteLog({ name, path: sqlitePath });
+    case 'redis':
+      return createRedisLog({ name });
+    default:
+      throw new Error(`Unknown log store "${type}"; expected one of: ${LOG_STORE_TYPES.join(', ')}`);
+  }
+}
+
+// Leads and dead letters go where the sessions do when that's a database (LOG_STORE
+// overrides it); with in-memory sessions they go to files
+function defaultLogStoreType() {
+  const type = process.env.LOG_STORE || process.env.SESSION_STORE;
+  return LOG_STORE_TYPES.includes(type) ? type : 'file';
+}
+
+module.exports = {
+  LOG_STORE_TYPES,
+  createFileLog,
+  createSqliteLog,
+  createRedisLog,
+  createLogStore,
+  defaultLogStoreType
+};
@@ -0,0 +1,146 @@
+// pipeData.js - Pipe materials, inner diameters and friction loss (Hazen-Williams)
+
+// Hazen-Williams C-factors by pipe material
+const PIPE_MATERIALS = {
+  "pvc": { name: "PVC (Schedule 40)", cFactor: 150 },
+  "hdpe": { name: "HDPE (DR 11, IPS)", cFactor: 150 },
+  "poly": { name: "Polyethylene (SIDR 15)", cFactor: 140 },
+  "galvanized": { name: "Galvanized steel (Schedule 40)", cFactor: 120 }
+};
+
+const DEFAULT_PIPE_MATERIAL = 'pvc';
+
+// Actual inner diameter (inches) for each nominal size (inches) by material
+const INNER_DIAMETERS = {
+  "pvc": { 0.5: 0.622, 0.75: 0.824, 1: 1.049, 1.25: 1.380, 1.5: 1.610, 2: 2.067, 2.5: 2.469, 3: 3.068 },
+  "hdpe": { 0.5: 0.687, 0.75: 0.859, 1: 1.076, 1.25: 1.358, 1.5: 1.554, 2: 1.943, 3: 2.864 },
+  "poly": { 0.5: 0.622, 0.75: 0.824, 1: 1.049, 1.25: 1.380, 1.5: 1.610, 2: 2.067, 3: 3.068 },
+  "galvanized": { 0.5: 0.622, 0.75: 0.824, 1: 1.049, 1.25: 1.380, 1.5: 1.610, 2: 2.067, 2.5: 2.469, 3: 3.068 }
+};
+
+// Minor loss coefficients (K) for common fittings
+const FITTING_K_FACTORS = {
+  "elbow90": 0.9,
+  "elbow45": 0.4,
+  "teeBranch": 1.8,
+  "teeLine": 0.6,
+  "gateValve": 0.2,
+  "ballValve": 0.05,
+  "checkValve": 2.5
+};
+
+// Fittings on a typical well-to-tank run when the customer doesn't list them
+const DEFAULT_FITTINGS = {
+  "checkValve": 1,
+  "elbow90": 2,
+  "gateValve": 1
+};
+
+// Work out the material key from a customer's description
+function parsePipeMaterial(text) {
+  const lowerText = (text || '').toLowerCase();
+
+  if (lowerText.includes('hdpe') || lowerText.includes('high density')) {
+    return 'hdpe';
+  } else if (lowerText.includes('pvc')) {
+    return 'pvc';
+  } else if (lowerText.includes('poly')) {
+    return 'poly';
+  } else if (lowerText.includes('galv') || lowerText.includes('steel') || lowerText.includes('iron')) {
+    return 'galvanized';
+  }
+
+  return null;
+}
+
+// Look up the actual inner diameter for a nominal pipe size
+function getInnerDiameter(nominalSize, material = DEFAULT_PIPE_MATERIAL) {
+  const table = INNER_DIAMETERS[material] || INNER_DIAMETERS[DEFAULT_PIPE_MATERIAL];
+  const innerDiameter = table[nominalSize];
+
+  // Unlisted sizes fall back to the nominal size
+  return {
+    innerDiameter: innerDiameter || nominalSize,
+    estimated: !innerDiameter
+  };
+}
+
+// Hazen-Williams head loss in feet (flow in GPM, length in feet, diameter in inches)
+function hazenWilliamsHeadLoss(flowGPM, lengthFt, innerDiameter, cFactor) {
+  if (!flowGPM || !lengthFt || !innerDiameter) {
+    return 0;
+  }
+
+  return 10.44 * lengthFt * Math.pow(flowGPM, 1.852) /
+    (Math.pow(cFactor, 1.852) * Math.pow(innerDiameter, 4.8655));
+}
+
+// Minor losses in feet from fitting K-factors: sum(K) × v² / 2g
+function calculateMinorLosses(flowGPM, innerDiameter, fittings = DEFAULT_FITTINGS) {
+  if (!flowGPM || !innerDiameter) {
+    return 0;
+  }
+
+  const velocity = 0.4085 * flowGPM / (innerDiameter * innerDiameter); // feet per second
+  const totalK = Object.entries(fittings)
+    .reduce((sum, [fitting, count]) => sum + (FITTING_K_FACTORS[fitting] || 0) * count, 0);
+
+  return totalK * velocity * velocity / (2 * 32.174);
+}
+
+// Calculate friction loss for a pipe run, broken down into pipe and fitting losses
+function calculateFrictionLoss(flowGPM, pipeLength, nominalSize, material, fittings) {
+  const materialKey = PIPE_MATERIALS[material] ? material : DEFAULT_PIPE_MATERIAL;
+  const { innerDiameter, estimated } = getInnerDiameter(nominalSize, materialKey);
+
+  const pipeLoss = hazenWilliamsHeadLoss(flowGPM, pipeLength, innerDiameter, PIPE_MATERIALS[materialKey].cFactor);
+  const minorLoss = calculateMinorLosses(flowGPM, innerDiameter, fittings || DEFAULT_FITTINGS);
+
+  return {
+    material: materialKey,
+    materialName: PIPE_MATERIALS[materialKey].name,
+    cFactor: PIPE_MATERIALS[materialKey].cFactor,
+    innerDiameter,
+    innerDiameterEstimated: estimated,
+    fittingsAssumed: !fittings,
+    pipeLoss,
+    minorLoss,
+    total: pipeLoss + minorLoss
+  };
+}
+
+// Friction loss along a run made of several segments, each with its own size and material.
+// The fittings are counted once, on the first segment out of the well.
+function calculatePathFrictionLoss(flowGPM, segments, fittings) {
+  const losses = segments.map((segment, i) => ({
+    length: segment.length,
+    size: segment.size,
+    ...calculateFrictionLoss(flowGPM, segment.length, segment.size, segment.material, i === 0 ? fittings : {})
+  }));
+
+  const pipeLoss = losses.reduce((sum, loss) => sum + loss.pipeLoss, 0);
+  const minorLoss = losses.reduce((sum, loss) => sum + loss.minorLoss, 0);
+
+  return {
+    segments: losses,
+    length: segments.reduce((sum, segment) => sum + segment.length, 0),
+    fittingsAssumed: !fittings,
+    pipeLoss,
+    minorLoss,
+    total: pipeLoss + minorLoss
+  };
+}
+
+module.exports = {
+  PIPE_MATERIALS,
+  DEFAULT_PIPE_MATERIAL,
+  INNER_DIAMETERS,
+  FITTING_K_FACTORS,
+  DEFAULT_FITTINGS,
+  parsePipeMaterial,
+  getInnerDiameter,
+  hazenWilliamsHeadLoss,
+  calculateMinorLosses,
+  calculateFrictionLoss,
+  calculatePathFrictionLoss
+};
@@ -0,0 +1,119 @@
+// pricing.js - Load the price list and price a bill of materials
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICE_LIST_PATH = path.join(__dirname, 'data', 'priceList.json');
+
+// Retail is what customers see; dealer prices are only given to dealer API keys
+const PRICE_TIERS = ['retail', 'dealer'];
+const DEFAULT_PRICE_TIER = 'retail';
+
+const PRICE_UNITS = ['ea', 'ft'];
+
+// Check a price list for problems, returning a list of error messages
+function validatePriceList(priceList) {
+  const errors = [];
+
+  if (!priceList || typeof priceList !== 'object') {
+    return ['Price list is not an object'];
+  }
+
+  if (!Number.isInteger(priceList.version) || priceList.version < 1) {
+    errors.push('Price list version must be a positive integer');
+  }
+
+  if (typeof priceList.currency !== 'string' || !/^[A-Z]{3}$/.test(priceList.currency)) {
+    errors.push('Price list currency must be a three-letter code');
+  }
+
+  const items = priceList.items || {};
+  if (Object.keys(items).length === 0) {
+    errors.push('Price list contains no items');
+  }
+
+  for (const [sku, item] of Object.entries(items)) {
+    if (!PRICE_UNITS.includes(item.unit)) {
+      errors.push(`${sku}: unit must be one of ${PRICE_UNITS.join(', ')}`);
+    }
+
+    for (const tier of PRICE_TIERS) {
+      if (!Number.isFinite(item[tier]) || item[tier] <= 0) {
+        errors.push(`${sku}: missing or invalid ${tier} price`);
+      }
+    }
+
+    if (item.dealer > item.retail) {
+      errors.push(`${sku}: dealer price ${item.dealer} is above retail ${item.retail}`);
+    }
+  }
+
+  return errors;
+}
+
+// Read and validate a price list file, throwing if it cannot be used
+function loadPriceList(priceListPath = DEFAULT_PRICE_LIST_PATH) {
+  let priceList;
+
+  try {
+    priceList = JSON.parse(fs.readFileSync(priceListPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read price list ${priceListPath}: ${error.message}`);
+  }
+
+  const errors = validatePriceList(priceList);
+  if (errors.length > 0) {
+    throw new Error(`Invalid price list ${priceListPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return priceList;
+}
+
+// Round money to cents
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Price each line of a bill of materials at one tier. Lines whose SKU isn't on the
+// list stay in with a null price and are counted, so the total is never silently short.
+function priceBillOfMaterials(items, priceList, tier = DEFAULT_PRICE_TIER) {
+  if (!PRICE_TIERS.includes(tier)) {
+    throw new Error(`Unknown price tier "${tier}"; expected one of: ${PRICE_TIERS.join(', ')}`);
+  }
+
+  const lineItems = items.map(item => {
+    const price = priceList.items[item.sku];
+    const unitPrice = price ? price[tier] : null;
+
+    return {
+      ...item,
+      unitPrice,
+      total: unitPrice !== null ? roundPrice(unitPrice * item.quantity) : null
+    };
+  });
+
+  return {
+    tier,
+    currency: priceList.currency,
+    priceListVersion: priceList.version,
+    lineItems,
+    unpricedItems: lineItems.filter(line => line.unitPrice === null).length,
+    total: roundPrice(lineItems.reduce((sum, line) => sum + (line.total || 0), 0))
+  };
+}
+
+// Money for display, e.g. $1,075.00
+function formatPrice(amount, currency) {
+  return amount === null ?
+    'Price on request' :
+    amount.toLocaleString('en-US', { style: 'currency', currency });
+}
+
+module.exports = {
+  DEFAULT_PRICE_LIST_PATH,
+  PRICE_TIERS,
+  DEFAULT_PRICE_TIER,
+  validatePriceList,
+  loadPriceList,
+  priceBillOfMaterials,
+  formatPrice
+};
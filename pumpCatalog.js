@@ -0,0 +1,245 @@
+// pumpCatalog.js - Load, build and validate the pump curve catalog
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'data', 'pumpCatalog.json');
+const DEFAULT_FAMILIES_PATH = path.join(__dirname, 'data', 'pumpFamilies.json');
+
+// Multistage pumps draw power per stage; helical-rotor pumps have a rated power per model
+const PUMP_TYPES = ['multistage', 'helical'];
+
+// Model codes look like "3S48V50C": stage count, system voltage, then the series
+const MODEL_CODE_PATTERN = /^(\d+)S(\d+)V(\w*)$/i;
+
+// Curve columns in the workbook are headed "<model>_Head (Feet)"
+const HEAD_COLUMN_PATTERN = /^(.+?)_Head\s*\(Feet\)$/i;
+
+// Parse stage count and voltage out of a model code
+function parseModelCode(model) {
+  const match = MODEL_CODE_PATTERN.exec(model);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    stages: parseInt(match[1]),
+    voltage: parseInt(match[2]),
+    series: match[3] || null
+  };
+}
+
+// Find the family a model code belongs to
+function findFamilyForModel(model, families) {
+  for (const [familyId, family] of Object.entries(families)) {
+    if (new RegExp(family.match, 'i').test(model)) {
+      return familyId;
+    }
+  }
+
+  return null;
+}
+
+// Build catalog models from spreadsheet rows ({ GPM, "<model>_Head (Feet)", ... })
+function buildModelsFromRows(rows, families) {
+  const models = {};
+
+  for (const row of rows) {
+    const flowRate = parseFloat(row.GPM);
+
+    for (const [column, value] of Object.entries(row)) {
+      const headMatch = HEAD_COLUMN_PATTERN.exec(column.trim());
+      if (!headMatch || value === '' || value === undefined || value === null) {
+        continue;
+      }
+
+      const model = headMatch[1].trim();
+      if (!models[model]) {
+        const familyId = findFamilyForModel(model, families);
+        const family = families[familyId] || {};
+        const meta = parseModelCode(model) || {};
+
+        models[model] = {
+          family: familyId,
+          stages: family.pumpType === 'helical' ? 1 : meta.stages,
+          voltage: family.voltage,
+          flowRateByHead: []
+        };
+      }
+
+      models[model].flowRateByHead.push({ head: parseFloat(value), flowRate });
+    }
+  }
+
+  // Sort each curve by head and derive the limits from the measured points
+  for (const [model, data] of Object.entries(models)) {
+    const family = families[data.family] || {};
+
+    data.flowRateByHead.sort((a, b) => a.head - b.head);
+    data.maxFlow = Math.max(...data.flowRateByHead.map(point => point.flowRate));
+    data.maxHead = Math.max(...data.flowRateByHead.map(point => point.head));
+    data.powerRequired = family.wattsPerStage && data.stages ?
+      data.stages * family.wattsPerStage :
+      (family.modelPower || {})[model];
+  }
+
+  return models;
+}
+
+// Check family definitions, returning a list of error messages
+function validatePumpFamilies(families) {
+  const errors = [];
+
+  if (!families || typeof families !== 'object' || Object.keys(families).length === 0) {
+    return ['Catalog contains no pump families'];
+  }
+
+  for (const [familyId, family] of Object.entries(families)) {
+    if (!PUMP_TYPES.includes(family.pumpType)) {
+      errors.push(`Family ${familyId}: pumpType must be one of ${PUMP_TYPES.join(', ')}`);
+    }
+
+    if (typeof family.match !== 'string' || !family.match) {
+      errors.push(`Family ${familyId}: missing model match pattern`);
+    }
+
+    if (!(family.voltage > 0)) {
+      errors.push(`Family ${familyId}: missing or invalid voltage`);
+    }
+
+    if (family.pumpType === 'multistage' && !(family.wattsPerStage > 0)) {
+      errors.push(`Family ${familyId}: multistage families need wattsPerStage`);
+    }
+
+    if (family.pumpType === 'helical' && (!family.modelPower || typeof family.modelPower !== 'object')) {
+      errors.push(`Family ${familyId}: helical families need modelPower`);
+    }
+
+    const controller = family.controller || {};
+    if (!(controller.maxPower > 0) || !(controller.maxInputVoltage > 0) || !(controller.maxStrings >= 1)) {
+      errors.push(`Family ${familyId}: controller needs maxPower, maxInputVoltage and maxStrings`);
+    }
+
+    const panel = family.panel || {};
+    if (!(panel.watts > 0) || !(panel.voltage > 0) || !Number.isInteger(panel.seriesCount) || panel.seriesCount < 1) {
+      errors.push(`Family ${familyId}: panel needs watts, voltage and an integer seriesCount`);
+    } else if (panel.voltage * panel.seriesCount > controller.maxInputVoltage) {
+      errors.push(`Family ${familyId}: a string of ${panel.seriesCount} panels exceeds the controller input voltage`);
+    }
+  }
+
+  return errors;
+}
+
+// Check a catalog for problems, returning a list of error messages
+function validatePumpCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || typeof catalog !== 'object') {
+    return ['Catalog is not an object'];
+  }
+
+  if (!Number.isInteger(catalog.version) || catalog.version < 1) {
+    errors.push('Catalog version must be a positive integer');
+  }
+
+  const families = catalog.families || {};
+  errors.push(...validatePumpFamilies(families));
+
+  const models = catalog.models || {};
+  if (Object.keys(models).length === 0) {
+    errors.push('Catalog contains no pump models');
+  }
+
+  for (const [model, data] of Object.entries(models)) {
+    const family = families[data.family];
+    if (!family) {
+      errors.push(`${model}: does not belong to a known pump family`);
+    }
+
+    if (!Number.isInteger(data.stages) || data.stages < 1) {
+      errors.push(`${model}: missing or invalid stage count`);
+    }
+
+    if (!(data.voltage > 0)) {
+      errors.push(`${model}: missing or invalid voltage`);
+    } else if (family && data.voltage !== family.voltage) {
+      errors.push(`${model}: voltage ${data.voltage} does not match family ${data.family} (${family.voltage})`);
+    }
+
+    if (!(data.powerRequired > 0)) {
+      errors.push(`${model}: missing or invalid powerRequired`);
+    }
+
+    const curve = data.flowRateByHead;
+    if (!Array.isArray(curve) || curve.length < 2) {
+      errors.push(`${model}: curve needs at least two points`);
+      continue;
+    }
+
+    for (let i = 0; i < curve.length; i++) {
+      const point = curve[i];
+
+      if (!Number.isFinite(point.head) || point.head < 0) {
+        errors.push(`${model}: point ${i + 1} has an invalid head (${point.head})`);
+      }
+
+      if (!Number.isFinite(point.flowRate) || point.flowRate < 0) {
+        errors.push(`${model}: point ${i + 1} has a negative or missing flow rate (${point.flowRate})`);
+      }
+
+      // Head must rise and flow must not rise along the curve
+      if (i > 0) {
+        const previous = curve[i - 1];
+        if (point.head <= previous.head) {
+          errors.push(`${model}: head is not monotonic at point ${i + 1} (${previous.head} -> ${point.head})`);
+        }
+        if (point.flowRate > previous.flowRate) {
+          errors.push(`${model}: flow rises with head at point ${i + 1} (${previous.flowRate} -> ${point.flowRate})`);
+        }
+      }
+    }
+
+    const curveMaxHead = Math.max(...curve.map(point => point.head));
+    if (data.maxHead !== curveMaxHead) {
+      errors.push(`${model}: maxHead ${data.maxHead} does not match curve (${curveMaxHead})`);
+    }
+  }
+
+  return errors;
+}
+
+// Read and validate a catalog file, throwing if it cannot be used
+function loadPumpCatalog(catalogPath = DEFAULT_CATALOG_PATH) {
+  let catalog;
+
+  try {
+    catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read pump catalog ${catalogPath}: ${error.message}`);
+  }
+
+  const errors = validatePumpCatalog(catalog);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pump catalog ${catalogPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return catalog;
+}
+
+// Read the hand-maintained family definitions merged into the catalog on import
+function loadPumpFamilies(familiesPath = DEFAULT_FAMILIES_PATH) {
+  return JSON.parse(fs.readFileSync(familiesPath, 'utf8'));
+}
+
+module.exports = {
+  DEFAULT_CATALOG_PATH,
+  DEFAULT_FAMILIES_PATH,
+  PUMP_TYPES,
+  parseModelCode,
+  findFamilyForModel,
+  buildModelsFromRows,
+  validatePumpFamilies,
+  validatePumpCatalog,
+  loadPumpFamilies,
+  loadPumpCatalog
+};
@@ -1,140 +1,137 @@
 // pumpData.js - Flow rate at different head values for each pump model
-const pumpData = {
-    "1S48V50C": {
-      "stages": 1,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 12.5, flowRate: 5.0 },
-        { head: 22.5, flowRate: 4.0 },
-        { head: 30, flowRate: 3.0 },
-        { head: 37.5, flowRate: 2.0 },
-        { head: 40, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 40,
-      "powerRequired": 53  // 53W × 1 stage
-    },
-    "2S48V50C": {
-      "stages": 2,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 25, flowRate: 5.0 },
-        { head: 45, flowRate: 4.0 },
-        { head: 60, flowRate: 3.0 },
-        { head: 75, flowRate: 2.0 },
-        { head: 80, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 80,
-      "powerRequired": 106  // 53W × 2 stages
-    },
-    "3S48V50C": {
-      "stages": 3,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 37.5, flowRate: 5.0 },
-        { head: 67.5, flowRate: 4.0 },
-        { head: 90, flowRate: 3.0 },
-        { head: 112.5, flowRate: 2.0 },
-        { head: 120, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 120,
-      "powerRequired": 159  // 53W × 3 stages
-    },
-    "4S48V50C": {
-      "stages": 4,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 50, flowRate: 5.0 },
-        { head: 90, flowRate: 4.0 },
-        { head: 120, flowRate: 3.0 },
-        { head: 150, flowRate: 2.0 },
-        { head: 160, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 160,
-      "powerRequired": 212  // 53W × 4 stages
-    },
-    "5S48V50C": {
-      "stages": 5,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 62.5, flowRate: 5.0 },
-        { head: 112.5, flowRate: 4.0 },
-        { head: 150, flowRate: 3.0 },
-        { head: 187.5, flowRate: 2.0 },
-        { head: 200, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 200,
-      "powerRequired": 265  // 53W × 5 stages
-    },
-    "6S48V50C": {
-      "stages": 6,
-      "voltage": 48,
-      "flowRateByHead": [
-        { head: 0, flowRate: 5.0 },     // Assumed maximum flow at 0 head
-        { head: 75, flowRate: 5.0 },
-        { head: 135, flowRate: 4.0 },
-        { head: 180, flowRate: 3.0 },
-        { head: 225, flowRate: 2.0 },
-        { head: 240, flowRate: 1.0 }
-      ],
-      "maxFlow": 5.0,
-      "maxHead": 240,
-      "powerRequired": 318  // 53W × 6 stages
-    }
-  };
+const { loadPumpCatalog } = require('./pumpCatalog');
+
+// Curves are imported from data/Pump_Models_Curves.xlsx by scripts/importPumpCurves.js.
+// Loading throws on invalid data so the server refuses to start with a bad catalog.
+const catalog = loadPumpCatalog(process.env.PUMP_CATALOG_PATH || undefined);
+const pumpData = catalog.models;
+const pumpFamilies = catalog.families;
+const catalogVersion = catalog.version;
   
-  // Helper function to find the right pump model
-  function findSuitablePump(requiredGPM, requiredHead) {
-    const suitablePumps = [];
+  // Interpolate the flow rate a pump delivers at a given head from its curve
+  function getFlowRateAtHead(model, head) {
+    const data = pumpData[model];
+    if (!data || head < 0 || head > data.maxHead) {
+      return 0;
+    }
     
-    for (const [model, data] of Object.entries(pumpData)) {
-      // If the head requirement exceeds this pump's capability, skip it
-      if (requiredHead > data.maxHead) {
-        continue;
-      }
-      
-      // Find the flow rate at the required head
-      let actualFlowRate = 0;
-      
-      // Check each point on the pump curve
-      for (let i = 0; i < data.flowRateByHead.length - 1; i++) {
-        const point1 = data.flowRateByHead[i];
-        const point2 = data.flowRateByHead[i + 1];
-        
-        // If head is between these two points, interpolate the flow rate
-        if (requiredHead >= point1.head && requiredHead <= point2.head) {
-          // Linear interpolation
-          const slope = (point2.flowRate - point1.flowRate) / (point2.head - point1.head);
-          actualFlowRate = point1.flowRate + slope * (requiredHead - point1.head);
-          break;
-        }
-      }
+    // Below the first measured point the pump delivers at least that point's flow
+    const firstPoint = data.flowRateByHead[0];
+    if (head <= firstPoint.head) {
+      return firstPoint.flowRate;
+    }
+    
+    // Check each point on the pump curve
+    for (let i = 0; i < data.flowRateByHead.length - 1; i++) {
+      const point1 = data.flowRateByHead[i];
+      const point2 = data.flowRateByHead[i + 1];
       
-      // If flow rate is sufficient, add to suitable pumps
-      if (actualFlowRate >= requiredGPM) {
-        suitablePumps.push({
-          model,
-          stages: data.stages,
-          flowRate: actualFlowRate,
-          powerRequired: data.powerRequired
-        });
+      // If head is between these two points, interpolate the flow rate
+      if (head >= point1.head && head <= point2.head) {
+        // Linear interpolation
+        const slope = (point2.flowRate - point1.flowRate) / (point2.head - point1.head);
+        return point1.flowRate + slope * (head - point1.head);
       }
     }
     
-    // Return the pump with the fewest stages (most efficient)
-    return suitablePumps.sort((a, b) => a.stages - b.stages)[0];
+    return 0;
+  }
+  
+  // Power a model draws. The sizing config's pumpFamilies can override a family's watts per
+  // stage; without settings the catalog's figure is used.
+  function getPowerRequired(model, settings) {
+    const data = pumpData[model];
+    const overrides = ((settings && settings.pumpFamilies) || {})[data.family] || {};
+    return pumpFamilies[data.family].pumpType === 'multistage' && overrides.wattsPerStage ?
+      data.stages * overrides.wattsPerStage :
+      data.powerRequired;
+  }
+  
+  // Lay out the solar array for a model using its family's panel and controller rules,
+  // with the panel size from the sizing config if it sets one
+  function calculateSolarArray(model, settings) {
+    const data = pumpData[model];
+    const family = pumpFamilies[data.family];
+    const { panel, controller } = family;
+    const overrides = ((settings && settings.pumpFamilies) || {})[data.family] || {};
+    const panelWatts = overrides.panelWatts || panel.watts;
+    const powerRequired = getPowerRequired(model, settings);
+    
+    // Whole strings of panels in series at the family's string length
+    const panelsNeeded = Math.ceil(powerRequired / panelWatts);
+    const strings = Math.ceil(panelsNeeded / panel.seriesCount);
+    const panels = strings * panel.seriesCount;
+    const wattage = panels * panelWatts;
+    const stringVoltage = panel.voltage * panel.seriesCount;
+    
+    return {
+      family: data.family,
+      voltage: family.voltage,
+      powerRequired,
+      panelWatts,
+      panelVoltage: panel.voltage,
+      seriesCount: panel.seriesCount,
+      strings,
+      panels,
+      wattage,
+      stringVoltage,
+      withinControllerLimits: wattage <= controller.maxPower &&
+        strings <= controller.maxStrings &&
+        stringVoltage <= controller.maxInputVoltage
+    };
+  }
+  
+  // How one model does at the required flow and head: its operating point and array, and
+  // `problem` saying why it can't be used ('head', 'controller' or 'flow'), or null if it can
+  function evaluatePump(model, requiredGPM, requiredHead, settings) {
+    const data = pumpData[model];
+    const solarArray = calculateSolarArray(model, settings);
+    
+    // Find the flow rate at the required head
+    const actualFlowRate = requiredHead > data.maxHead ? 0 : getFlowRateAtHead(model, requiredHead);
+    
+    let problem = null;
+    if (requiredHead > data.maxHead) {
+      problem = 'head';
+    } else if (!solarArray.withinControllerLimits) {
+      problem = 'controller';
+    } else if (!(actualFlowRate > 0 && actualFlowRate >= requiredGPM)) {
+      problem = 'flow';
+    }
+    
+    return {
+      model,
+      family: data.family,
+      pumpType: pumpFamilies[data.family].pumpType,
+      voltage: data.voltage,
+      stages: data.stages,
+      flowRate: actualFlowRate,
+      head: requiredHead,
+      maxFlow: data.maxFlow,
+      maxHead: data.maxHead,
+      powerRequired: solarArray.powerRequired,
+      solarArray,
+      problem
+    };
+  }
+  
+  // Helper function to find the right pump model
+  function findSuitablePump(requiredGPM, requiredHead, settings) {
+    const suitablePumps = Object.keys(pumpData)
+      .map(model => evaluatePump(model, requiredGPM, requiredHead, settings))
+      .filter(pump => !pump.problem);
+    
+    // Return the pump drawing the least power across families, then the fewest stages
+    return suitablePumps.sort((a, b) => a.powerRequired - b.powerRequired || a.stages - b.stages)[0];
   }
   
   module.exports = {
     pumpData,
+    pumpFamilies,
+    catalogVersion,
+    getFlowRateAtHead,
+    getPowerRequired,
+    calculateSolarArray,
+    evaluatePump,
     findSuitablePump
   };
\ No newline at end of file
@@ -0,0 +1,501 @@
+// quote.js - Printable quotes for a recommendation: an HTML print view and a PDF.
+// Both are drawn locally from the same quote model; the pump curve and array layout
+// are inline SVG in the HTML and vector graphics in the PDF.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const { pumpData, pumpFamilies } = require('./pumpData');
+const { formatPrice } = require('./pricing');
+const { USAGE_TYPES } = require('./stages');
+const {
+  UNIT_SYSTEMS,
+  FEET_PER_METER,
+  formatLength,
+  formatVolume,
+  formatFlow,
+  formatArea,
+  toDisplayLength,
+  toDisplayFlow
+} = require('./units');
+
+const COMPANY_NAME = 'NB Pumps';
+const BRAND_COLOR = '#1f4e79';
+const QUOTE_VALID_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000; // milliseconds
+
+// Quote numbers look like Q-20240612-3F9A1C: the date, then a random suffix
+function createQuoteNumber(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `Q-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// One line describing what the water is for
+function describeUsage(data, units) {
+  switch (data.usageType) {
+    case USAGE_TYPES.LIVESTOCK:
+      return `Livestock: ${data.animalCount} ${data.livestockType}`;
+    case USAGE_TYPES.HOUSEHOLD:
+      return `Household: ${data.peopleCount} people, ${data.bathroomCount || 0} bathrooms`;
+    case USAGE_TYPES.IRRIGATION:
+      return `Irrigation: ${formatArea(data.irrigationArea || 0, units)}, ${data.irrigationMethod} system, ${data.cropType}`;
+    default:
+      return 'Custom requirements';
+  }
+}
+
+// Everything the renderers need, already in the customer's units
+function buildQuote(data, recommendation, { quoteNumber = createQuoteNumber(), date = new Date() } = {}) {
+  if (!recommendation || !recommendation.isValid) {
+    throw new Error('A quote needs a valid recommendation');
+  }
+
+  const units = recommendation.units;
+  const metric = units === UNIT_SYSTEMS.METRIC;
+  const { pumpDetails, operatingPoint, solarConfig, system, waterRequirements, wellSafety, wiring, billOfMaterials } = recommendation;
+  const currency = billOfMaterials.currency;
+  const panel = pumpFamilies[pumpDetails.family].panel;
+
+  const customer = data.contactName || data.contactEmail || data.contactPhone ?
+    { name: data.contactName || null, email: data.contactEmail || null, phone: data.contactPhone || null } :
+    null;
+
+  return {
+    quoteNumber,
+    date: date.toISOString().slice(0, 10),
+    validUntil: new Date(date.getTime() + QUOTE_VALID_DAYS * DAY).toISOString().slice(0, 10),
+    catalogVersion: recommendation.catalogVersion,
+    configVersion: recommendation.configVersion || null,
+    customer,
+    site: [
+      ['Location', data.location || 'Not specified'],
+      ['Usage', describeUsage(data, units)],
+      ['Daily water needed', formatVolume(waterRequirements.dailyGallons, units)],
+      ['Required flow', formatFlow(parseFloat(waterRequirements.requiredGPM), units)],
+      ['Peak sun hours', `${system.peakSunHours} hours`],
+      // Sites with several wells or delivery points list the head on each path
+      ...(recommendation.paths || []).map(path => [
+        `${path.well} to ${path.destination}`,
+        `${formatLength(path.tdh, units)} head${path.worstCase ? ' (sized for this path)' : ''}`
+      ])
+    ],
+    tdh: {
+      rows: system.tdhBreakdown.map(row => [row.component, formatLength(row.head, units)]),
+      total: formatLength(parseFloat(system.tdh), units)
+    },
+    // Recommendations made before the well checks existed have no wellSafety
+    well: wellSafety ? {
+      rows: [
+        ...(wellSafety.pumpSettingDepth !== null ?
+          [['Pump setting', `${formatLength(wellSafety.pumpSettingDepth, units)}${wellSafety.settingDepthSuggested ? ' (suggested)' : ''}`]] : []),
+        ['Well yield', wellSafety.wellYield !== null ? formatFlow(wellSafety.wellYield, units) : 'Not specified'],
+        ...wellSafety.checks.map(check => [check.passed ? 'OK' : 'Warning', check.message])
+      ],
+      advice: wellSafety.advice
+    } : null,
+    pump: [
+      ['Model', pumpDetails.model],
+      ['Family', `${pumpDetails.family} (${pumpDetails.pumpType})`],
+      ['Stages', String(pumpDetails.stages)],
+      ['Operating point', `${formatFlow(parseFloat(operatingPoint.flowRate), units)} at ${formatLength(parseFloat(operatingPoint.head), units)}`],
+      ['Flow margin', `${formatFlow(parseFloat(operatingPoint.flowMargin), units)}${operatingPoint.flowMarginPercent !== null ? ` (${operatingPoint.flowMarginPercent}% over required)` : ''}`],
+      ['Daily output', formatVolume(parseFloat(system.dailyOutput), units)],
+      ...(wiring ? [['Pump cable', `${wiring.gauge} AWG, ${formatLength(wiring.length, units)} run (${wiring.voltageDropPercent}% voltage drop)`]] : [])
+    ],
+    curve: {
+      model: pumpDetails.model,
+      flowUnit: metric ? 'L/min' : 'GPM',
+      headUnit: metric ? 'm' : 'ft',
+      points: pumpData[pumpDetails.model].flowRateByHead.map(point => ({
+        flow: toDisplayFlow(point.flowRate, units),
+        head: toDisplayLength(point.head, units)
+      })),
+      operatingPoint: {
+        flow: toDisplayFlow(parseFloat(operatingPoint.flowRate), units),
+        head: toDisplayLength(parseFloat(operatingPoint.head), units)
+      },
+      requiredFlow: toDisplayFlow(parseFloat(waterRequirements.requiredGPM), units)
+    },
+    array: {
+      strings: solarConfig.strings,
+      seriesCount: solarConfig.seriesCount,
+      panels: solarConfig.panels,
+      panelWatts: solarConfig.panelWatts,
+      stringVoltage: panel.voltage * solarConfig.seriesCount,
+      wattage: solarConfig.wattage,
+      systemVoltage: solarConfig.voltage,
+      description: solarConfig.description
+    },
+    pricing: {
+      tier: billOfMaterials.tier,
+      currency,
+      priceListVersion: billOfMaterials.priceListVersion,
+      total: formatPrice(billOfMaterials.total, currency),
+      unpricedItems: billOfMaterials.unpricedItems
+    },
+    // Lengths are priced per foot; metric quotes show the price per meter
+    billOfMaterials: billOfMaterials.lineItems.map(line => ({
+      description: line.description,
+      quantity: line.unit === 'ft' ? formatLength(line.quantity, units) : String(line.quantity),
+      unitPrice: line.unit === 'ft' && line.unitPrice !== null ?
+        `${formatPrice(metric ? line.unitPrice * FEET_PER_METER : line.unitPrice, currency)}/${metric ? 'm' : 'ft'}` :
+        formatPrice(line.unitPrice, currency),
+      total: formatPrice(line.total, currency)
+    }))
+  };
+}
+
+// Round an axis up to a tidy maximum, stepping by 1, 2 or 5 x 10^n for about five ticks
+function niceAxis(max) {
+  const rough = max / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough);
+  const top = Math.ceil(max / step - 1e-9) * step;
+  const ticks = [];
+  for (let value = 0; value <= top + step / 2; value += step) {
+    ticks.push(parseFloat(value.toFixed(6)));
+  }
+  return { max: top, ticks };
+}
+
+// Lay the pump curve out in a box: flow across, head up
+function plotCurve(curve, { x, y, width, height }) {
+  const xAxis = niceAxis(Math.max(...curve.points.map(point => point.flow), curve.operatingPoint.flow));
+  const yAxis = niceAxis(Math.max(...curve.points.map(point => point.head), curve.operatingPoint.head));
+  const toX = flow => x + (flow / xAxis.max) * width;
+  const toY = head => y + height - (head / yAxis.max) * height;
+
+  return {
+    line: curve.points.map(point => [toX(point.flow), toY(point.head)]),
+    operatingPoint: [toX(curve.operatingPoint.flow), toY(curve.operatingPoint.head)],
+    requiredFlowX: toX(curve.requiredFlow),
+    xTicks: xAxis.ticks.map(value => ({ label: String(value), position: toX(value) })),
+    yTicks: yAxis.ticks.map(value => ({ label: String(value), position: toY(value) }))
+  };
+}
+
+const PANEL_WIDTH = 28;
+const PANEL_HEIGHT = 40;
+const PANEL_GAP = 6;
+const STRING_GAP = 14;
+
+// Panel rectangles for the array: one row per string, panels in series along it
+function layoutArray(array, { x, y }) {
+  const panels = [];
+  for (let string = 0; string < array.strings; string++) {
+    for (let position = 0; position < array.seriesCount; position++) {
+      panels.push({
+        x: x + position * (PANEL_WIDTH + PANEL_GAP),
+        y: y + string * (PANEL_HEIGHT + STRING_GAP),
+        string: string + 1
+      });
+    }
+  }
+
+  return {
+    panels,
+    height: array.strings * (PANEL_HEIGHT + STRING_GAP) - STRING_GAP,
+    rowWidth: array.seriesCount * (PANEL_WIDTH + PANEL_GAP) - PANEL_GAP
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlRows(rows) {
+  return rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n');
+}
+
+function curveSvg(curve) {
+  const box = { x: 50, y: 15, width: 400, height: 200 };
+  const plot = plotCurve(curve, box);
+  const bottom = box.y + box.height;
+  const [opX, opY] = plot.operatingPoint;
+
+  return `<svg class="curve" viewBox="0 0 480 260" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Pump curve for ${escapeHtml(curve.model)}">
+  ${plot.yTicks.map(tick => `<line x1="${box.x}" y1="${tick.position}" x2="${box.x + box.width}" y2="${tick.position}" class="grid"/><text x="${box.x - 6}" y="${tick.position + 4}" text-anchor="end">${tick.label}</text>`).join('\n  ')}
+  ${plot.xTicks.map(tick => `<text x="${tick.position}" y="${bottom + 16}" text-anchor="middle">${tick.label}</text>`).join('\n  ')}
+  <line x1="${box.x}" y1="${box.y}" x2="${box.x}" y2="${bottom}" class="axis"/>
+  <line x1="${box.x}" y1="${bottom}" x2="${box.x + box.width}" y2="${bottom}" class="axis"/>
+  <line x1="${plot.requiredFlowX}" y1="${box.y}" x2="${plot.requiredFlowX}" y2="${bottom}" class="required"/>
+  <text x="${plot.requiredFlowX + 4}" y="${box.y + 10}">Required flow</text>
+  <polyline points="${plot.line.map(point => point.join(',')).join(' ')}" class="pump-curve"/>
+  <circle cx="${opX}" cy="${opY}" r="5" class="operating-point"/>
+  <text x="${opX + 8}" y="${opY - 8}">Operating point</text>
+  <text x="${box.x + box.width / 2}" y="${bottom + 34}" text-anchor="middle">Flow (${curve.flowUnit})</text>
+  <text x="14" y="${box.y + box.height / 2}" text-anchor="middle" transform="rotate(-90 14 ${box.y + box.height / 2})">Head (${curve.headUnit})</text>
+</svg>`;
+}
+
+function arraySvg(array) {
+  const layout = layoutArray(array, { x: 10, y: 10 });
+  const labelX = 10 + layout.rowWidth + 14;
+
+  return `<svg class="array" viewBox="0 0 ${labelX + 220} ${layout.height + 20}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Solar array layout">
+  ${layout.panels.map(panel => `<rect x="${panel.x}" y="${panel.y}" width="${PANEL_WIDTH}" height="${PANEL_HEIGHT}" class="panel"/>`).join('\n  ')}
+  ${Array.from({ length: array.strings }, (_, i) => `<text x="${labelX}" y="${10 + i * (PANEL_HEIGHT + STRING_GAP) + PANEL_HEIGHT / 2 + 4}">String ${i + 1}: ${array.seriesCount} x ${array.panelWatts}W in series, ${array.stringVoltage} V</text>`).join('\n  ')}
+</svg>`;
+}
+
+// A standalone HTML page laid out for printing
+function renderQuoteHtml(quote) {
+  const customer = quote.customer ?
+    htmlRows([['Name', quote.customer.name || ''], ['Email', quote.customer.email || ''], ['Phone', quote.customer.phone || '']].filter(([, value]) => value)) :
+    '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${COMPANY_NAME} quote ${escapeHtml(quote.quoteNumber)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+  header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 4px solid ${BRAND_COLOR}; padding-bottom: 8px; }
+  header h1 { color: ${BRAND_COLOR}; margin: 0; }
+  h2 { color: ${BRAND_COLOR}; font-size: 1.1em; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  tr.total th, tr.total td { font-weight: bold; border-top: 2px solid #222; }
+  .price { text-align: right; }
+  svg text { font-size: 11px; fill: #222; }
+  .grid { stroke: #ddd; }
+  .axis { stroke: #222; }
+  .required { stroke: #999; stroke-dasharray: 4 3; }
+  .pump-curve { fill: none; stroke: ${BRAND_COLOR}; stroke-width: 2; }
+  .operating-point { fill: #c0392b; }
+  .panel { fill: #dfe9f5; stroke: ${BRAND_COLOR}; }
+  svg.curve { width: 100%; max-width: 480px; }
+  svg.array { max-width: 100%; }
+  footer { margin-top: 32px; font-size: 0.8em; color: #666; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${COMPANY_NAME}</h1>
+  <div>
+    <strong>Quote ${escapeHtml(quote.quoteNumber)}</strong><br>
+    Date: ${quote.date}<br>
+    Valid until: ${quote.validUntil}
+  </div>
+</header>
+${customer ? `<h2>Customer</h2>\n<table>\n${customer}\n</table>` : ''}
+<h2>Site</h2>
+<table>
+${htmlRows(quote.site)}
+</table>
+<h2>Total dynamic head</h2>
+<table>
+${htmlRows(quote.tdh.rows)}
+<tr class="total"><th>Total dynamic head</th><td>${escapeHtml(quote.tdh.total)}</td></tr>
+</table>
+${quote.well ? `<h2>Well</h2>
+<table>
+${htmlRows(quote.well.rows)}
+</table>
+${quote.well.advice.length > 0 ? `<ul>\n${quote.well.advice.map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}\n</ul>` : ''}` : ''}
+<h2>Pump</h2>
+<table>
+${htmlRows(quote.pump)}
+</table>
+${curveSvg(quote.curve)}
+<h2>Solar array</h2>
+<p>${escapeHtml(quote.array.description)}, ${quote.array.wattage} W total for a ${quote.array.systemVoltage}V system.</p>
+${arraySvg(quote.array)}
+<h2>Bill of materials</h2>
+<table>
+<tr><th>Item</th><th>Quantity</th><th class="price">Unit price</th><th class="price">Total</th></tr>
+${quote.billOfMaterials.map(line => `<tr><td>${escapeHtml(line.description)}</td><td>${escapeHtml(line.quantity)}</td><td class="price">${line.unitPrice}</td><td class="price">${line.total}</td></tr>`).join('\n')}
+<tr class="total"><th colspan="3">Total (${quote.pricing.tier} prices, ${quote.pricing.currency})</th><td class="price">${quote.pricing.total}</td></tr>
+</table>
+${quote.pricing.unpricedItems > 0 ? `<p>Items marked "Price on request" are not included in the total.</p>` : ''}
+<footer>Sized against pump catalog version ${quote.catalogVersion}${quote.configVersion ? `, sizing settings version ${quote.configVersion}` : ''}, price list version ${quote.pricing.priceListVersion}. Solar output depends on weather; figures are for the design month.</footer>
+</body>
+</html>
+`;
+}
+
+// Label/value rows in two columns
+function pdfRows(doc, rows, { labelWidth = 180, bold = false } = {}) {
+  const x = doc.page.margins.left;
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#222');
+    doc.text(label, x, y, { width: labelWidth - 10 });
+    const labelBottom = doc.y;
+    doc.text(value, x + labelWidth, y, { width: doc.page.width - doc.page.margins.right - x - labelWidth });
+    doc.y = Math.max(labelBottom, doc.y) + 2;
+  }
+  doc.x = x;
+}
+
+// A table with fixed column widths; right-aligned columns are for money
+function pdfTable(doc, rows, columns, { bold = false } = {}) {
+  const left = doc.page.margins.left;
+  for (const row of rows) {
+    const y = doc.y;
+    let x = left;
+    let bottom = y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#222');
+    row.forEach((cell, i) => {
+      doc.text(cell, x, y, { width: columns[i].width - 8, align: columns[i].align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+      x += columns[i].width;
+    });
+    doc.y = bottom + 2;
+  }
+  doc.x = left;
+}
+
+function pdfHeading(doc, text, spaceNeeded = 60) {
+  // Keep a heading with at least the start of its section
+  if (doc.y + spaceNeeded > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(text, doc.page.margins.left);
+  doc.moveTo(doc.page.margins.left, doc.y + 1).lineTo(doc.page.width - doc.page.margins.right, doc.y + 1)
+    .lineWidth(0.5).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.4);
+}
+
+function pdfCurve(doc, curve) {
+  const box = { x: doc.page.margins.left + 40, y: doc.y + 10, width: 380, height: 170 };
+  const plot = plotCurve(curve, box);
+  const bottom = box.y + box.height;
+
+  doc.font('Helvetica').fontSize(8).fillColor('#222');
+  for (const tick of plot.yTicks) {
+    doc.moveTo(box.x, tick.position).lineTo(box.x + box.width, tick.position).lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.text(tick.label, box.x - 36, tick.position - 3, { width: 30, align: 'right', lineBreak: false });
+  }
+  for (const tick of plot.xTicks) {
+    doc.text(tick.label, tick.position - 15, bottom + 4, { width: 30, align: 'center', lineBreak: false });
+  }
+  doc.moveTo(box.x, box.y).lineTo(box.x, bottom).lineTo(box.x + box.width, bottom).lineWidth(1).strokeColor('#222222').stroke();
+  doc.moveTo(plot.requiredFlowX, box.y).lineTo(plot.requiredFlowX, bottom).dash(4, { space: 3 }).strokeColor('#999999').stroke().undash();
+  doc.text('Required flow', plot.requiredFlowX + 4, box.y + 2, { lineBreak: false });
+
+  const [first, ...rest] = plot.line;
+  doc.moveTo(...first);
+  rest.forEach(point => doc.lineTo(...point));
+  doc.lineWidth(2).strokeColor(BRAND_COLOR).stroke();
+
+  const [opX, opY] = plot.operatingPoint;
+  doc.circle(opX, opY, 4).fillColor('#c0392b').fill();
+  doc.fillColor('#222').text('Operating point', opX + 7, opY - 12, { lineBreak: false });
+
+  doc.text(`Flow (${curve.flowUnit})`, box.x, bottom + 16, { width: box.width, align: 'center', lineBreak: false });
+  doc.save().rotate(-90, { origin: [box.x - 34, box.y + box.height / 2] })
+    .text(`Head (${curve.headUnit})`, box.x - 74, box.y + box.height / 2 - 4, { width: 80, align: 'center', lineBreak: false })
+    .restore();
+
+  doc.y = bottom + 32;
+  doc.x = doc.page.margins.left;
+}
+
+function pdfArray(doc, array) {
+  const layout = layoutArray(array, { x: doc.page.margins.left, y: doc.y + 4 });
+  const labelX = doc.page.margins.left + layout.rowWidth + 14;
+
+  for (const panel of layout.panels) {
+    doc.rect(panel.x, panel.y, PANEL_WIDTH, PANEL_HEIGHT).lineWidth(1).fillAndStroke('#dfe9f5', BRAND_COLOR);
+  }
+  doc.font('Helvetica').fontSize(9).fillColor('#222');
+  for (let i = 0; i < array.strings; i++) {
+    const rowY = layout.panels[i * array.seriesCount].y;
+    doc.text(`String ${i + 1}: ${array.seriesCount} x ${array.panelWatts}W in series, ${array.stringVoltage} V`,
+      labelX, rowY + PANEL_HEIGHT / 2 - 4, { lineBreak: false });
+  }
+
+  doc.y = layout.panels[0].y + layout.height + 8;
+  doc.x = doc.page.margins.left;
+}
+
+// Render the quote to a PDF; resolves to the file contents
+function renderQuotePdf(quote) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 50,
+      info: { Title: `${COMPANY_NAME} quote ${quote.quoteNumber}`, Author: COMPANY_NAME }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Letterhead
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR).text(COMPANY_NAME, left, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#222')
+      .text(`Quote ${quote.quoteNumber}`, left, 52, { align: 'right' })
+      .text(`Date: ${quote.date}`, { align: 'right' })
+      .text(`Valid until: ${quote.validUntil}`, { align: 'right' });
+    doc.moveTo(left, 92).lineTo(right, 92).lineWidth(3).strokeColor(BRAND_COLOR).stroke();
+    doc.y = 100;
+
+    if (quote.customer) {
+      pdfHeading(doc, 'Customer');
+      pdfRows(doc, [['Name', quote.customer.name], ['Email', quote.customer.email], ['Phone', quote.customer.phone]].filter(([, value]) => value));
+    }
+
+    pdfHeading(doc, 'Site');
+    pdfRows(doc, quote.site);
+
+    pdfHeading(doc, 'Total dynamic head');
+    pdfRows(doc, quote.tdh.rows);
+    pdfRows(doc, [['Total dynamic head', quote.tdh.total]], { bold: true });
+
+    if (quote.well) {
+      pdfHeading(doc, 'Well');
+      pdfRows(doc, quote.well.rows, { labelWidth: 90 });
+      doc.font('Helvetica').fontSize(9).fillColor('#222');
+      for (const line of quote.well.advice) {
+        doc.text(`- ${line}`, left);
+      }
+    }
+
+    pdfHeading(doc, 'Pump', 300);
+    pdfRows(doc, quote.pump);
+    pdfCurve(doc, quote.curve);
+
+    pdfHeading(doc, 'Solar array', 120);
+    doc.font('Helvetica').fontSize(10).fillColor('#222')
+      .text(`${quote.array.description}, ${quote.array.wattage} W total for a ${quote.array.systemVoltage}V system.`);
+    doc.moveDown(0.3);
+    pdfArray(doc, quote.array);
+
+    const columns = [{ width: 262 }, { width: 70 }, { width: 90, align: 'right' }, { width: 90, align: 'right' }];
+    pdfHeading(doc, 'Bill of materials');
+    pdfTable(doc, [['Item', 'Quantity', 'Unit price', 'Total']], columns, { bold: true });
+    pdfTable(doc, quote.billOfMaterials.map(line => [line.description, line.quantity, line.unitPrice, line.total]), columns);
+    pdfTable(doc, [[`Total (${quote.pricing.tier} prices, ${quote.pricing.currency})`, '', '', quote.pricing.total]], columns, { bold: true });
+    if (quote.pricing.unpricedItems > 0) {
+      doc.font('Helvetica').fontSize(9).text('Items marked "Price on request" are not included in the total.', left);
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text(`Sized against pump catalog version ${quote.catalogVersion}${quote.configVersion ? `, sizing settings version ${quote.configVersion}` : ''}, price list version ${quote.pricing.priceListVersion}. Solar output depends on weather; figures are for the design month.`, left);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  COMPANY_NAME,
+  QUOTE_VALID_DAYS,
+  createQuoteNumber,
+  buildQuote,
+  niceAxis,
+  plotCurve,
+  renderQuoteHtml,
+  renderQuotePdf
+};
@@ -0,0 +1,87 @@
+// importPumpCurves.js - Build data/pumpCatalog.json from the pump curve workbook
+//
+// Usage: node scripts/importPumpCurves.js [source.xlsx|source.csv] [--out catalog.json] [--families families.json]
+//
+// Every sheet is read, so each pump family can keep its curves on its own sheet.
+// Voltage, power and solar rules come from data/pumpFamilies.json.
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const {
+  DEFAULT_CATALOG_PATH,
+  DEFAULT_FAMILIES_PATH,
+  buildModelsFromRows,
+  validatePumpCatalog,
+  loadPumpFamilies
+} = require('../pumpCatalog');
+
+const DEFAULT_SOURCE_PATH = path.join(__dirname, '..', 'data', 'Pump_Models_Curves.xlsx');
+
+// Parse command line arguments
+function parseArgs(argv) {
+  const options = {
+    source: DEFAULT_SOURCE_PATH,
+    out: DEFAULT_CATALOG_PATH,
+    families: DEFAULT_FAMILIES_PATH
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      options.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--families') {
+      options.families = path.resolve(argv[++i]);
+    } else {
+      options.source = path.resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+// Read the previous catalog so the version only moves when the curves or families change
+function readPreviousCatalog(catalogPath) {
+  try {
+    return JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // XLSX reads both the workbook and a CSV export of a sheet
+  const workbook = XLSX.readFile(options.source);
+  const rows = [];
+  for (const sheetName of workbook.SheetNames) {
+    rows.push(...XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' }));
+  }
+
+  const families = loadPumpFamilies(options.families);
+  const models = buildModelsFromRows(rows, families);
+  const previous = readPreviousCatalog(options.out);
+  const unchanged = previous &&
+    JSON.stringify(previous.families) === JSON.stringify(families) &&
+    JSON.stringify(previous.models) === JSON.stringify(models);
+
+  const catalog = {
+    version: previous && Number.isInteger(previous.version) ? previous.version + (unchanged ? 0 : 1) : 1,
+    source: path.relative(path.dirname(options.out), options.source),
+    importedAt: unchanged ? previous.importedAt : new Date().toISOString(),
+    families,
+    models
+  };
+
+  const errors = validatePumpCatalog(catalog);
+  if (errors.length > 0) {
+    console.error(`Pump curves in ${options.source} are invalid:`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  fs.writeFileSync(options.out, JSON.stringify(catalog, null, 2) + '\n');
+  console.log(`Wrote ${Object.keys(models).length} models to ${options.out} (catalog version ${catalog.version}${unchanged ? ', unchanged' : ''})`);
+}
+
+main();
@@ -0,0 +1,74 @@
+// replayTranscripts.js - Replay recorded conversations through the state machine
+//
+// Usage: node scripts/replayTranscripts.js [transcript.jsonl|dir ...] [--record]
+//
+// With no paths, every transcript in test/transcripts is replayed. Any turn whose
+// stage or expected data differs is reported and the exit code is 1.
+// --record rewrites the transcripts' expectations from the current behaviour; use it
+// for new transcripts, or after a change you meant to make, and review the diff.
+const fs = require('fs');
+const path = require('path');
+
+const { loadTranscript, findTranscripts, replayTranscript, recordTranscript, saveTranscript } = require('../transcripts');
+
+const DEFAULT_TRANSCRIPTS_DIR = path.join(__dirname, '..', 'test', 'transcripts');
+
+// Parse command line arguments
+function parseArgs(argv) {
+  const options = { paths: [], record: false };
+
+  for (const arg of argv) {
+    if (arg === '--record') {
+      options.record = true;
+    } else {
+      options.paths.push(path.resolve(arg));
+    }
+  }
+
+  if (options.paths.length === 0) {
+    options.paths.push(DEFAULT_TRANSCRIPTS_DIR);
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const files = options.paths.flatMap(p => fs.statSync(p).isDirectory() ? findTranscripts(p) : [p]);
+
+  // The state machine logs what it detects; keep the report readable
+  const log = console.log;
+  console.log = () => {};
+
+  let failed = 0;
+  for (const file of files) {
+    const transcript = loadTranscript(file);
+
+    if (options.record) {
+      saveTranscript(recordTranscript(transcript));
+      log(`RECORDED ${transcript.name} (${transcript.turns.length} turns)`);
+      continue;
+    }
+
+    const result = replayTranscript(transcript);
+    if (result.divergences.length === 0) {
+      log(`PASS ${result.name} (${result.turns} turns)`);
+      continue;
+    }
+
+    failed++;
+    log(`FAIL ${result.name}`);
+    for (const divergence of result.divergences) {
+      log(`  turn ${divergence.turn} ${JSON.stringify(divergence.user)}: ${divergence.field} expected ${JSON.stringify(divergence.expected)}, got ${JSON.stringify(divergence.actual)}`);
+    }
+  }
+
+  console.log = log;
+
+  if (failed > 0) {
+    console.error(`${failed} of ${files.length} transcripts diverged`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,151 @@
+// searchProvider.js - Web search behind one interface, picked by SEARCH_PROVIDER:
+//   google   - Google Custom Search (GOOGLE_API_KEY and GOOGLE_CSE_ID)
+//   fixture  - canned results from a local JSON file, for offline use and tests
+//   disabled - no search; every query comes back empty
+// Results are cached per query and every search runs inside a time budget, so a slow
+// or failing search just means the chat reply goes out without it.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const SEARCH_PROVIDER_TYPES = ['google', 'fixture', 'disabled'];
+
+const GOOGLE_SEARCH_URL = 'https://www.googleapis.com/customsearch/v1';
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'data', 'searchFixtures.json');
+
+const DEFAULT_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+const DEFAULT_BUDGET = 2500; // milliseconds of search allowed per chat request
+const MAX_CACHE_ENTRIES = 500;
+
+// Google Custom Search; each result is { title, snippet, link }
+function createGoogleProvider({ apiKey = process.env.GOOGLE_API_KEY, engineId = process.env.GOOGLE_CSE_ID } = {}) {
+  if (!apiKey || !engineId) {
+    throw new Error('GOOGLE_API_KEY and GOOGLE_CSE_ID are required for the google search provider');
+  }
+
+  return {
+    name: 'google',
+
+    async search(query, { signal } = {}) {
+      const response = await axios.get(GOOGLE_SEARCH_URL, {
+        params: { key: apiKey, cx: engineId, q: query },
+        signal
+      });
+
+      return (response.data.items || []).map(item => ({
+        title: item.title,
+        snippet: item.snippet,
+        link: item.link
+      }));
+    }
+  };
+}
+
+// Canned results: the first entry whose "match" text appears in the query wins
+function createFixtureProvider({ fixturesPath = process.env.SEARCH_FIXTURES_PATH || DEFAULT_FIXTURES_PATH } = {}) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+  return {
+    name: 'fixture',
+
+    async search(query) {
+      const lowerQuery = query.toLowerCase();
+      const fixture = fixtures.results.find(entry => lowerQuery.includes(entry.match.toLowerCase()));
+      return fixture ? fixture.items : [];
+    }
+  };
+}
+
+function createDisabledProvider() {
+  return {
+    name: 'disabled',
+
+    async search() {
+      return [];
+    }
+  };
+}
+
+// Pick a provider; without SEARCH_PROVIDER, Google is used when its keys are set
+function createSearchProvider(type = process.env.SEARCH_PROVIDER, options = {}) {
+  const providerType = type ||
+    (process.env.GOOGLE_API_KEY && process.env.GOOGLE_CSE_ID ? 'google' : 'disabled');
+
+  switch (providerType) {
+    case 'google':
+      return createGoogleProvider(options);
+    case 'fixture':
+      return createFixtureProvider(options);
+    case 'disabled':
+      return createDisabledProvider();
+    default:
+      throw new Error(`Unknown search provider "${providerType}"; expected one of: ${SEARCH_PROVIDER_TYPES.join(', ')}`);
+  }
+}
+
+// Wrap a provider with a per-query TTL cache and a time budget. search() never
+// throws: errors and timeouts come back as an empty result list.
+function createSearchClient(provider, { ttl = DEFAULT_CACHE_TTL, budget = DEFAULT_BUDGET } = {}) {
+  const cache = new Map();
+
+  // Start a budget for one chat request; every search made with it shares the time
+  function startBudget(milliseconds = budget) {
+    return { deadline: Date.now() + milliseconds };
+  }
+
+  async function search(query, requestBudget = startBudget()) {
+    const cached = cache.get(query);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.results;
+    }
+
+    const remaining = requestBudget.deadline - Date.now();
+    if (remaining <= 0) {
+      console.log(`Search budget spent, skipping: ${query}`);
+      return [];
+    }
+
+    const abortController = new AbortController();
+    const timer = setTimeout(() => abortController.abort(), remaining);
+
+    try {
+      const results = await provider.search(query, { signal: abortController.signal });
+
+      // Oldest entries go first once the cache is full
+      cache.delete(query);
+      cache.set(query, { results, expiresAt: Date.now() + ttl });
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+
+      return results;
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        console.log(`Search timed out after ${remaining}ms: ${query}`);
+      } else {
+        console.error(`Search error (${provider.name}):`, error.message);
+      }
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    provider: provider.name,
+    startBudget,
+    search,
+    clearCache: () => cache.clear()
+  };
+}
+
+module.exports = {
+  SEARCH_PROVIDER_TYPES,
+  DEFAULT_CACHE_TTL,
+  DEFAULT_BUDGET,
+  createGoogleProvider,
+  createFixtureProvider,
+  createDisabledProvider,
+  createSearchProvider,
+  createSearchClient
+};
@@ -2,13 +2,30 @@
 require('dotenv').config();
 
 // Import required packages
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const { OpenAI } = require('openai');
-const axios = require('axios');
 
-// Import pump data
-const pumpData = require('./pumpData');
+// Import sizing and conversation modules
+const { resolveLocation, getDesignSunHours } = require('./solarData');
+const { validateSiteDescription } = require('./siteSchema');
+const { STAGES } = require('./stages');
+const { DEFAULT_ALTERNATIVES, MAX_ALTERNATIVES, ALTERNATIVE_RANKINGS, calculateRecommendation } = require('./sizing');
+const { createSession, adjustSarcasticLevel, processUserInput, isConversationStageQuestion } = require('./conversation');
+const { createSessionStore } = require('./sessionStore');
+const { createConfigStore } = require('./configStore');
+const { pumpFamilies } = require('./pumpData');
+const { createLLMProvider } = require('./llmProvider');
+const { DEFAULT_CACHE_TTL, DEFAULT_BUDGET, createSearchProvider, createSearchClient } = require('./searchProvider');
+const { DEFAULT_DEAD_LETTER_PATH, createWebhookSender } = require('./webhook');
+const { createLogStore, defaultLogStoreType } = require('./logStore');
+const { DEFAULT_LEADS_PATH, buildLead, createLeadLog } = require('./leads');
+const { extractWithLLM } = require('./extraction');
+const { createQuoteNumber, buildQuote, renderQuoteHtml, renderQuotePdf } = require('./quote');
+const { parseWhatIf, editSession } = require('./whatIf');
+const { renderAdminPage } = require('./adminPage');
+const { DEFAULT_PRICE_TIER } = require('./pricing');
+const { UNIT_SYSTEMS } = require('./units');
 
 // Create Express app
 const app = express();
@@ -16,134 +33,75 @@ const app = express();
 // Enable CORS with specific options
 const corsOptions = {
     origin: '*', // For testing, allows all origins
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH'],
+    // No X-Dealer-Key: the one dealer key must stay out of page JavaScript, so dealer
+    // prices are for server-to-server calls only
     allowedHeaders: ['Content-Type']
 };
   
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Google search API setup
-const googleSearchApiKey = process.env.GOOGLE_API_KEY;
-const googleSearchEngineId = process.env.GOOGLE_CSE_ID;
-
-// Water consumption data for livestock
-const livestockWaterNeeds = {
-  "beef": { "summer": 22 }, // gallons per day per head with calves
-  "dairy": { "summer": 32 }, // gallons per day per head with calves
-  "horses": { "summer": 13.5 }, // gallons per day per head with foals
-  "goats": { "summer": 4 }, // gallons per day per head with young
-  "sheep": { "summer": 4 } // gallons per day per head with young
-};
+// LLM provider from LLM_PROVIDER (openai, openai-compatible or mock) and LLM_MODEL
+const llm = createLLMProvider(process.env.LLM_PROVIDER);
 
-// Household water usage (gallons per day)
-const householdWaterNeeds = {
-  "person": 80, // Average per person
-  "bathroom": 100,
-  "kitchen": 50,
-  "laundry": 30,
-  "garden_small": 100,
-  "garden_medium": 300,
-  "garden_large": 600
-};
+// Extract answers with function calling unless turned off; regexes are the offline fallback
+const useLLMExtraction = process.env.LLM_EXTRACTION !== 'off';
 
-// Irrigation water usage (gallons per day per acre)
-const irrigationWaterNeeds = {
-  "drip": 600,
-  "sprinkler": 1200, 
-  "flood": 2400,
-  "vegetables": 1.2, // multiplier
-  "fruits": 1.0, // multiplier
-  "lawn": 1.5 // multiplier
-};
+// Chat recommendations list the other pumps that would do and the near-misses
+const CHAT_SIZING_OPTIONS = { alternatives: { count: DEFAULT_ALTERNATIVES } };
 
-// Water usage types
-const USAGE_TYPES = {
-  UNKNOWN: 'unknown',
-  LIVESTOCK: 'livestock',
-  HOUSEHOLD: 'household',
-  IRRIGATION: 'irrigation',
-  OTHER: 'other'
-};
+// Web search from SEARCH_PROVIDER (google, fixture or disabled), cached per query;
+// each chat request gets SEARCH_BUDGET_MS of search time in total
+const search = createSearchClient(createSearchProvider(process.env.SEARCH_PROVIDER), {
+  ttl: parseInt(process.env.SEARCH_CACHE_TTL_MS) || DEFAULT_CACHE_TTL,
+  budget: parseInt(process.env.SEARCH_BUDGET_MS) || DEFAULT_BUDGET
+});
 
-// Conversation stages
-const STAGES = {
-  GREETING: 'greeting',
-  USAGE_TYPE: 'usage_type',
-  LOCATION: 'location',
-  
-  // Livestock stages
-  LIVESTOCK_TYPE: 'livestock_type',
-  ANIMAL_COUNT: 'animal_count',
-  
-  // Household stages
-  PEOPLE_COUNT: 'people_count',
-  FIXTURES_COUNT: 'fixtures_count',
-  
-  // Irrigation stages
-  IRRIGATION_AREA: 'irrigation_area',
-  IRRIGATION_TYPE: 'irrigation_type',
-  CROP_TYPE: 'crop_type',
-  
-  // Common stages
-  WELL_DEPTH: 'well_depth',
-  STATIC_WATER: 'static_water',
-  DRAWDOWN: 'drawdown',
-  ELEVATION: 'elevation',
-  PIPE_INFO: 'pipe_info',
-  STORAGE_TANK: 'storage_tank',
-  WATER_QUALITY: 'water_quality',
-  WELL_CASING: 'well_casing',
-  SUMMARY: 'summary',
-  RECOMMENDATION: 'recommendation',
-  
-  // Special stages
-  CUSTOM_FLOW: 'custom_flow',
-  CUSTOM_HEAD: 'custom_head'
-};
+// Completed sizings go to the lead log and, if CRM_WEBHOOK_URL is set, to the CRM. Both
+// logs use LOG_STORE, else the session store's database, else LEADS_PATH and
+// WEBHOOK_DEAD_LETTER_PATH files, which don't outlive a serverless request.
+const logStoreType = defaultLogStoreType();
+const leadLog = createLeadLog({
+  store: createLogStore(logStoreType, { name: 'leads', path: process.env.LEADS_PATH || DEFAULT_LEADS_PATH }),
+  webhook: createWebhookSender({
+    url: process.env.CRM_WEBHOOK_URL,
+    secret: process.env.CRM_WEBHOOK_SECRET,
+    maxAttempts: parseInt(process.env.CRM_WEBHOOK_MAX_ATTEMPTS) || undefined,
+    maxDeliveryTime: parseInt(process.env.CRM_WEBHOOK_MAX_DELIVERY_MS) || undefined,
+    deadLetters: createLogStore(logStoreType, { name: 'webhook-dead-letters', path: process.env.WEBHOOK_DEAD_LETTER_PATH || DEFAULT_DEAD_LETTER_PATH })
+  })
+});
 
-// Improved session management with TTL
+// Sessions persist through the store picked by SESSION_STORE (memory, sqlite or redis),
+// which also expires them after SESSION_TTL of inactivity
 const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-let sessions = {};
-
-// Session cleanup function to prevent memory leaks
-function cleanupSessions() {
-  const now = Date.now();
-  for (const [sessionId, session] of Object.entries(sessions)) {
-    if (session.lastAccessed && now - session.lastAccessed > SESSION_TTL) {
-      delete sessions[sessionId];
-    }
-  }
-}
+const sessionStore = createSessionStore(process.env.SESSION_STORE, { ttl: SESSION_TTL });
 
-// Run cleanup every hour
-setInterval(cleanupSessions, 60 * 60 * 1000);
+// Sizing settings live on the same kind of backend (SIZING_CONFIG_STORE, else SESSION_STORE)
+// and are read on every request, so an admin change reaches every instance at once
+const configStore = createConfigStore(undefined, { families: Object.keys(pumpFamilies) });
+
+// Options for a chat sizing, with the sizing settings in use right now
+async function chatSizingOptions() {
+  return { ...CHAT_SIZING_OPTIONS, config: await configStore.current() };
+}
 
 // Get or create session with timestamp
-function getOrCreateSession(sessionId) {
-  if (!sessions[sessionId]) {
-    sessions[sessionId] = {
-      messages: [],
-      data: {
-        usageType: USAGE_TYPES.UNKNOWN,
-        sarcasticLevel: 0 // Start with no sarcasm, will increase based on user interaction
-      },
-      currentStage: STAGES.GREETING,
-      lastAccessed: Date.now(),
-      hasSharedLocalFact: false
-    };
-  } else {
-    // Update last accessed time
-    sessions[sessionId].lastAccessed = Date.now();
-  }
+async function getOrCreateSession(sessionId) {
+  const session = await sessionStore.get(sessionId) || createSession();
   
-  return sessions[sessionId];
+  // Update last accessed time
+  session.lastAccessed = Date.now();
+  
+  return session;
 }
+
+// Write a session back to the store; this also refreshes its TTL
+async function saveSession(sessionId, session) {
+  await sessionStore.set(sessionId, session);
+}
+
 // Replace the current systemPrompt with this intentionally over-the-top sarcastic cowboy version
 const systemPrompt = `
 You are a WILDLY SARCASTIC, fourth-wall-breaking cowboy pump expert with a twisted sense of humor like Deadpool in a Stetson. You're here to help customers size their solar pumps, but you're going to do it with MAXIMUM swagger and snark.
@@ -257,126 +215,226 @@ ALWAYS COLLECT THIS INFORMATION by asking each question one at a time and gettin
 1. Water usage purpose (livestock, household, irrigation, other)
 2. Location (city & state)
 3. Usage-specific requirements (livestock numbers, household details, irrigation area)
-4. Well depth and water levels
-5. Elevation gain, pipe details, storage tank info
-6. Water quality and well casing size
+4. Well depth and water levels, the well's yield (recovery rate in gallons per minute, from the driller's log or a pump test) and how deep the pump is or will be set. Then whether there are other wells to pump from (depth and water level for each, one at a time)
+5. Elevation gain, pipe details (length, size and material: PVC, HDPE, poly or galvanized steel), any other tanks or troughs the water goes to (rise, pipe run and which well feeds each, one at a time), storage tank info (existing tank capacity in gallons, or none and we'll propose one)
+6. Water quality, well casing size, and how far the solar array and controller will be from the wellhead (we size the pump wire from it)
+7. Optionally, their name and an email or phone number so we can send the quote (they can skip this)
+
+Customers may answer in metric (meters, liters, millimeters, hectares). Ask follow-up questions and give numbers back in whichever units they're using.
 
 When providing a final summary with specifications, briefly drop the character and give a clear, professional summary of the pump recommendation, then go back to character for a closing line.
 
+After the recommendation, customers can ask what-ifs like "what if I had 80 cows instead". We re-size for the one change and tell you what it did to the system; explain the differences plainly.
+
 
 `;
 
-// Main chat endpoint with improved local fact handling
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, sessionId } = req.body;
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
-    }
-    
-    // Get or create session with timestamp refresh
-    const session = getOrCreateSession(sessionId);
-    
-    // Add user message to history
-    session.messages.push({ role: 'user', content: message });
-    
-    // Process user input based on current stage
-    processUserInput(session, message);
-    
-    // Track sarcasm level based on user interaction
-    adjustSarcasticLevel(session, message);
-    
-    // Determine if we need to use Google search for this query
-    let additionalInfo = "";
-    let localFactFound = false;
+// Join the first few snippets from a search into one block of context
+function joinSnippets(results, count) {
+  return results.length > 0 ? results.slice(0, count).map(result => result.snippet).join(' ') : null;
+}
+
+// Search for solar insolation data
+async function searchSolarInsolation(location, budget) {
+  const results = await search.search(`NREL solar insolation data for ${location}`, budget);
+  return joinSnippets(results, 2);
+}
+
+// Search for an interesting fact about the customer's location
+async function searchLocalFact(location, budget) {
+  const results = await search.search(`interesting historical fact about ${location}`, budget);
+  const snippets = results.slice(0, 3).map(result => result.snippet).filter(Boolean);
+  
+  // Prefer a real sentence over weather listings and fragments
+  const filteredSnippets = snippets.filter(snippet => 
+    !snippet.includes('weather') && 
+    snippet.length > 40 && 
+    snippet.split(' ').length > 8
+  );
+  
+  return filteredSnippets[0] || snippets[0] || null;
+}
+
+// Search for pump-related information
+async function searchPumpInformation(query, budget) {
+  // Add restrictions to only get relevant information
+  const results = await search.search(`solar water pump for ${query}`, budget);
+  return joinSnippets(results, 2);
+}
+
+// Work through one chat turn up to the model call: record the message, extract and
+// process the answer, gather search results and build the prompt for the reply
+async function prepareChatTurn(session, message, signal) {
+  // Add user message to history
+  session.messages.push({ role: 'user', content: message });
+  
+  // Pull this stage's answer out with function calling; regexes take over if that fails
+  const extraction = useLLMExtraction ?
+    await extractWithLLM(llm, session.currentStage, message, signal) :
+    null;
+  
+  // Process user input based on current stage. Once the system is sized, "what if I had
+  // 80 cows instead" changes that one answer and re-sizes straight away.
+  const previousLocation = session.data.location;
+  const whatIf = session.currentStage === STAGES.RECOMMENDATION ? parseWhatIf(message, session.data) : null;
+  session.whatIf = whatIf ? editSession(session, whatIf.field, whatIf.value, await chatSizingOptions()) : null;
+  if (!whatIf) {
+    processUserInput(session, message, extraction);
+  }
+  
+  // Track sarcasm level based on user interaction
+  adjustSarcasticLevel(session, message);
+  
+  // Determine if we need to use web search for this query; all searches share one time budget
+  let additionalInfo = "";
+  let localFactFound = false;
+  const searchBudget = search.startBudget();
+  
+  // Share the bundled peak sun hours used for sizing when the location changes
+  if (session.data.location && session.data.location !== previousLocation) {
+    const sunHours = getDesignSunHours(resolveLocation(session.data.location), session.data.designMonth);
+    additionalInfo += sunHours.region ?
+      `\nSizing will use ${sunHours.peakSunHours} peak sun hours for ${sunHours.region} (${sunHours.monthName}, ${sunHours.basis}).` :
+      `\nLocation "${session.data.location}" was not found in our solar table; sizing will use a default ${sunHours.peakSunHours} peak sun hours. Ask for the state if it wasn't given.`;
+  }
+  
+  // Check if we need solar insolation data and local facts
+  if (session.currentStage === STAGES.LOCATION && session.data.location) {
+    console.log(`Processing location: ${session.data.location}`);
     
-    // Check if we need solar insolation data and local facts
-    if (session.currentStage === STAGES.LOCATION && session.data.location) {
-      console.log(`Processing location: ${session.data.location}`);
+    try {
+      // Get solar data
+      const solarData = await searchSolarInsolation(session.data.location, searchBudget);
+      if (solarData) {
+        // Background only; sizing keeps the peak sun hours given above
+        additionalInfo += `\nBackground solar insolation figures from the web for ${session.data.location} (not used for sizing): ${solarData}`;
+        console.log(`Found solar data: ${solarData}`);
+      }
       
-      try {
-        // Get solar data
-        const solarData = await searchSolarInsolation(session.data.location);
-        if (solarData) {
-          additionalInfo = `\nSolar insolation data for ${session.data.location}: ${solarData}`;
-          console.log(`Found solar data: ${solarData}`);
-        }
+      // Get a local fact for conversation if we haven't shared one yet
+      if (!session.hasSharedLocalFact) {
+        console.log("Attempting to get local fact...");
+        const localFact = await searchLocalFact(session.data.location, searchBudget);
         
-        // Get a local fact for conversation if we haven't shared one yet
-        if (!session.hasSharedLocalFact) {
-          console.log("Attempting to get local fact...");
-          const localFact = await searchLocalFact(session.data.location);
-          
-          if (localFact) {
-            additionalInfo += `\nInteresting local fact about ${session.data.location}: ${localFact}`;
-            session.hasSharedLocalFact = true;
-            localFactFound = true;
-            console.log(`Found local fact: ${localFact}`);
-          } else {
-            console.log("No local fact found");
-          }
+        if (localFact) {
+          additionalInfo += `\nInteresting local fact about ${session.data.location}: ${localFact}`;
+          session.hasSharedLocalFact = true;
+          localFactFound = true;
+          console.log(`Found local fact: ${localFact}`);
+        } else {
+          console.log("No local fact found");
         }
-      } catch (error) {
-        console.error('Error fetching location data:', error);
       }
+    } catch (error) {
+      console.error('Error fetching location data:', error);
     }
+  }
+  
+  // Check if this is a general question that needs search
+  if (!isConversationStageQuestion(message)) {
+    try {
+      const searchResults = await searchPumpInformation(message, searchBudget);
+      if (searchResults) {
+        additionalInfo += `\nAdditional information: ${searchResults}`;
+      }
+    } catch (error) {
+      console.error('Error searching for information:', error);
+    }
+  }
+  
+  // Have the assistant ask again for anything missing or out of range
+  let reaskInstruction = "";
+  if (session.reask) {
+    reaskInstruction = `The customer's last answer didn't give a usable value for: ${session.reask.problems
+      .map(problem => `${problem.description} (${problem.reason})`)
+      .join('; ')}. Politely ask for that again before moving on.`;
+  }
+  
+  // Walk the customer through what their change did to the system
+  if (session.whatIf) {
+    additionalInfo += session.whatIf.errors ?
+      `\nThe customer asked to change ${whatIf.field} to ${whatIf.value}, but that value ${session.whatIf.errors[0].message}. Ask them to check it.` :
+      `\nThe customer changed ${whatIf.field} from ${session.whatIf.previous} to ${whatIf.value} and the system was re-sized. Tell them what changed:\n${session.whatIf.summary}`;
+  }
+  
+  // Add explicit instructions for local facts if one was found
+  let factInstruction = "";
+  if (localFactFound) {
+    factInstruction = `The user is from ${session.data.location}. Share the interesting local fact I've provided in your response in a natural way.`;
+  }
+  
+  return [
+    { role: "system", content: systemPrompt },
+    ...session.messages,
+    // Include re-ask instruction if the last answer couldn't be used
+    ...(reaskInstruction ? [{ role: "system", content: reaskInstruction }] : []),
+    // Include local fact instruction if available
+    ...(factInstruction ? [{ role: "system", content: factInstruction }] : []),
+    // Include sarcasm level guidance
+    { role: "system", content: `Sarcasm level: ${session.data.sarcasticLevel}/10. Adjust your humor accordingly.` },
+    // Include additional information if available
+    ...(additionalInfo ? [{ role: "system", content: additionalInfo }] : []),
+    // Include current conversation state for the AI
+    { role: "system", content: `Current conversation stage: ${session.currentStage}. 
+                                Water usage type: ${session.data.usageType}.
+                                Units: ${session.data.unitSystem || UNIT_SYSTEMS.IMPERIAL}. Stored data is in feet, gallons, inches and acres.
+                                User data collected so far: ${JSON.stringify(session.data)}` }
+  ];
+}
+
+// Finish a chat turn once the reply is in: record it and size the system if we're done.
+// A sizing is logged as a lead on the turn the conversation first reaches the recommendation.
+async function finishChatTurn(sessionId, session, assistantMessage, previousStage) {
+  // Add assistant message to history
+  session.messages.push({ role: 'assistant', content: assistantMessage });
+  
+  // If we've reached the recommendation stage, calculate and add recommendation
+  if (session.currentStage === STAGES.RECOMMENDATION) {
+    const recommendation = calculateRecommendation(session.data, await chatSizingOptions());
+    session.data.recommendation = recommendation;
     
-    // Check if this is a general question that needs search
-    if (!isConversationStageQuestion(message)) {
+    if (previousStage !== STAGES.RECOMMENDATION) {
       try {
-        const searchResults = await searchPumpInformation(message);
-        if (searchResults) {
-          additionalInfo += `\nAdditional information: ${searchResults}`;
-        }
+        const lead = await leadLog.record(buildLead(sessionId, session));
+        session.leadId = lead.id;
       } catch (error) {
-        console.error('Error searching for information:', error);
+        console.error('Error recording lead:', error);
       }
     }
+  }
+}
+
+// Main chat endpoint with improved local fact handling
+app.post('/api/chat', async (req, res) => {
+  try {
+    const { message, sessionId } = req.body;
     
-    // Add explicit instructions for local facts if one was found
-    let factInstruction = "";
-    if (localFactFound) {
-      factInstruction = `The user is from ${session.data.location}. Share the interesting local fact I've provided in your response in a natural way.`;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
     }
     
+    // Get or create session with timestamp refresh
+    const session = await getOrCreateSession(sessionId);
+    const previousStage = session.currentStage;
+    const messages = await prepareChatTurn(session, message);
+    
     // Generate response
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo", // Use standard model until we confirm this works
-      messages: [
-        { role: "system", content: systemPrompt },
-        ...session.messages,
-        // Include local fact instruction if available
-        ...(factInstruction ? [{ role: "system", content: factInstruction }] : []),
-        // Include sarcasm level guidance
-        { role: "system", content: `Sarcasm level: ${session.data.sarcasticLevel}/10. Adjust your humor accordingly.` },
-        // Include additional information if available
-        ...(additionalInfo ? [{ role: "system", content: additionalInfo }] : []),
-        // Include current conversation state for the AI
-        { role: "system", content: `Current conversation stage: ${session.currentStage}. 
-                                    Water usage type: ${session.data.usageType}.
-                                    User data collected so far: ${JSON.stringify(session.data)}` }
-      ],
+    const assistantMessage = await llm.complete({
+      messages,
       temperature: 0.7 // Add some variability to the responses
     });
     
-    const assistantMessage = response.choices[0].message.content;
-    
-    // Add assistant message to history
-    session.messages.push({ role: 'assistant', content: assistantMessage });
-    
-    // If we've reached the recommendation stage, calculate and add recommendation
-    if (session.currentStage === STAGES.RECOMMENDATION) {
-      const recommendation = calculateRecommendation(session.data);
-      session.data.recommendation = recommendation;
-    }
+    await finishChatTurn(sessionId, session, assistantMessage, previousStage);
+    await saveSession(sessionId, session);
     
     // Return response to client
     res.json({ 
       message: assistantMessage,
       stage: session.currentStage,
       sessionId: sessionId,
-      recommendation: session.currentStage === STAGES.RECOMMENDATION ? session.data.recommendation : null
+      recommendation: session.currentStage === STAGES.RECOMMENDATION ? session.data.recommendation : null,
+      whatIf: session.whatIf,
+      quoteUrl: quoteUrl(sessionId, session)
     });
     
   } catch (error) {
@@ -385,752 +443,392 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Adjust sarcasm level based on user interaction
-function adjustSarcasticLevel(session, message) {
-  const lowerMessage = message.toLowerCase();
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming chat endpoint - same conversation as /api/chat, sent as Server-Sent Events:
+// "stage" when the stage changes, "token" for each piece of the reply, "whatIf" with the
+// changes when an answer is changed after sizing, "recommendation" once the system is
+// sized, then "done" (or "error"). If the client disconnects the
+// upstream calls are aborted and the turn isn't saved, so the message can be resent.
+app.post('/api/chat/stream', async (req, res) => {
+  const { message, sessionId } = req.body;
   
-  // Increase sarcasm if user seems to enjoy banter
-  if (lowerMessage.includes('funny') || 
-      lowerMessage.includes('lol') || 
-      lowerMessage.includes('haha') || 
-      lowerMessage.includes('😂') ||
-      lowerMessage.includes('🤣') ||
-      lowerMessage.includes('lmao')) {
-    session.data.sarcasticLevel = Math.min(10, session.data.sarcasticLevel + 2);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
   }
   
-  // Increase slightly if user is casual or using humor
-  else if (lowerMessage.includes('hey') || 
-           lowerMessage.includes('yo') || 
-           lowerMessage.includes('sup') || 
-           lowerMessage.includes('thanks') ||
-           lowerMessage.includes('👍') ||
-           lowerMessage.includes('cool')) {
-    session.data.sarcasticLevel = Math.min(10, session.data.sarcasticLevel + 1);
-  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
   
-  // Decrease if user seems formal or frustrated
-  else if (lowerMessage.includes('please help') || 
-           lowerMessage.includes('serious') || 
-           lowerMessage.includes('frustrated') || 
-           lowerMessage.includes('not helpful') ||
-           lowerMessage.includes('confused')) {
-    session.data.sarcasticLevel = Math.max(0, session.data.sarcasticLevel - 2);
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  
+  try {
+    const session = await getOrCreateSession(sessionId);
+    const previousStage = session.currentStage;
+    const messages = await prepareChatTurn(session, message, abortController.signal);
+    
+    if (abortController.signal.aborted) {
+      return;
+    }
+    
+    if (session.currentStage !== previousStage) {
+      sendEvent(res, 'stage', { stage: session.currentStage, previousStage });
+    }
+    
+    if (session.whatIf) {
+      sendEvent(res, 'whatIf', session.whatIf);
+    }
+    
+    let assistantMessage = '';
+    for await (const content of llm.stream({ messages, temperature: 0.7, signal: abortController.signal })) {
+      assistantMessage += content;
+      sendEvent(res, 'token', { content });
+    }
+    
+    await finishChatTurn(sessionId, session, assistantMessage, previousStage);
+    await saveSession(sessionId, session);
+    
+    if (session.currentStage === STAGES.RECOMMENDATION) {
+      sendEvent(res, 'recommendation', session.data.recommendation);
+    }
+    
+    sendEvent(res, 'done', { message: assistantMessage, stage: session.currentStage, sessionId, quoteUrl: quoteUrl(sessionId, session) });
+    res.end();
+    
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`Client disconnected, abandoned turn for session ${sessionId}`);
+      return;
+    }
+    console.error('Error:', error);
+    sendEvent(res, 'error', { error: 'An error occurred', details: error.message });
+    res.end();
+  }
+});
+
+// Compare a key from a request header with the configured one in constant time.
+// An unset key never matches.
+function keyMatches(givenKey, expectedKey) {
+  const expected = Buffer.from(expectedKey || '');
+  const given = Buffer.from(givenKey || '');
+  return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Dealers get dealer prices on the structured endpoints by sending DEALER_API_KEY as
+// X-Dealer-Key from their own servers (a browser on another site can't); everyone
+// else, and every chat, gets retail. Returns null for a bad key.
+function priceTierFor(req) {
+  const givenKey = req.get('X-Dealer-Key');
+  if (!givenKey) {
+    return DEFAULT_PRICE_TIER;
   }
+  
+  return keyMatches(givenKey, process.env.DEALER_API_KEY) ? 'dealer' : null;
 }
 
-// Process user input based on the current conversation stage
-function processUserInput(session, message) {
-  const data = session.data;
-  const lowerMessage = message.toLowerCase();
+// ?alternatives=N&rankBy=cost|surplus|array asks /api/size for other pumps that would do.
+// Returns undefined when not asked for and null when the query is bad.
+function alternativesFor(req) {
+  const { alternatives, rankBy } = req.query;
+  if (alternatives === undefined && rankBy === undefined) {
+    return undefined;
+  }
   
-  // Extract GPD if mentioned explicitly (for custom flow rates)
-  const gpdMatch = lowerMessage.match(/(\d+)\s*(?:gallons?(?:\s*per\s*day)?|gpd)/i);
-  if (gpdMatch && !data.customGPD) {
-    data.customGPD = parseInt(gpdMatch[1]);
-    console.log(`Detected custom GPD: ${data.customGPD}`);
+  const count = alternatives === undefined ? DEFAULT_ALTERNATIVES : Number(alternatives);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ALTERNATIVES) {
+    return null;
+  }
+  if (rankBy !== undefined && !ALTERNATIVE_RANKINGS.includes(rankBy)) {
+    return null;
   }
   
-  // Extract total head/lift if mentioned explicitly
-  const headMatch = lowerMessage.match(/(\d+)\s*(?:(?:ft|feet)(?:\s*(?:head|lift|tdh))?|total\s*(?:dynamic\s*)?head|tdh)/i);
-  if (headMatch && !data.customHead) {
-    data.customHead = parseInt(headMatch[1]);
-    console.log(`Detected custom head: ${data.customHead}`);
-  }// Handle explicit usage type mentions
-  if (session.currentStage === STAGES.GREETING || session.currentStage === STAGES.USAGE_TYPE) {
-    if (lowerMessage.includes('livestock') || 
-        lowerMessage.includes('cattle') || 
-        lowerMessage.includes('cow') || 
-        lowerMessage.includes('horse') || 
-        lowerMessage.includes('sheep') || 
-        lowerMessage.includes('goat')) {
-      data.usageType = USAGE_TYPES.LIVESTOCK;
+  return { count, rankBy: rankBy || ALTERNATIVE_RANKINGS[0] };
+}
+
+// Structured sizing endpoint - no chat session or LLM call needed
+app.post('/api/size', async (req, res) => {
+  try {
+    const priceTier = priceTierFor(req);
+    if (!priceTier) {
+      return res.status(401).json({ error: 'Invalid dealer key' });
     }
-    else if (lowerMessage.includes('house') || 
-             lowerMessage.includes('home') || 
-             lowerMessage.includes('domestic') || 
-             lowerMessage.includes('drinking') || 
-             lowerMessage.includes('shower') || 
-             lowerMessage.includes('toilet')) {
-      data.usageType = USAGE_TYPES.HOUSEHOLD;
+    
+    const alternatives = alternativesFor(req);
+    if (alternatives === null) {
+      return res.status(400).json({
+        error: `alternatives must be 1 to ${MAX_ALTERNATIVES} and rankBy one of ${ALTERNATIVE_RANKINGS.join(', ')}`
+      });
     }
-    else if (lowerMessage.includes('irrigation') || 
-             lowerMessage.includes('crop') || 
-             lowerMessage.includes('garden') || 
-             lowerMessage.includes('farm') || 
-             lowerMessage.includes('field') || 
-             lowerMessage.includes('acre')) {
-      data.usageType = USAGE_TYPES.IRRIGATION;
+    
+    const { data, errors } = validateSiteDescription(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site description', fields: errors });
     }
+    
+    res.json({ recommendation: calculateRecommendation(data, { priceTier, alternatives, config: await configStore.current() }) });
+    
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-  
-  // Skip to custom flow/head if user has provided that information
-  if (data.customGPD && data.customHead && 
-      session.currentStage !== STAGES.SUMMARY && 
-      session.currentStage !== STAGES.RECOMMENDATION) {
-    data.usageType = USAGE_TYPES.OTHER;
-    session.currentStage = STAGES.WELL_DEPTH;
-    return;
+});
+
+// Change one answer on a sized session and re-size it straight away, e.g.
+// { "field": "animalCount", "value": 80 }. Values are in feet, gallons, inches and acres
+// like the rest of the session data; the reply lists what changed in the recommendation.
+app.patch('/api/session/:sessionId/data', async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (session.currentStage !== STAGES.RECOMMENDATION || !session.data.recommendation) {
+      return res.status(409).json({ error: 'No recommendation to change yet' });
+    }
+    
+    const { field, value } = req.body || {};
+    const change = editSession(session, field, value, await chatSizingOptions());
+    if (change.errors) {
+      return res.status(400).json({ error: 'Invalid change', fields: change.errors });
+    }
+    
+    await saveSession(sessionId, session);
+    res.json({
+      ...change,
+      recommendation: session.data.recommendation,
+      quoteUrl: quoteUrl(sessionId, session)
+    });
+    
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-  
-  // Standard stage progression
-  switch(session.currentStage) {
-    case STAGES.GREETING:
-      session.currentStage = STAGES.USAGE_TYPE;
-      break;
-      
-    case STAGES.USAGE_TYPE:
-      if (data.usageType !== USAGE_TYPES.UNKNOWN) {
-        session.currentStage = STAGES.LOCATION;
-      } else {
-        // Try to determine usage type from message
-        if (lowerMessage.includes('livestock') || 
-            lowerMessage.includes('cattle') || 
-            lowerMessage.includes('cow') || 
-            lowerMessage.includes('horse') || 
-            lowerMessage.includes('sheep') || 
-            lowerMessage.includes('goat')) {
-          data.usageType = USAGE_TYPES.LIVESTOCK;
-          session.currentStage = STAGES.LOCATION;
-        }
-        else if (lowerMessage.includes('house') || 
-                 lowerMessage.includes('home') || 
-                 lowerMessage.includes('domestic') || 
-                 lowerMessage.includes('drinking')) {
-          data.usageType = USAGE_TYPES.HOUSEHOLD;
-          session.currentStage = STAGES.LOCATION;
-        }
-        else if (lowerMessage.includes('irrigation') || 
-                 lowerMessage.includes('crop') || 
-                 lowerMessage.includes('garden') || 
-                 lowerMessage.includes('farm')) {
-          data.usageType = USAGE_TYPES.IRRIGATION;
-          session.currentStage = STAGES.LOCATION;
-        }
-      }
-      break;
-      
-    case STAGES.LOCATION:
-      data.location = message;
-      
-      // Determine next stage based on usage type
-      switch(data.usageType) {
-        case USAGE_TYPES.LIVESTOCK:
-          session.currentStage = STAGES.LIVESTOCK_TYPE;
-          break;
-        case USAGE_TYPES.HOUSEHOLD:
-          session.currentStage = STAGES.PEOPLE_COUNT;
-          break;
-        case USAGE_TYPES.IRRIGATION:
-          session.currentStage = STAGES.IRRIGATION_AREA;
-          break;
-        default:
-          session.currentStage = STAGES.CUSTOM_FLOW;
-          break;
-      }
-      break;
-      
-    // Livestock-specific stages
-    case STAGES.LIVESTOCK_TYPE:
-      data.livestockType = message;
-      session.currentStage = STAGES.ANIMAL_COUNT;
-      break;
-      
-    case STAGES.ANIMAL_COUNT:
-      const numMatch = message.match(/\d+/);
-      data.animalCount = numMatch ? parseInt(numMatch[0]) : 0;
-      session.currentStage = STAGES.WELL_DEPTH;
-      break;
-      
-    // Household-specific stages
-    case STAGES.PEOPLE_COUNT:
-      const peopleMatch = message.match(/\d+/);
-      data.peopleCount = peopleMatch ? parseInt(peopleMatch[0]) : 0;
-      session.currentStage = STAGES.FIXTURES_COUNT;
-      break;
-      
-    case STAGES.FIXTURES_COUNT:
-      // Extract fixture information
-      data.fixturesInfo = message;
-      
-      // Count bathrooms
-      const bathroomMatch = message.match(/(\d+)\s*bath/i);
-      data.bathroomCount = bathroomMatch ? parseInt(bathroomMatch[1]) : 0;
-      
-      session.currentStage = STAGES.WELL_DEPTH;
-      break;
-      
-    // Irrigation-specific stages
-    case STAGES.IRRIGATION_AREA:
-      const areaMatch = message.match(/(\d+(?:\.\d+)?)\s*(?:acre|ac|acres)/i);
-      data.irrigationArea = areaMatch ? parseFloat(areaMatch[1]) : 0;
-      session.currentStage = STAGES.IRRIGATION_TYPE;
-      break;
-      
-    case STAGES.IRRIGATION_TYPE:
-      data.irrigationType = message;
-      
-      // Determine irrigation type
-      if (lowerMessage.includes('drip')) {
-        data.irrigationMethod = 'drip';
-      } else if (lowerMessage.includes('sprinkl')) {
-        data.irrigationMethod = 'sprinkler';
-      } else if (lowerMessage.includes('flood')) {
-        data.irrigationMethod = 'flood';
-      }
-      
-      session.currentStage = STAGES.CROP_TYPE;
-      break;
-      
-    case STAGES.CROP_TYPE:
-      data.cropType = message;
-      
-      // Determine crop category
-      if (lowerMessage.includes('veget')) {
-        data.cropCategory = 'vegetables';
-      } else if (lowerMessage.includes('fruit')) {
-        data.cropCategory = 'fruits';
-      } else if (lowerMessage.includes('lawn') || lowerMessage.includes('grass')) {
-        data.cropCategory = 'lawn';
-      }
-      
-      session.currentStage = STAGES.WELL_DEPTH;
-      break;
-      
-    // Custom flow/head stages
-    case STAGES.CUSTOM_FLOW:
-      const flowMatch = message.match(/\d+/);
-      if (flowMatch) {
-        data.customGPD = parseInt(flowMatch[0]);
-      }
-      session.currentStage = STAGES.CUSTOM_HEAD;
-      break;
-      
-    case STAGES.CUSTOM_HEAD:
-      const customHeadMatch = message.match(/\d+/);
-      if (customHeadMatch) {
-        data.customHead = parseInt(customHeadMatch[0]);
-      }
-      session.currentStage = STAGES.WELL_DEPTH;
-      break;
-      
-    // Common stages for all usage types
-    case STAGES.WELL_DEPTH:
-      const depthMatch = message.match(/\d+(\.\d+)?/);
-      data.wellDepth = depthMatch ? parseFloat(depthMatch[0]) : 0;
-      session.currentStage = STAGES.STATIC_WATER;
-      break;
-      
-    case STAGES.STATIC_WATER:
-      const staticMatch = message.match(/\d+(\.\d+)?/);
-      data.staticWaterLevel = staticMatch ? parseFloat(staticMatch[0]) : 0;
-      session.currentStage = STAGES.DRAWDOWN;
-      break;
-      
-    case STAGES.DRAWDOWN:
-      const drawdownMatch = message.match(/\d+(\.\d+)?/);
-      if (drawdownMatch) {
-        data.drawdownLevel = parseFloat(drawdownMatch[0]);
-      } else {
-        // Estimate drawdown as 10% of static water level if unknown
-        data.drawdownLevel = data.staticWaterLevel * 0.1;
-        data.drawdownEstimated = true;
-      }
-      session.currentStage = STAGES.ELEVATION;
-      break;
-      
-    case STAGES.ELEVATION:
-      const elevMatch = message.match(/\d+(\.\d+)?/);
-      data.elevationGain = elevMatch ? parseFloat(elevMatch[0]) : 0;
-      
-      // Check if pumping directly to stock tank
-      if (lowerMessage.includes('stock tank') || 
-          lowerMessage.includes('directly')) {
-        data.directToStockTank = true;
-        session.currentStage = STAGES.WATER_QUALITY;
-      } else {
-        session.currentStage = STAGES.PIPE_INFO;
-      }
-      break;
-      
-    case STAGES.PIPE_INFO:
-      const lengthMatch = message.match(/(\d+).*?(?:feet|ft)/i);
-      const sizeMatch = message.match(/(\d+(?:\.\d+)?).*?(?:inch|in|")/i);
-      
-      if (lengthMatch) data.pipeLength = parseFloat(lengthMatch[1]);
-      if (sizeMatch) data.pipeSize = parseFloat(sizeMatch[1]);
-      
-      session.currentStage = STAGES.STORAGE_TANK;
-      break;
-      
-    case STAGES.STORAGE_TANK:
-      data.hasStorageTank = !lowerMessage.includes('no');
-      session.currentStage = STAGES.WATER_QUALITY;
-      break;
-      
-    case STAGES.WATER_QUALITY:
-      data.sandyWater = lowerMessage.includes('sand') || 
-                       lowerMessage.includes('sediment');
-      session.currentStage = STAGES.WELL_CASING;
-      break;
-      
-    case STAGES.WELL_CASING:
-      const casingMatch = message.match(/(\d+(?:\.\d+)?).*?(?:inch|in|")/i);
-      if (casingMatch) {
-        data.wellCasingSize = parseFloat(casingMatch[1]);
-      }
-      session.currentStage = STAGES.SUMMARY;
-      break;
-      
-    case STAGES.SUMMARY:
-      // If user confirms, move to recommendation
-      if (lowerMessage.includes('yes') || 
-          lowerMessage.includes('correct') ||
-          lowerMessage.includes('right') ||
-          lowerMessage.includes('look') && lowerMessage.includes('good')) {
-        session.currentStage = STAGES.RECOMMENDATION;
-      } else {
-        // Reset to specific stage if user mentions it
-        if (lowerMessage.includes('location')) {
-          session.currentStage = STAGES.LOCATION;
-        } else if (lowerMessage.includes('livestock') || lowerMessage.includes('animal')) {
-          if (data.usageType === USAGE_TYPES.LIVESTOCK) {
-            session.currentStage = STAGES.LIVESTOCK_TYPE;
-          }
-        } else if (lowerMessage.includes('people') || lowerMessage.includes('house')) {
-          if (data.usageType === USAGE_TYPES.HOUSEHOLD) {
-            session.currentStage = STAGES.PEOPLE_COUNT;
-          }
-        } else if (lowerMessage.includes('irrigation') || lowerMessage.includes('crop')) {
-          if (data.usageType === USAGE_TYPES.IRRIGATION) {
-            session.currentStage = STAGES.IRRIGATION_AREA;
-          }
-        } else if (lowerMessage.includes('well')) {
-          session.currentStage = STAGES.WELL_DEPTH;
-        } else if (lowerMessage.includes('static')) {
-          session.currentStage = STAGES.STATIC_WATER;
-        } else if (lowerMessage.includes('drawdown')) {
-          session.currentStage = STAGES.DRAWDOWN;
-        } else if (lowerMessage.includes('elevation')) {
-          session.currentStage = STAGES.ELEVATION;
-        } else if (lowerMessage.includes('pipe')) {
-          session.currentStage = STAGES.PIPE_INFO;
-        } else if (lowerMessage.includes('tank')) {
-          session.currentStage = STAGES.STORAGE_TANK;
-        } else if (lowerMessage.includes('quality') || lowerMessage.includes('sand')) {
-          session.currentStage = STAGES.WATER_QUALITY;
-        } else if (lowerMessage.includes('casing')) {
-          session.currentStage = STAGES.WELL_CASING;
-        }
-      }
-      break;
-      
-    default:
-      // For greeting or other stages, move forward
-      if (session.currentStage === STAGES.GREETING) {
-        session.currentStage = STAGES.USAGE_TYPE;
-      }
-      break;
+});
+
+// Where the printable quote for a session lives, once there is a recommendation to quote
+function quoteUrl(sessionId, session) {
+  const recommendation = session.data.recommendation;
+  return session.currentStage === STAGES.RECOMMENDATION && recommendation && recommendation.isValid ?
+    `/api/session/${encodeURIComponent(sessionId)}/quote.pdf` :
+    null;
+}
+
+// A multi-well site is quoted one well at a time, picked with ?well=N counting from 1.
+// Returns null when there's no such well or it couldn't be sized.
+function quotedRecommendation(recommendation, wellParam) {
+  if (!recommendation.multiWell) {
+    return recommendation;
   }
+  
+  const well = recommendation.wells[wellParam === undefined ? 0 : parseInt(wellParam, 10) - 1];
+  return well && well.recommendation && well.recommendation.isValid ? well.recommendation : null;
 }
 
-// Check if message is related to the conversation stages
-function isConversationStageQuestion(message) {
-  const lowerMessage = message.toLowerCase();
-  return lowerMessage.includes('location') || 
-         lowerMessage.includes('livestock') || 
-         lowerMessage.includes('animal') || 
-         lowerMessage.includes('well') || 
-         lowerMessage.includes('water') || 
-         lowerMessage.includes('pump') ||
-         lowerMessage.includes('house') ||
-         lowerMessage.includes('irrigation') ||
-         lowerMessage.includes('crop') ||
-         lowerMessage.includes('people') ||
-         lowerMessage.includes('static') ||
-         lowerMessage.includes('drawdown') ||
-         lowerMessage.includes('head') ||
-         lowerMessage.includes('elevation');
+// Send a quote as the HTML print view or as a PDF
+async function sendQuote(res, quote, format) {
+  if (format === 'pdf') {
+    const pdf = await renderQuotePdf(quote);
+    res.set('Content-Disposition', `inline; filename="${quote.quoteNumber}.pdf"`);
+    return res.type('pdf').send(pdf);
+  }
+  res.type('html').send(renderQuoteHtml(quote));
 }
 
-// Search for solar insolation data
-async function searchSolarInsolation(location) {
+// Printable quote for a chat session's recommendation. The quote number is kept on the
+// session, so printing it again gives the same number.
+app.get('/api/session/:sessionId/quote.:format(html|pdf)', async (req, res) => {
+  const { sessionId, format } = req.params;
   try {
-    const query = `NREL solar insolation data for ${location}`;
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: googleSearchApiKey,
-        cx: googleSearchEngineId,
-        q: query
-      }
-    });
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
-    if (response.data.items && response.data.items.length > 0) {
-      // Extract relevant information from search results
-      const results = response.data.items.slice(0, 2).map(item => item.snippet).join(' ');
-      return results;
+    const recommendation = session.data.recommendation;
+    if (!recommendation || !recommendation.isValid) {
+      return res.status(409).json({
+        error: 'No recommendation to quote yet',
+        details: recommendation ? recommendation.message : undefined
+      });
     }
     
-    return null;
+    const quoted = quotedRecommendation(recommendation, req.query.well);
+    if (!quoted) {
+      return res.status(400).json({ error: 'No such well to quote', details: `Pick a well from 1 to ${recommendation.wells.length} with ?well=` });
+    }
+    
+    if (!session.quoteNumber) {
+      session.quoteNumber = createQuoteNumber();
+      await saveSession(sessionId, session);
+    }
+    
+    // Each well of a multi-well site gets its own number off the same base
+    const wellNumber = recommendation.multiWell ? parseInt(req.query.well, 10) || 1 : 1;
+    const quoteNumber = wellNumber > 1 ? `${session.quoteNumber}-${wellNumber}` : session.quoteNumber;
+    await sendQuote(res, buildQuote(session.data, quoted, { quoteNumber }), format);
+    
   } catch (error) {
-    console.error('Google search error:', error);
-    return null;
+    console.error('Error rendering quote:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-}
+});
 
-// Enhanced searchLocalFact function with debugging
-async function searchLocalFact(location) {
-  console.log(`Attempting to fetch local fact for: ${location}`);
-  
+// Printable quote straight from a site description, like /api/size
+app.post('/api/quote.:format(html|pdf)', async (req, res) => {
   try {
-    // Check if API keys exist
-    if (!googleSearchApiKey || !googleSearchEngineId) {
-      console.error('Missing Google Search API key or Search Engine ID');
-      return null;
+    const priceTier = priceTierFor(req);
+    if (!priceTier) {
+      return res.status(401).json({ error: 'Invalid dealer key' });
     }
     
-    const query = `interesting historical fact about ${location}`;
-    console.log(`Sending query: ${query}`);
-    
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: googleSearchApiKey,
-        cx: googleSearchEngineId,
-        q: query
-      }
-    });
+    const { data, errors } = validateSiteDescription(req.body);
     
-    console.log(`Received response status: ${response.status}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site description', fields: errors });
+    }
     
-    // Debug response data
-    if (response.data) {
-      console.log(`Response has ${response.data.items ? response.data.items.length : 0} items`);
-      
-      if (response.data.error) {
-        console.error('Google API error:', response.data.error);
-      }
-      
-      if (response.data.searchInformation) {
-        console.log(`Total results: ${response.data.searchInformation.totalResults}`);
-      }
+    const recommendation = calculateRecommendation(data, { priceTier, config: await configStore.current() });
+    if (!recommendation.isValid) {
+      return res.status(422).json({ error: 'No recommendation to quote', details: recommendation.message });
     }
     
-    if (response.data.items && response.data.items.length > 0) {
-      // Get the most interesting snippet
-      const snippets = response.data.items.slice(0, 3).map(item => item.snippet);
-      
-      console.log(`Got snippets: ${JSON.stringify(snippets)}`);
-      
-      const filteredSnippets = snippets.filter(snippet => 
-        !snippet.includes('weather') && 
-        snippet.length > 40 && 
-        snippet.split(' ').length > 8
-      );
-      
-      console.log(`Filtered to ${filteredSnippets.length} snippets`);
-      
-      if (filteredSnippets.length > 0) {
-        console.log(`Returning snippet: ${filteredSnippets[0]}`);
-        return filteredSnippets[0];
-      }
-      
-      console.log(`Returning default snippet: ${snippets[0]}`);
-      return snippets[0];
+    const quoted = quotedRecommendation(recommendation, req.query.well);
+    if (!quoted) {
+      return res.status(400).json({ error: 'No such well to quote', details: `Pick a well from 1 to ${recommendation.wells.length} with ?well=` });
     }
     
-    console.log('No items found in search results');
-    return null;
+    await sendQuote(res, buildQuote(data, quoted), req.params.format);
+    
   } catch (error) {
-    console.error('Google search error details:', error.message);
-    if (error.response) {
-      console.error('Error response data:', error.response.data);
-    }
-    return null;
+    console.error('Error rendering quote:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-}
+});
 
-// Search for pump-related information
-async function searchPumpInformation(query) {
+// Debug endpoint to check session data
+app.get('/api/debug/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
   try {
-    // Add restrictions to only get relevant information
-    const modifiedQuery = `solar water pump for ${query}`;
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: googleSearchApiKey,
-        cx: googleSearchEngineId,
-        q: modifiedQuery
-      }
-    });
-    
-    if (response.data.items && response.data.items.length > 0) {
-      // Extract relevant information from search results
-      const results = response.data.items.slice(0, 2).map(item => item.snippet).join(' ');
-      return results;
+    const session = await sessionStore.get(sessionId);
+    if (session) {
+      res.json({
+        store: sessionStore.type,
+        currentStage: session.currentStage,
+        data: session.data,
+        messageCount: session.messages.length
+      });
+    } else {
+      res.json({ error: "Session not found" });
     }
-    
-    return null;
   } catch (error) {
-    console.error('Google search error:', error);
-    return null;
+    console.error('Error reading session:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-}
+});
 
-// Calculate friction loss for pipe
-function calculateFrictionLoss(flowRate, pipeLength, pipeSize) {
-  // Simplified friction loss calculation
-  const frictionFactor = 0.02; // Example factor, would vary by pipe material
-  return frictionFactor * (pipeLength / pipeSize) * (flowRate * flowRate);
+// The sizing config admin API needs ADMIN_API_KEY sent as X-Admin-Key; without
+// ADMIN_API_KEY set it's turned off
+function requireAdmin(req, res, next) {
+  if (!keyMatches(req.get('X-Admin-Key'), process.env.ADMIN_API_KEY)) {
+    return res.status(401).json({ error: 'Admin key required' });
+  }
+  next();
 }
 
-// Calculate total water requirements
-function calculateWaterRequirements(data) {
-  let dailyGallons = 0;
-  let requiredGPM = 0;
-  
-  // If custom GPD was provided, use that
-  if (data.customGPD) {
-    dailyGallons = data.customGPD;
-  }
-  // Otherwise calculate based on usage type
-  else {
-    switch(data.usageType) {
-      case USAGE_TYPES.LIVESTOCK:
-        // Parse livestock type
-        let type = 'beef'; // Default
-        
-        if (data.livestockType && data.livestockType.toLowerCase().includes('dairy')) {
-          type = 'dairy';
-        } else if (data.livestockType && data.livestockType.toLowerCase().includes('horse')) {
-          type = 'horses';
-        } else if (data.livestockType && data.livestockType.toLowerCase().includes('goat')) {
-          type = 'goats';
-        } else if (data.livestockType && data.livestockType.toLowerCase().includes('sheep')) {
-          type = 'sheep';
-        }
-        
-        // Calculate for livestock
-        dailyGallons = livestockWaterNeeds[type].summer * (data.animalCount || 0);
-        break;
-        
-      case USAGE_TYPES.HOUSEHOLD:
-        // Calculate for household
-        dailyGallons = (data.peopleCount || 0) * householdWaterNeeds.person;
-        
-        // Add bathroom usage
-        if (data.bathroomCount) {
-          dailyGallons += data.bathroomCount * householdWaterNeeds.bathroom;
-        }
-        
-        // Add kitchen usage if mentioned
-        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('kitchen')) {
-          dailyGallons += householdWaterNeeds.kitchen;
-        }
-        
-        // Add laundry if mentioned
-        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('laundry')) {
-          dailyGallons += householdWaterNeeds.laundry;
-        }
-        
-        // Add garden if mentioned
-        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('garden')) {
-          if (data.fixturesInfo.toLowerCase().includes('large')) {
-            dailyGallons += householdWaterNeeds.garden_large;
-          } else if (data.fixturesInfo.toLowerCase().includes('medium')) {
-            dailyGallons += householdWaterNeeds.garden_medium;
-          } else {
-            dailyGallons += householdWaterNeeds.garden_small;
-          }
-        }
-        break;
-        
-      case USAGE_TYPES.IRRIGATION:
-        // Base calculation on irrigation method and area
-        let baseRate = irrigationWaterNeeds.sprinkler; // Default
-        
-        if (data.irrigationMethod === 'drip') {
-          baseRate = irrigationWaterNeeds.drip;
-        } else if (data.irrigationMethod === 'flood') {
-          baseRate = irrigationWaterNeeds.flood;
-        }
-        
-        // Apply crop type multiplier
-        let cropMultiplier = 1.0;
-        if (data.cropCategory === 'vegetables') {
-          cropMultiplier = irrigationWaterNeeds.vegetables;
-        } else if (data.cropCategory === 'fruits') {
-          cropMultiplier = irrigationWaterNeeds.fruits;
-        } else if (data.cropCategory === 'lawn') {
-          cropMultiplier = irrigationWaterNeeds.lawn;
-        }
-        
-        dailyGallons = baseRate * (data.irrigationArea || 1) * cropMultiplier;
-        break;
-        
-      default:
-        // Default to a reasonable value if we can't calculate
-        dailyGallons = 500;
-    }
+// Admin page for the sizing config; the page asks for the key and calls the API below
+app.get('/admin', (req, res) => {
+  res.type('html').send(renderAdminPage());
+});
+
+// Changes need a store every instance reads; with the in-memory one a change would reach
+// only the instance that took it and be gone on its next restart
+function requireSharedConfig(req, res, next) {
+  if (!configStore.shared) {
+    return res.status(503).json({
+      error: 'Sizing settings can\'t be changed on this server',
+      details: 'Set SIZING_CONFIG_STORE (or SESSION_STORE) to sqlite or redis so every instance shares them'
+    });
   }
-  
-  // Default peak sun hours if not found in search
-  let peakSunHours = 5.4;
-  
-  // Calculate required GPM
-  requiredGPM = dailyGallons / (peakSunHours * 60);
-  
-  return {
-    dailyGallons,
-    requiredGPM,
-    peakSunHours
-  };
+  next();
 }
 
-// Calculate pump recommendation
-function calculateRecommendation(data) {
-  // Calculate water requirements
-  const waterReq = calculateWaterRequirements(data);
-  
-  // Use custom head if provided
-  let tdh = data.customHead || 0;
-  
-  // If no custom head, calculate total dynamic head
-  if (!tdh) {
-    tdh = (data.staticWaterLevel || 0) + (data.drawdownLevel || 0) + (data.elevationGain || 0);
-    
-    // Add friction loss if pipe data exists
-    if (data.pipeLength && data.pipeSize) {
-      tdh += calculateFrictionLoss(waterReq.requiredGPM, data.pipeLength, data.pipeSize);
-    }
-  }
-  
-  // Check for sandy water
-  if (data.sandyWater) {
-    return {
-      isValid: false,
-      message: "Your water has too much sand for our solar pumps. You might want to consider contacting us directly for alternatives."
-    };
+// A rejected change is a 400, or a 409 if someone else saved first
+function configErrorStatus(result) {
+  return result.conflict ? 409 : 400;
+}
+
+// Sizing config in use, and every version before it
+app.get('/api/admin/config', requireAdmin, async (req, res) => {
+  try {
+    res.json({ config: await configStore.current(), shared: configStore.shared });
+  } catch (error) {
+    console.error('Error reading config:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-  
-  // Check well casing size
-  if (data.wellCasingSize && data.wellCasingSize < 5) {
-    return {
-      isValid: false,
-      message: "Our pumps require a well casing of 5 inches or larger. Your well casing is too small for our pumps. Please contact us for assistance."
-    };
+});
+
+app.get('/api/admin/config/history', requireAdmin, async (req, res) => {
+  try {
+    res.json({ versions: await configStore.history() });
+  } catch (error) {
+    console.error('Error reading config:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-  
-  // Select appropriate pump model
-  let selectedPump = null;
-  let pumpStages = 0;
-  
-  for (const [model, specs] of Object.entries(pumpData)) {
-    if (specs.maxFlow >= waterReq.requiredGPM && specs.maxHead >= tdh) {
-      // If this is the first suitable pump or has fewer stages than current selection
-      if (!selectedPump || specs.stages < pumpStages) {
-        selectedPump = model;
-        pumpStages = specs.stages;
-      }
+});
+
+// Change settings, e.g. { "settings": { "minCasingSize": 4 }, "note": "...", "author": "..." }.
+// Each setting given replaces that setting whole; the result is a new version.
+app.patch('/api/admin/config', requireAdmin, requireSharedConfig, async (req, res) => {
+  try {
+    const { settings, note, author } = req.body || {};
+    const result = await configStore.update(settings, { note: note || null, author: author || null });
+    
+    if (result.errors) {
+      return res.status(configErrorStatus(result)).json({ error: 'Invalid config', fields: result.errors });
     }
+    
+    const { config } = result;
+    console.log(`Sizing config version ${config.version} saved${config.author ? ` by ${config.author}` : ''}`);
+    res.json({ config });
+    
+  } catch (error) {
+    console.error('Error saving config:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
-  
-  if (!selectedPump) {
-    return {
-      isValid: false,
-      message: "Based on your requirements, we don't have a standard pump that meets your needs. Please contact us directly for a custom solution."
-    };
-  }
-  
-  // Calculate solar power required
-  const powerRequired = pumpStages * 53; // 53 watts per stage
-  
-  // Calculate panels needed
-  const panelsNeeded = Math.ceil(powerRequired / 100);
-  // Make sure we have an even number for 48V systems
-  const adjustedPanels = panelsNeeded % 2 === 0 ? panelsNeeded : panelsNeeded + 1;
-  
-  // Calculate daily pump output
-  const pumpOutput = pumpData[selectedPump].maxFlow * (waterReq.peakSunHours * 60);
-  
-  // Create a clean, formatted summary text for easy copying
-  const formattedSummary = `
-WATER SYSTEM SPECIFICATIONS
-===============================
-Usage type: ${data.usageType.toUpperCase()}
-${data.usageType === USAGE_TYPES.LIVESTOCK ? 
-  `Livestock: ${data.animalCount} ${data.livestockType}` : 
-  data.usageType === USAGE_TYPES.HOUSEHOLD ? 
-    `Household: ${data.peopleCount} people, ${data.bathroomCount || 0} bathrooms` : 
-    data.usageType === USAGE_TYPES.IRRIGATION ? 
-      `Irrigation: ${data.irrigationArea} acres, ${data.irrigationMethod} system, ${data.cropType}` : 
-      `Custom requirements`}
-
-WATER REQUIREMENTS
---------------------------------
-Daily water needed: ${waterReq.dailyGallons.toFixed(0)} gallons
-Required flow rate: ${waterReq.requiredGPM.toFixed(2)} GPM
-Peak sun hours: ${waterReq.peakSunHours} hours
-
-WELL SPECIFICATIONS
---------------------------------
-Well depth: ${data.wellDepth || 'Not specified'} feet
-Static water level: ${data.staticWaterLevel || 'Not specified'} feet
-Drawdown: ${data.drawdownLevel || 'Not specified'} feet ${data.drawdownEstimated ? '(estimated)' : ''}
-Elevation gain: ${data.elevationGain || 'Not specified'} feet
-Total Dynamic Head: ${tdh.toFixed(1)} feet
-
-PUMP RECOMMENDATION
-================================
-Model: ${selectedPump}
-Stages: ${pumpStages}
-Max flow capacity: ${pumpData[selectedPump].maxFlow} GPM
-Max head capacity: ${pumpData[selectedPump].maxHead} feet
-Daily output: ${pumpOutput.toFixed(0)} gallons
-
-SOLAR CONFIGURATION
---------------------------------
-System voltage: 48V
-Total power required: ${powerRequired} watts
-Recommended panels: ${adjustedPanels} x 100W panels (${adjustedPanels/2} series pairs)
-`;
-  
-  return {
-    isValid: true,
-    waterRequirements: {
-      dailyGallons: waterReq.dailyGallons,
-      requiredGPM: waterReq.requiredGPM.toFixed(2)
-    },
-    pumpDetails: {
-      model: selectedPump,
-      stages: pumpStages,
-      maxFlow: pumpData[selectedPump].maxFlow,
-      maxHead: pumpData[selectedPump].maxHead
-    },
-    system: {
-      tdh: tdh.toFixed(1),
-      peakSunHours: waterReq.peakSunHours,
-      panelsRequired: adjustedPanels,
-      dailyOutput: pumpOutput.toFixed(0)
-    },
-    solarConfig: {
-      voltage: 48,
-      wattage: adjustedPanels * 100,
-      description: `${adjustedPanels} panels (${adjustedPanels/2} series pairs of 24V/100W panels)`
-    },
-    formattedSummary
-  };
-}
+});
 
-// Debug endpoint to check session data
-app.get('/api/debug/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  if (sessions[sessionId]) {
-    res.json({
-      currentStage: sessions[sessionId].currentStage,
-      data: sessions[sessionId].data,
-      messageCount: sessions[sessionId].messages.length
-    });
-  } else {
-    res.json({ error: "Session not found" });
+// Go back to an earlier version's settings: { "version": 3 }. Saved as a new version, so
+// the history keeps what was rolled back.
+app.post('/api/admin/config/rollback', requireAdmin, requireSharedConfig, async (req, res) => {
+  try {
+    const { version, note, author } = req.body || {};
+    const result = await configStore.rollback(version, { note: note || null, author: author || null });
+    
+    if (result.errors) {
+      return res.status(configErrorStatus(result)).json({ error: 'Invalid rollback', fields: result.errors });
+    }
+    
+    const { config } = result;
+    console.log(`Sizing config rolled back to version ${version} as version ${config.version}`);
+    res.json({ config });
+    
+  } catch (error) {
+    console.error('Error rolling back config:', error);
+    res.status(500).json({ error: 'An error occurred', details: error.message });
   }
 });
 
@@ -1139,8 +837,12 @@ app.get('/', (req, res) => {
   res.send('Solar Pump Chatbot API is running - Test Version');
 });
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Start the server when run directly; tests and serverless hosts import the app
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
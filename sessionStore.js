@@ -0,0 +1,196 @@
+// sessionStore.js - Session persistence with in-memory, SQLite and Redis backends.
+// Every store has the same async interface: get(id), set(id, session), delete(id), close().
+// Sessions are stored as JSON, so callers must set() after changing one. Expiry is
+// handled by the store: a session not set() within the TTL is gone.
+
+const SESSION_STORE_TYPES = ['memory', 'sqlite', 'redis'];
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const DEFAULT_SQLITE_PATH = 'sessions.db';
+const REDIS_KEY_PREFIX = 'session:';
+
+// Sessions held in this process; lost on restart or a new serverless instance
+function createMemoryStore({ ttl = DEFAULT_TTL } = {}) {
+  const sessions = new Map();
+
+  // Sweep expired sessions every hour so abandoned ones don't pile up
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, entry] of sessions) {
+      if (entry.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    }
+  }, 60 * 60 * 1000);
+  cleanup.unref();
+
+  return {
+    type: 'memory',
+
+    async get(sessionId) {
+      const entry = sessions.get(sessionId);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+
+    async set(sessionId, session) {
+      sessions.set(sessionId, { value: JSON.stringify(session), expiresAt: Date.now() + ttl });
+    },
+
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async close() {
+      clearInterval(cleanup);
+      sessions.clear();
+    }
+  };
+}
+
+// Sessions in a local SQLite file; survives restarts on a single server
+function createSqliteStore({ ttl = DEFAULT_TTL, path = DEFAULT_SQLITE_PATH } = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(path);
+
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`);
+
+  const statements = {
+    get: db.prepare('SELECT value, expires_at FROM sessions WHERE id = ?'),
+    set: db.prepare(`INSERT INTO sessions (id, value, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`),
+    delete: db.prepare('DELETE FROM sessions WHERE id = ?'),
+    purge: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+  };
+
+  // Expired rows are purged on start and then hourly
+  statements.purge.run(Date.now());
+  const cleanup = setInterval(() => statements.purge.run(Date.now()), 60 * 60 * 1000);
+  cleanup.unref();
+
+  return {
+    type: 'sqlite',
+
+    async get(sessionId) {
+      const row = statements.get.get(sessionId);
+      if (!row) {
+        return null;
+      }
+      if (row.expires_at <= Date.now()) {
+        statements.delete.run(sessionId);
+        return null;
+      }
+      return JSON.parse(row.value);
+    },
+
+    async set(sessionId, session) {
+      statements.set.run(sessionId, JSON.stringify(session), Date.now() + ttl);
+    },
+
+    async delete(sessionId) {
+      statements.delete.run(sessionId);
+    },
+
+    async close() {
+      clearInterval(cleanup);
+      db.close();
+    }
+  };
+}
+
+// A Redis client that connects on first use, so a cold start doesn't wait on Redis until
+// it needs it. Shared with the sizing config store.
+function createRedisConnection(url, name) {
+  const { createClient } = require('redis');
+  const client = createClient({
+    url,
+    socket: {
+      connectTimeout: 5000,
+      // Give up after a few tries so requests fail instead of hanging on a dead Redis
+      reconnectStrategy: retries => retries >= 5 ? new Error('Redis unavailable') : Math.min(retries * 200, 2000)
+    }
+  });
+
+  client.on('error', error => console.error(`Redis ${name} error:`, error.message));
+
+  let connecting = null;
+  function connected() {
+    if (!connecting) {
+      connecting = client.connect().then(() => client, error => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  }
+
+  async function quit() {
+    if (connecting) {
+      await (await connected()).quit();
+    }
+  }
+
+  return { connected, quit };
+}
+
+// Sessions in Redis; shared by every instance, which is what serverless deploys need
+function createRedisStore({ ttl = DEFAULT_TTL, url = process.env.REDIS_URL } = {}) {
+  const { connected, quit } = createRedisConnection(url, 'session store');
+
+  return {
+    type: 'redis',
+
+    async get(sessionId) {
+      const value = await (await connected()).get(REDIS_KEY_PREFIX + sessionId);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(sessionId, session) {
+      await (await connected()).set(REDIS_KEY_PREFIX + sessionId, JSON.stringify(session), { PX: ttl });
+    },
+
+    async delete(sessionId) {
+      await (await connected()).del(REDIS_KEY_PREFIX + sessionId);
+    },
+
+    async close() {
+      await quit();
+    }
+  };
+}
+
+// Pick a store from SESSION_STORE (memory, sqlite or redis); defaults to memory
+function createSessionStore(type = process.env.SESSION_STORE || 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore(options);
+    case 'sqlite':
+      return createSqliteStore({ path: process.env.SESSION_SQLITE_PATH || DEFAULT_SQLITE_PATH, ...options });
+    case 'redis':
+      return createRedisStore(options);
+    default:
+      throw new Error(`Unknown session store "${type}"; expected one of: ${SESSION_STORE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SESSION_STORE_TYPES,
+  DEFAULT_TTL,
+  DEFAULT_SQLITE_PATH,
+  createMemoryStore,
+  createSqliteStore,
+  createRedisConnection,
+  createRedisStore,
+  createSessionStore
+};
@@ -0,0 +1,104 @@
+// siteModel.js - Sites with more than one well or delivery point. The first well and
+// delivery point are the flat session fields everything else reads (wellDepth,
+// elevationGain, pipeLength...); any others are listed in additionalWells and
+// additionalDestinations. Each delivery point names the well that feeds it, and each
+// well-to-destination path gets its own head.
+
+// Session fields that describe a well
+const WELL_FIELDS = [
+  'wellDepth',
+  'staticWaterLevel',
+  'drawdownLevel',
+  'drawdownEstimated',
+  'wellYield',
+  'pumpSettingDepth',
+  'wellCasingSize',
+  'sandyWater'
+];
+
+// Pipe run from flat session fields, as a list of segments
+function primaryPipeSegments(data) {
+  return data.pipeLength && data.pipeSize ?
+    [{ length: data.pipeLength, size: data.pipeSize, material: data.pipeMaterial }] :
+    [];
+}
+
+// Every well on the site, the primary first
+function getWells(data) {
+  const primary = { name: 'Well 1' };
+  for (const key of WELL_FIELDS) {
+    primary[key] = data[key];
+  }
+
+  return [
+    primary,
+    ...(data.additionalWells || []).map((well, i) => ({ ...well, name: well.name || `Well ${i + 2}` }))
+  ];
+}
+
+// Every delivery point, the primary first. `well` is an index into getWells().
+function getDestinations(data) {
+  const primary = {
+    name: 'Tank 1',
+    well: 0,
+    elevationGain: data.elevationGain || 0,
+    pipeSegments: primaryPipeSegments(data)
+  };
+
+  return [
+    primary,
+    ...(data.additionalDestinations || []).map((destination, i) => ({
+      ...destination,
+      name: destination.name || `Tank ${i + 2}`,
+      well: destination.well || 0,
+      elevationGain: destination.elevationGain || 0,
+      pipeSegments: destination.pipeSegments || []
+    }))
+  ];
+}
+
+function isMultiPathSite(data) {
+  return (data.additionalWells || []).length > 0 || (data.additionalDestinations || []).length > 0;
+}
+
+// Share of the site's demand at each delivery point. Points with a demandPercent keep it;
+// the rest split what's left equally.
+function splitDemand(destinations) {
+  const given = destinations.filter(destination => typeof destination.demandPercent === 'number');
+  const remaining = Math.max(0, 100 - given.reduce((sum, destination) => sum + destination.demandPercent, 0));
+  const unassigned = destinations.length - given.length;
+
+  return destinations.map(destination => typeof destination.demandPercent === 'number' ?
+    destination.demandPercent / 100 :
+    remaining / unassigned / 100
+  );
+}
+
+// Flat session data for sizing one path: the site's usage and location, this well's
+// levels, and this delivery point's rise and pipe
+function pathData(data, well, destination, demandShare) {
+  const { additionalWells, additionalDestinations, ...site } = data;
+  const path = { ...site, demandShare, elevationGain: destination.elevationGain };
+
+  for (const key of WELL_FIELDS) {
+    path[key] = well[key];
+  }
+
+  // A single segment is an ordinary pipe run
+  const segments = destination.pipeSegments;
+  path.pipeLength = segments.length === 1 ? segments[0].length : undefined;
+  path.pipeSize = segments.length === 1 ? segments[0].size : undefined;
+  path.pipeMaterial = segments.length === 1 ? segments[0].material : undefined;
+  path.pipeSegments = segments.length > 1 ? segments : undefined;
+
+  return path;
+}
+
+module.exports = {
+  WELL_FIELDS,
+  getWells,
+  getDestinations,
+  isMultiPathSite,
+  splitDemand,
+  pathData
+};
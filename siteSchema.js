@@ -0,0 +1,320 @@
+// siteSchema.js - Validate a structured site description and map it onto session data
+const { PIPE_MATERIALS } = require('./pipeData');
+const { parseMonth } = require('./solarData');
+
+const USAGE_TYPES = ['livestock', 'household', 'irrigation', 'other'];
+const LIVESTOCK_TYPES = ['beef', 'dairy', 'horses', 'goats', 'sheep'];
+const IRRIGATION_METHODS = ['drip', 'sprinkler', 'flood'];
+const CROP_CATEGORIES = ['vegetables', 'fruits', 'lawn', 'other'];
+const HOUSEHOLD_FIXTURES = ['kitchen', 'laundry', 'garden_small', 'garden_medium', 'garden_large'];
+
+// Fixture names as the household calculation reads them from free text
+const FIXTURE_DESCRIPTIONS = {
+  "kitchen": "kitchen",
+  "laundry": "laundry",
+  "garden_small": "small garden",
+  "garden_medium": "medium garden",
+  "garden_large": "large garden"
+};
+
+// Field definitions: where the value lives in the request, its type and limits,
+// which usage types require it, and which session data key it fills
+const SITE_FIELDS = [
+  { path: 'usageType', type: 'enum', values: USAGE_TYPES, required: true, key: 'usageType' },
+  { path: 'location', type: 'string', key: 'location' },
+  { path: 'designMonth', type: 'month', key: 'designMonth' },
+  // Inputs are always US units; this only picks the units the summary is written in
+  { path: 'units', type: 'enum', values: ['imperial', 'metric'], key: 'unitSystem' },
+
+  { path: 'livestock.type', type: 'enum', values: LIVESTOCK_TYPES, requiredFor: ['livestock'], key: 'livestockType' },
+  { path: 'livestock.count', type: 'integer', min: 1, max: 100000, requiredFor: ['livestock'], key: 'animalCount' },
+
+  { path: 'household.people', type: 'integer', min: 1, max: 100, requiredFor: ['household'], key: 'peopleCount' },
+  { path: 'household.bathrooms', type: 'integer', min: 0, max: 50, key: 'bathroomCount' },
+  { path: 'household.fixtures', type: 'enumList', values: HOUSEHOLD_FIXTURES, key: 'fixturesInfo' },
+
+  { path: 'irrigation.acres', type: 'number', min: 0.01, max: 1000, requiredFor: ['irrigation'], key: 'irrigationArea' },
+  { path: 'irrigation.method', type: 'enum', values: IRRIGATION_METHODS, requiredFor: ['irrigation'], key: 'irrigationMethod' },
+  { path: 'irrigation.crop', type: 'enum', values: CROP_CATEGORIES, key: 'cropCategory' },
+
+  { path: 'custom.gallonsPerDay', type: 'number', min: 1, max: 1000000, requiredFor: ['other'], key: 'customGPD' },
+  { path: 'custom.totalHead', type: 'number', min: 1, max: 2000, key: 'customHead' },
+
+  { path: 'well.depth', type: 'number', min: 1, max: 5000, key: 'wellDepth' },
+  { path: 'well.staticWaterLevel', type: 'number', min: 0, max: 5000, key: 'staticWaterLevel' },
+  { path: 'well.drawdown', type: 'number', min: 0, max: 5000, key: 'drawdownLevel' },
+  { path: 'well.yield', type: 'number', min: 0.1, max: 10000, key: 'wellYield' },
+  { path: 'well.pumpSettingDepth', type: 'number', min: 1, max: 5000, key: 'pumpSettingDepth' },
+  { path: 'well.casingSize', type: 'number', min: 1, max: 48, key: 'wellCasingSize' },
+  { path: 'well.sandy', type: 'boolean', key: 'sandyWater' },
+
+  { path: 'elevationGain', type: 'number', min: -1000, max: 5000, key: 'elevationGain' },
+
+  { path: 'pipe.length', type: 'number', min: 1, max: 100000, key: 'pipeLength' },
+  { path: 'pipe.size', type: 'number', min: 0.25, max: 12, key: 'pipeSize' },
+  { path: 'pipe.material', type: 'enum', values: Object.keys(PIPE_MATERIALS), key: 'pipeMaterial' },
+
+  { path: 'wiring.mainsDistance', type: 'number', min: 0, max: 5000, key: 'mainsDistance' },
+  { path: 'wiring.maxVoltageDrop', type: 'number', min: 0.5, max: 10, key: 'maxVoltageDrop' },
+
+  { path: 'storage.tankCapacity', type: 'number', min: 1, max: 1000000, key: 'tankCapacity' },
+  { path: 'storage.autonomyDays', type: 'integer', min: 1, max: 30, key: 'autonomyDays' }
+];
+
+// Fields of each entry in additionalWells, mapped onto the same keys as the first well
+const WELL_ITEM_FIELDS = [
+  { path: 'name', type: 'string', key: 'name' },
+  { path: 'depth', type: 'number', min: 1, max: 5000, key: 'wellDepth' },
+  { path: 'staticWaterLevel', type: 'number', min: 0, max: 5000, required: true, key: 'staticWaterLevel' },
+  { path: 'drawdown', type: 'number', min: 0, max: 5000, key: 'drawdownLevel' },
+  { path: 'yield', type: 'number', min: 0.1, max: 10000, key: 'wellYield' },
+  { path: 'pumpSettingDepth', type: 'number', min: 1, max: 5000, key: 'pumpSettingDepth' },
+  { path: 'casingSize', type: 'number', min: 1, max: 48, key: 'wellCasingSize' },
+  { path: 'sandy', type: 'boolean', key: 'sandyWater' }
+];
+
+// Fields of each entry in additionalDestinations. `well` counts from 1, the first well.
+const DESTINATION_ITEM_FIELDS = [
+  { path: 'name', type: 'string', key: 'name' },
+  { path: 'well', type: 'integer', min: 1, max: 20, key: 'well' },
+  { path: 'elevationGain', type: 'number', min: -1000, max: 5000, key: 'elevationGain' },
+  { path: 'demandPercent', type: 'number', min: 0, max: 100, key: 'demandPercent' }
+];
+
+// Fields of each segment in a destination's pipe list
+const PIPE_SEGMENT_FIELDS = [
+  { path: 'length', type: 'number', min: 1, max: 100000, required: true, key: 'length' },
+  { path: 'size', type: 'number', min: 0.25, max: 12, required: true, key: 'size' },
+  { path: 'material', type: 'enum', values: Object.keys(PIPE_MATERIALS), key: 'material' }
+];
+
+// Most wells and delivery points one request can describe
+const MAX_SITE_ITEMS = 20;
+
+// Read a dotted path out of the request body
+function getPath(body, fieldPath) {
+  return fieldPath.split('.').reduce((value, part) =>
+    value !== null && value !== undefined ? value[part] : undefined, body);
+}
+
+// Check one value against its field definition, returning [value, error]
+function checkField(field, value) {
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        return [null, 'must be a non-empty string'];
+      }
+      return [value.trim(), null];
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return [null, 'must be true or false'];
+      }
+      return [value, null];
+
+    case 'enum':
+      if (!field.values.includes(value)) {
+        return [null, `must be one of: ${field.values.join(', ')}`];
+      }
+      return [value, null];
+
+    case 'enumList':
+      if (!Array.isArray(value) || value.some(item => !field.values.includes(item))) {
+        return [null, `must be a list of: ${field.values.join(', ')}`];
+      }
+      return [value, null];
+
+    case 'month': {
+      const month = typeof value === 'number' ? value - 1 : parseMonth(String(value));
+      if (!Number.isInteger(month) || month < 0 || month > 11) {
+        return [null, 'must be a month name or a number from 1 to 12'];
+      }
+      return [month, null];
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [null, 'must be a number'];
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return [null, 'must be a whole number'];
+      }
+      if (field.min !== undefined && value < field.min) {
+        return [null, `must be at least ${field.min}`];
+      }
+      if (field.max !== undefined && value > field.max) {
+        return [null, `must be at most ${field.max}`];
+      }
+      return [value, null];
+    }
+
+    default:
+      return [value, null];
+  }
+}
+
+// Validate one object against a list of field definitions, prefixing error paths
+function validateItem(item, fields, prefix, errors) {
+  const data = {};
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    errors.push({ field: prefix, message: 'must be an object' });
+    return data;
+  }
+
+  for (const field of fields) {
+    const value = getPath(item, field.path);
+
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push({ field: `${prefix}.${field.path}`, message: 'is required' });
+      }
+      continue;
+    }
+
+    const [checked, error] = checkField(field, value);
+    if (error) {
+      errors.push({ field: `${prefix}.${field.path}`, message: error });
+    } else {
+      data[field.key] = checked;
+    }
+  }
+
+  return data;
+}
+
+// Validate a list of items, returning the session-style entries
+function validateList(list, fields, name, errors, mapItem) {
+  if (!Array.isArray(list) || list.length > MAX_SITE_ITEMS) {
+    errors.push({ field: name, message: `must be a list of at most ${MAX_SITE_ITEMS} entries` });
+    return [];
+  }
+
+  return list.map((item, i) => mapItem(validateItem(item, fields, `${name}[${i}]`, errors), item, `${name}[${i}]`));
+}
+
+// Rules between a site's fields, on data in the session's keys. `fieldName` turns a key
+// into the name errors use. The site description and a what-if change both check these.
+function checkSiteRules(data, fieldName = key => key) {
+  const errors = [];
+
+  // Head is worked out from the static level unless a total head is given
+  if (data.staticWaterLevel === undefined && data.customHead === undefined) {
+    errors.push({ field: fieldName('staticWaterLevel'), message: `is required unless ${fieldName('customHead')} is given` });
+  }
+
+  if (data.wellDepth !== undefined && data.staticWaterLevel !== undefined && data.staticWaterLevel >= data.wellDepth) {
+    errors.push({ field: fieldName('staticWaterLevel'), message: `must be less than ${fieldName('wellDepth')}` });
+  }
+
+  if ((data.pipeLength === undefined) !== (data.pipeSize === undefined)) {
+    errors.push({ field: fieldName(data.pipeLength === undefined ? 'pipeLength' : 'pipeSize'), message: 'is required when the other pipe field is given' });
+  }
+
+  return errors;
+}
+
+// Validate a site description, returning session-style data and field-level errors
+function validateSiteDescription(body) {
+  const errors = [];
+  const data = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { data, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+  }
+
+  const usageType = body.usageType;
+
+  for (const field of SITE_FIELDS) {
+    const value = getPath(body, field.path);
+    const required = field.required || (field.requiredFor && field.requiredFor.includes(usageType));
+
+    if (value === undefined || value === null) {
+      if (required) {
+        errors.push({ field: field.path, message: 'is required' });
+      }
+      continue;
+    }
+
+    const [checked, error] = checkField(field, value);
+    if (error) {
+      errors.push({ field: field.path, message: error });
+    } else {
+      data[field.key] = checked;
+    }
+  }
+
+  // Cross-field checks on the well and pipe
+  const fieldPath = key => SITE_FIELDS.find(field => field.key === key).path;
+  errors.push(...checkSiteRules(data, fieldPath));
+
+  // Household fixtures and crops are read from text by the water calculation
+  if (data.fixturesInfo) {
+    data.fixturesInfo = data.fixturesInfo.map(fixture => FIXTURE_DESCRIPTIONS[fixture]).join(', ');
+  }
+
+  if (data.cropCategory) {
+    data.cropType = data.cropCategory;
+    if (data.cropCategory === 'other') {
+      delete data.cropCategory;
+    }
+  }
+
+  // Same estimate the chat uses when drawdown is unknown
+  if (data.drawdownLevel === undefined && data.staticWaterLevel !== undefined) {
+    data.drawdownLevel = data.staticWaterLevel * 0.1;
+    data.drawdownEstimated = true;
+  }
+
+  if (data.tankCapacity !== undefined) {
+    data.hasStorageTank = true;
+  }
+
+  // More wells, each with the same fields as the first
+  if (body.additionalWells !== undefined) {
+    data.additionalWells = validateList(body.additionalWells, WELL_ITEM_FIELDS, 'additionalWells', errors, (well, item, prefix) => {
+      if (well.wellDepth !== undefined && well.staticWaterLevel !== undefined && well.staticWaterLevel >= well.wellDepth) {
+        errors.push({ field: `${prefix}.staticWaterLevel`, message: 'must be less than depth' });
+      }
+      if (well.drawdownLevel === undefined && well.staticWaterLevel !== undefined) {
+        well.drawdownLevel = well.staticWaterLevel * 0.1;
+        well.drawdownEstimated = true;
+      }
+      return well;
+    });
+  }
+
+  // More delivery points, each fed from a well through its own pipe segments
+  if (body.additionalDestinations !== undefined) {
+    const wellCount = 1 + (data.additionalWells || []).length;
+    data.additionalDestinations = validateList(body.additionalDestinations, DESTINATION_ITEM_FIELDS, 'additionalDestinations', errors, (destination, item, prefix) => {
+      if (destination.well !== undefined && destination.well > wellCount) {
+        errors.push({ field: `${prefix}.well`, message: `must be a well from 1 to ${wellCount}` });
+      }
+      // Wells count from 1 in the request and from 0 in the session
+      destination.well = (destination.well || 1) - 1;
+      destination.pipeSegments = item && item.pipe !== undefined ?
+        validateList(item.pipe, PIPE_SEGMENT_FIELDS, `${prefix}.pipe`, errors, segment => segment) :
+        [];
+      return destination;
+    });
+
+    const percentTotal = data.additionalDestinations
+      .reduce((sum, destination) => sum + (destination.demandPercent || 0), 0);
+    if (percentTotal > 100) {
+      errors.push({ field: 'additionalDestinations', message: 'demandPercent adds up to more than 100' });
+    }
+  }
+
+  return { data, errors };
+}
+
+module.exports = {
+  SITE_FIELDS,
+  WELL_ITEM_FIELDS,
+  DESTINATION_ITEM_FIELDS,
+  PIPE_SEGMENT_FIELDS,
+  checkSiteRules,
+  validateSiteDescription
+};
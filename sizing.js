@@ -0,0 +1,845 @@
+// sizing.js - Water requirements, storage and the pump recommendation for a site
+const { catalogVersion, pumpData, pumpFamilies, evaluatePump, findSuitablePump } = require('./pumpData');
+const { DEFAULT_PIPE_MATERIAL, INNER_DIAMETERS, calculateFrictionLoss, calculatePathFrictionLoss } = require('./pipeData');
+const { MONTH_NAMES, resolveLocation, getDesignSunHours } = require('./solarData');
+const { USAGE_TYPES } = require('./stages');
+const { buildBillOfMaterials } = require('./billOfMaterials');
+const { DEFAULT_MAINS_DISTANCE, sizeWire } = require('./wiring');
+const { checkWellSafety } = require('./wellSafety');
+const { getWells, getDestinations, isMultiPathSite, splitDemand, pathData } = require('./siteModel');
+const { DEFAULT_PRICE_TIER, loadPriceList, priceBillOfMaterials, formatPrice } = require('./pricing');
+const { shippedConfig } = require('./configStore');
+const {
+  UNIT_SYSTEMS,
+  formatLength,
+  formatVolume,
+  formatFlow,
+  formatDiameter,
+  formatPipeSize,
+  formatArea,
+  toDisplayVolume
+} = require('./units');
+
+// Share of peak irrigation demand by month (Jan-Dec) for each crop category
+const irrigationMonthlyFactors = {
+  "vegetables": [0, 0, 0.2, 0.5, 0.8, 1.0, 1.0, 1.0, 0.7, 0.3, 0, 0],
+  "fruits": [0.1, 0.1, 0.3, 0.5, 0.8, 1.0, 1.0, 1.0, 0.8, 0.5, 0.2, 0.1],
+  "lawn": [0, 0, 0.3, 0.6, 0.8, 1.0, 1.0, 1.0, 0.8, 0.5, 0.1, 0],
+  "default": [0.1, 0.1, 0.3, 0.5, 0.8, 1.0, 1.0, 1.0, 0.8, 0.5, 0.2, 0.1]
+};
+
+// Prices come from data/priceList.json; a bad file stops the server starting, like the catalog
+const priceList = loadPriceList(process.env.PRICE_LIST_PATH || undefined);
+
+// Water needs, pump watts per stage, panel size and the casing minimum come from a sizing
+// config version, which the server reads from its config store on each request so the
+// admin page can change them. Without one, sizing uses the shipped settings. Each
+// recommendation records the version it used.
+const DEFAULT_CONFIG = shippedConfig({ families: Object.keys(pumpFamilies) });
+
+// Storage tank sizing
+const DEFAULT_AUTONOMY_DAYS = 3; // cloudy days the tank should carry at peak demand
+const STANDARD_TANK_SIZES = [300, 500, 1000, 1500, 2000, 2500, 3000, 5000, 10000]; // gallons
+
+// Comparing the catalog's pumps for a site
+const DEFAULT_ALTERNATIVES = 3;
+const MAX_ALTERNATIVES = 10;
+const ALTERNATIVE_RANKINGS = ['cost', 'surplus', 'array'];
+const NEAR_MISS_LIMIT = 0.5; // a near-miss may cut demand to no less than half
+
+// Why a model can't serve a site, for the customer
+const PUMP_PROBLEMS = {
+  head: 'not enough head',
+  flow: 'not enough flow',
+  controller: 'array over the controller limit'
+};
+
+// Figures a site can't be sized without, with how to ask for them
+const REQUIRED_FIGURES = {
+  animalCount: 'the number of head',
+  peopleCount: 'the number of people in the household',
+  irrigationArea: 'the irrigated area',
+  customGPD: 'how much water is needed per day',
+  staticWaterLevel: 'the static water level'
+};
+
+// The required figures a site is missing; a count or area of 0 is as good as missing
+function missingFigures(data) {
+  const keys = [];
+  
+  if (!data.customGPD) {
+    const demandKey = {
+      [USAGE_TYPES.LIVESTOCK]: 'animalCount',
+      [USAGE_TYPES.HOUSEHOLD]: 'peopleCount',
+      [USAGE_TYPES.IRRIGATION]: 'irrigationArea'
+    }[data.usageType] || 'customGPD';
+    if (!(data[demandKey] > 0)) {
+      keys.push(demandKey);
+    }
+  }
+  
+  // The lift comes from the static level unless the total head was given; an unknown
+  // well depth only skips the checks that need it
+  if (!data.customHead && !Number.isFinite(data.staticWaterLevel)) {
+    keys.push('staticWaterLevel');
+  }
+  
+  return keys;
+}
+
+// Calculate total water requirements from the sizing config's water needs
+function calculateWaterRequirements(data, settings = DEFAULT_CONFIG.settings) {
+  const { livestockWaterNeeds, householdWaterNeeds, irrigationWaterNeeds } = settings;
+  let dailyGallons = 0;
+  let requiredGPM = 0;
+  
+  // Share of peak daily demand in each month; flat unless the usage is seasonal
+  let monthlyFactors = new Array(12).fill(1);
+  
+  // If custom GPD was provided, use that
+  if (data.customGPD) {
+    dailyGallons = data.customGPD;
+  }
+  // Otherwise calculate based on usage type
+  else {
+    switch(data.usageType) {
+      case USAGE_TYPES.LIVESTOCK:
+        // Parse livestock type
+        let type = 'beef'; // Default
+        
+        if (data.livestockType && data.livestockType.toLowerCase().includes('dairy')) {
+          type = 'dairy';
+        } else if (data.livestockType && data.livestockType.toLowerCase().includes('horse')) {
+          type = 'horses';
+        } else if (data.livestockType && data.livestockType.toLowerCase().includes('goat')) {
+          type = 'goats';
+        } else if (data.livestockType && data.livestockType.toLowerCase().includes('sheep')) {
+          type = 'sheep';
+        }
+        
+        // Calculate for livestock
+        dailyGallons = livestockWaterNeeds[type].summer * (data.animalCount || 0);
+        monthlyFactors = livestockWaterNeeds[type].monthly.map(need => need / livestockWaterNeeds[type].summer);
+        break;
+        
+      case USAGE_TYPES.HOUSEHOLD:
+        // Calculate for household
+        dailyGallons = (data.peopleCount || 0) * householdWaterNeeds.person;
+        
+        // Add bathroom usage
+        if (data.bathroomCount) {
+          dailyGallons += data.bathroomCount * householdWaterNeeds.bathroom;
+        }
+        
+        // Add kitchen usage if mentioned
+        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('kitchen')) {
+          dailyGallons += householdWaterNeeds.kitchen;
+        }
+        
+        // Add laundry if mentioned
+        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('laundry')) {
+          dailyGallons += householdWaterNeeds.laundry;
+        }
+        
+        // Add garden if mentioned
+        if (data.fixturesInfo && data.fixturesInfo.toLowerCase().includes('garden')) {
+          if (data.fixturesInfo.toLowerCase().includes('large')) {
+            dailyGallons += householdWaterNeeds.garden_large;
+          } else if (data.fixturesInfo.toLowerCase().includes('medium')) {
+            dailyGallons += householdWaterNeeds.garden_medium;
+          } else {
+            dailyGallons += householdWaterNeeds.garden_small;
+          }
+        }
+        break;
+        
+      case USAGE_TYPES.IRRIGATION:
+        // Base calculation on irrigation method and area
+        let baseRate = irrigationWaterNeeds.sprinkler; // Default
+        
+        if (data.irrigationMethod === 'drip') {
+          baseRate = irrigationWaterNeeds.drip;
+        } else if (data.irrigationMethod === 'flood') {
+          baseRate = irrigationWaterNeeds.flood;
+        }
+        
+        // Apply crop type multiplier
+        let cropMultiplier = 1.0;
+        if (data.cropCategory === 'vegetables') {
+          cropMultiplier = irrigationWaterNeeds.vegetables;
+        } else if (data.cropCategory === 'fruits') {
+          cropMultiplier = irrigationWaterNeeds.fruits;
+        } else if (data.cropCategory === 'lawn') {
+          cropMultiplier = irrigationWaterNeeds.lawn;
+        }
+        
+        dailyGallons = baseRate * (data.irrigationArea || 1) * cropMultiplier;
+        monthlyFactors = irrigationMonthlyFactors[data.cropCategory] || irrigationMonthlyFactors.default;
+        break;
+        
+      default:
+        // Default to a reasonable value if we can't calculate
+        dailyGallons = 500;
+    }
+  }
+  
+  // On a site with several delivery points, each well's pump carries only its share
+  if (data.demandShare !== undefined) {
+    dailyGallons *= data.demandShare;
+  }
+  
+  // Month-by-month demand from the peak daily figure
+  const monthlyDemand = monthlyFactors.map(factor => dailyGallons * factor);
+  
+  // Size for the month where demand is highest against the sun (or a chosen design month)
+  const sunHours = getDesignSunHours(resolveLocation(data.location), data.designMonth, monthlyDemand);
+  const peakSunHours = sunHours.peakSunHours;
+  const designGallons = sunHours.month !== null ? monthlyDemand[sunHours.month] : dailyGallons;
+  
+  // Calculate required GPM
+  requiredGPM = designGallons / (peakSunHours * 60);
+  
+  return {
+    dailyGallons: designGallons,
+    peakDailyGallons: dailyGallons,
+    monthlyDemand,
+    requiredGPM,
+    peakSunHours,
+    sunHours
+  };
+}
+
+// Size storage to carry peak demand through cloudy days, and check any existing tank
+function calculateStorage(waterReq, data) {
+  const autonomyDays = data.autonomyDays || DEFAULT_AUTONOMY_DAYS;
+  const requiredGallons = waterReq.peakDailyGallons * autonomyDays;
+  
+  // Round up to a standard tank size, or the next 1,000 gallons beyond the largest
+  const recommendedSize = STANDARD_TANK_SIZES.find(size => size >= requiredGallons) ||
+    Math.ceil(requiredGallons / 1000) * 1000;
+  
+  const existingCapacity = data.hasStorageTank && data.tankCapacity ? data.tankCapacity : null;
+  const existingAutonomyDays = existingCapacity && waterReq.peakDailyGallons > 0 ?
+    existingCapacity / waterReq.peakDailyGallons : null;
+  
+  return {
+    autonomyDays,
+    requiredGallons: Math.round(requiredGallons),
+    recommendedSize,
+    existingCapacity,
+    existingAutonomyDays: existingAutonomyDays !== null ? parseFloat(existingAutonomyDays.toFixed(1)) : null,
+    undersized: existingCapacity !== null && existingCapacity < requiredGallons
+  };
+}
+
+// Total dynamic head for one well and delivery point at the given flow, and what makes it up
+function calculateHead(data, requiredGPM) {
+  // Use custom head if provided
+  let tdh = data.customHead || 0;
+  let friction = null;
+  
+  // What makes up the head, for the quote's breakdown table
+  let tdhBreakdown = [{ component: 'Total head (as given)', head: tdh }];
+  
+  // If no custom head, calculate total dynamic head
+  if (!tdh) {
+    tdh = (data.staticWaterLevel || 0) + (data.drawdownLevel || 0) + (data.elevationGain || 0);
+    tdhBreakdown = [
+      { component: 'Static water level', head: data.staticWaterLevel || 0 },
+      { component: data.drawdownEstimated ? 'Drawdown (estimated)' : 'Drawdown', head: data.drawdownLevel || 0 },
+      { component: 'Elevation gain', head: data.elevationGain || 0 }
+    ];
+    
+    // Add Hazen-Williams friction loss if pipe data exists; a run of several segments is summed
+    if (data.pipeSegments) {
+      friction = calculatePathFrictionLoss(requiredGPM, data.pipeSegments, data.fittings);
+    } else if (data.pipeLength && data.pipeSize) {
+      friction = calculateFrictionLoss(requiredGPM, data.pipeLength, data.pipeSize, data.pipeMaterial, data.fittings);
+    }
+    
+    if (friction) {
+      tdh += friction.total;
+      tdhBreakdown.push(
+        { component: 'Pipe friction', head: friction.pipeLoss },
+        { component: friction.fittingsAssumed ? 'Fittings (typical)' : 'Fittings', head: friction.minorLoss }
+      );
+    }
+  }
+  
+  return { tdh, friction, tdhBreakdown };
+}
+
+// Recommendation for a site: one pump per well, each sized for the worst of the paths it feeds
+// `config` is a sizing config version; the shipped settings unless given. A site missing
+// a figure it can't be sized without isn't sized; `missingFields` lists what to ask for.
+function calculateRecommendation(data, options = {}) {
+  const missing = missingFigures(data);
+  if (missing.length > 0) {
+    const needed = missing.map(key => REQUIRED_FIGURES[key]);
+    return {
+      isValid: false,
+      missingFields: missing,
+      message: `I still need ${needed.length > 1 ? `${needed.slice(0, -1).join(', ')} and ${needed[needed.length - 1]}` : needed[0]} before I can size a pump.`
+    };
+  }
+  
+  const sized = { ...options, config: options.config || DEFAULT_CONFIG };
+  return isMultiPathSite(data) ? recommendForSite(data, sized) : recommendForPath(data, sized);
+}
+
+// Recommendation for one well and one delivery point; the parts list is priced at the given tier.
+// On a multi-path site, `paths` are the well's delivery paths for the summary and
+// `pipeSegments` all the pipe the well feeds, for the parts list. `model` sizes with that
+// pump instead of picking one, and `alternatives` ({ count, rankBy }) adds the other
+// pumps that would work and the near-misses.
+function recommendForPath(data, { priceTier = DEFAULT_PRICE_TIER, paths = null, pipeSegments, model, alternatives, config = DEFAULT_CONFIG } = {}) {
+  const { settings } = config;
+  
+  // Calculate water requirements
+  const waterReq = calculateWaterRequirements(data, settings);
+  
+  const { tdh, friction, tdhBreakdown } = calculateHead(data, waterReq.requiredGPM);
+  
+  // Check for sandy water
+  if (data.sandyWater) {
+    return {
+      isValid: false,
+      message: "Your water has too much sand for our solar pumps. You might want to consider contacting us directly for alternatives."
+    };
+  }
+  
+  // Check well casing size
+  if (data.wellCasingSize && data.wellCasingSize < settings.minCasingSize) {
+    return {
+      isValid: false,
+      message: `Our pumps require a well casing of ${settings.minCasingSize} inches or larger. Your well casing is too small for our pumps. Please contact us for assistance.`
+    };
+  }
+  
+  // Select the pump whose curve delivers the required flow at the computed TDH
+  const selectedPump = model ?
+    evaluatePump(model, waterReq.requiredGPM, tdh, settings) :
+    findSuitablePump(waterReq.requiredGPM, tdh, settings);
+  
+  if (selectedPump && selectedPump.problem) {
+    return {
+      isValid: false,
+      pumpProblem: selectedPump.problem,
+      message: `The ${model} can't serve this site: ${PUMP_PROBLEMS[selectedPump.problem]}.`
+    };
+  }
+  
+  if (!selectedPump) {
+    const compared = alternatives ?
+      compareAlternatives(data, { ...alternatives, priceTier, pipeSegments, config }) :
+      null;
+    const closest = compared && compared.nearMisses[0];
+    return {
+      isValid: false,
+      message: "Based on your requirements, we don't have a standard pump that meets your needs." +
+        (closest ?
+          ` The ${closest.model} would work if you ${lowerFirst(closest.fixes[0].description)}, or contact us directly for a custom solution.` :
+          " Please contact us directly for a custom solution."),
+      ...(compared ? { alternatives: compared } : {})
+    };
+  }
+  
+  const pumpStages = selectedPump.stages;
+  
+  // Solar array sized by the pump family's panel string and controller rules
+  const solarArray = selectedPump.solarArray;
+  const powerRequired = solarArray.powerRequired;
+  const stringDescription = `${solarArray.strings} ${solarArray.strings === 1 ? 'string' : 'parallel strings'} of ${solarArray.seriesCount} x ${solarArray.panelVoltage}V/${solarArray.panelWatts}W panels in series`;
+  
+  // Flow margin at the operating point over the required flow
+  const flowMargin = selectedPump.flowRate - waterReq.requiredGPM;
+  const flowMarginPercent = waterReq.requiredGPM > 0 ? (flowMargin / waterReq.requiredGPM) * 100 : null;
+  
+  // Calculate daily pump output at the operating point, not at max flow
+  const pumpOutput = selectedPump.flowRate * (waterReq.peakSunHours * 60);
+  
+  // Storage for cloudy days at peak demand
+  const storage = calculateStorage(waterReq, data);
+  
+  // Pump cable runs down the well and across to the controller. Without a setting depth
+  // the well depth is the safe length, then the pumping level
+  const cableDepth = data.pumpSettingDepth || data.wellDepth || (data.staticWaterLevel || 0) + (data.drawdownLevel || 0);
+  const mainsDistanceKnown = typeof data.mainsDistance === 'number' && !data.mainsDistanceEstimated;
+  const mainsDistance = typeof data.mainsDistance === 'number' ? data.mainsDistance : DEFAULT_MAINS_DISTANCE;
+  const wiring = cableDepth > 0 ? {
+    ...sizeWire({
+      current: selectedPump.powerRequired / selectedPump.voltage,
+      length: cableDepth + mainsDistance,
+      voltage: selectedPump.voltage,
+      maxVoltageDrop: data.maxVoltageDrop || undefined
+    }),
+    wellDepth: cableDepth,
+    mainsDistance,
+    mainsDistanceEstimated: !mainsDistanceKnown
+  } : null;
+  
+  // Compare each month's demand with what the pump delivers on that month's sun
+  const monthlyBalance = MONTH_NAMES.map((month, i) => {
+    const sunHours = waterReq.sunHours.monthlySunHours[i];
+    const demand = waterReq.monthlyDemand[i];
+    const output = selectedPump.flowRate * sunHours * 60;
+    return {
+      month,
+      demand: Math.round(demand),
+      sunHours,
+      output: Math.round(output),
+      surplus: Math.round(output - demand)
+    };
+  });
+  
+  // The bottleneck is the month with the least output per gallon of demand
+  const bottleneck = monthlyBalance
+    .filter(row => row.demand > 0)
+    .sort((a, b) => a.output / a.demand - b.output / b.demand)[0] || null;
+  
+  // Render everything in the customer's units; the JSON below stays in feet and gallons
+  const units = data.unitSystem || UNIT_SYSTEMS.IMPERIAL;
+  const volumeUnit = units === UNIT_SYSTEMS.METRIC ? 'liters' : 'gallons';
+  const lengthOrUnknown = value => typeof value === 'number' ? formatLength(value, units) : 'Not specified';
+  
+  // Pump setting, pumping level and output against what the well can give
+  const wellSafety = checkWellSafety(data, {
+    flowRate: selectedPump.flowRate,
+    dailyGallons: waterReq.dailyGallons,
+    peakSunHours: waterReq.peakSunHours,
+    units
+  });
+  
+  // Parts list for the system, priced from the price list
+  const billOfMaterials = priceBillOfMaterials(
+    buildBillOfMaterials(data, { pump: selectedPump, solarArray, storage, wiring, units, pipeSegments: pipeSegments || data.pipeSegments }),
+    priceList,
+    priceTier
+  );
+  const costTable = billOfMaterials.lineItems.map(line => line.unit === 'ft' ?
+    `${line.description}, ${formatLength(line.quantity, units)}: ${formatPrice(line.total, billOfMaterials.currency)}` :
+    `${line.quantity} x ${line.description}: ${formatPrice(line.total, billOfMaterials.currency)}`
+  ).join('\n');
+  
+  const monthlyTable = monthlyBalance.map(row => [
+    row.month.slice(0, 3).padEnd(7),
+    Math.round(toDisplayVolume(row.demand, units)).toString().padStart(8),
+    row.sunHours.toFixed(1).padStart(9),
+    Math.round(toDisplayVolume(row.output, units)).toString().padStart(9),
+    Math.round(toDisplayVolume(row.surplus, units)).toString().padStart(9)
+  ].join('')).join('\n');
+  
+  // The other pumps that would do, and the ones that nearly would
+  const compared = alternatives ?
+    compareAlternatives(data, { ...alternatives, priceTier, pipeSegments, config, selected: selectedPump.model }) :
+    null;
+  
+  // Create a clean, formatted summary text for easy copying
+  const formattedSummary = `
+WATER SYSTEM SPECIFICATIONS
+===============================
+Usage type: ${data.usageType.toUpperCase()}
+${data.usageType === USAGE_TYPES.LIVESTOCK ? 
+  `Livestock: ${data.animalCount} ${data.livestockType}` : 
+  data.usageType === USAGE_TYPES.HOUSEHOLD ? 
+    `Household: ${data.peopleCount} people, ${data.bathroomCount || 0} bathrooms` : 
+    data.usageType === USAGE_TYPES.IRRIGATION ? 
+      `Irrigation: ${formatArea(data.irrigationArea || 0, units)}, ${data.irrigationMethod} system, ${data.cropType}` : 
+      `Custom requirements`}
+
+WATER REQUIREMENTS
+--------------------------------
+Daily water needed: ${formatVolume(waterReq.dailyGallons, units)}${waterReq.sunHours.monthName ? ` (${waterReq.sunHours.monthName})` : ''}
+Required flow rate: ${formatFlow(waterReq.requiredGPM, units)}
+Peak sun hours: ${waterReq.peakSunHours} hours (${waterReq.sunHours.region ?
+  `${waterReq.sunHours.monthName}, ${waterReq.sunHours.basis} for ${waterReq.sunHours.region}` :
+  'default, location not found'})${waterReq.sunHours.designMonthIgnored ? `
+No water is needed in ${waterReq.sunHours.designMonthIgnored}, so the worst month is used instead` : ''}
+
+WELL SPECIFICATIONS
+--------------------------------
+Well depth: ${lengthOrUnknown(data.wellDepth)}
+Static water level: ${lengthOrUnknown(data.staticWaterLevel)}
+Drawdown: ${lengthOrUnknown(data.drawdownLevel)} ${data.drawdownEstimated ? '(estimated)' : ''}
+Well yield: ${wellSafety.wellYield !== null ? formatFlow(wellSafety.wellYield, units) : 'Not specified'}
+Pump setting: ${lengthOrUnknown(wellSafety.pumpSettingDepth)}${wellSafety.settingDepthSuggested && wellSafety.pumpSettingDepth !== null ? ' (suggested)' : ''}
+Elevation gain: ${lengthOrUnknown(data.elevationGain)}
+${friction && friction.segments ?
+  `Pipe: ${friction.segments.map(segment => `${formatLength(segment.length, units)} of ${formatPipeSize(segment.size, units)} ${segment.materialName}`).join(', then ')}
+Friction loss: ${formatLength(friction.total, units)} (pipe ${formatLength(friction.pipeLoss, units)}, fittings ${formatLength(friction.minorLoss, units)}${friction.fittingsAssumed ? ' typical' : ''})` :
+  friction ?
+  `Pipe: ${formatLength(data.pipeLength, units)} of ${formatPipeSize(data.pipeSize, units)} ${friction.materialName}${data.pipeMaterial ? '' : ' (assumed)'}, ${formatDiameter(friction.innerDiameter, units)} inside diameter
+Friction loss: ${formatLength(friction.total, units)} (pipe ${formatLength(friction.pipeLoss, units)}, fittings ${formatLength(friction.minorLoss, units)}${friction.fittingsAssumed ? ' typical' : ''})` :
+  `Friction loss: Not calculated`}
+Total Dynamic Head: ${formatLength(tdh, units)}
+${paths ? `
+DELIVERY PATHS
+--------------------------------
+${paths.map(path => `${path.destination}: ${formatLength(path.elevationGain, units)} rise, ${formatLength(path.pipeLength, units)} of pipe, ${formatLength(path.tdh, units)} head${path.worstCase ? ' - worst case, the pump is sized for this path' : ''}`).join('\n')}
+` : ''}
+PUMP RECOMMENDATION
+================================
+Model: ${selectedPump.model}
+Family: ${selectedPump.family} (${selectedPump.pumpType})
+Stages: ${pumpStages}
+Max flow capacity: ${formatFlow(selectedPump.maxFlow, units)}
+Max head capacity: ${formatLength(selectedPump.maxHead, units)}
+Operating point: ${formatFlow(selectedPump.flowRate, units)} at ${formatLength(tdh, units)}
+Flow margin: ${formatFlow(flowMargin, units)}${flowMarginPercent !== null ? ` (${flowMarginPercent.toFixed(0)}% over required)` : ''}
+Daily output at operating point: ${formatVolume(pumpOutput, units)}
+
+MONTHLY WATER BALANCE (${volumeUnit} per day)
+--------------------------------
+Month    Demand  Sun hrs   Output  Surplus
+${monthlyTable}
+Bottleneck month: ${bottleneck ? `${bottleneck.month} (${bottleneck.surplus >= 0 ? `${formatVolume(bottleneck.surplus, units)} spare` : `${formatVolume(-bottleneck.surplus, units)} short`})` : 'None'}
+
+STORAGE
+--------------------------------
+Days of autonomy: ${storage.autonomyDays} cloudy days at ${formatVolume(waterReq.peakDailyGallons, units)} per day
+Storage needed: ${formatVolume(storage.requiredGallons, units)}
+${storage.existingCapacity !== null ?
+  `Existing tank: ${formatVolume(storage.existingCapacity, units)} (${storage.existingAutonomyDays} days)${storage.undersized ? ` - UNDERSIZED, upgrade to ${formatVolume(storage.recommendedSize, units)}` : ''}` :
+  `Recommended tank: ${formatVolume(storage.recommendedSize, units)}`}
+
+SOLAR CONFIGURATION
+--------------------------------
+System voltage: ${solarArray.voltage}V
+Total power required: ${powerRequired} watts
+Recommended panels: ${solarArray.panels} x ${solarArray.panelWatts}W panels (${stringDescription})
+
+WELL SAFETY
+--------------------------------
+${wellSafety.checks.length > 0 ?
+  wellSafety.checks.map(check => `${check.passed ? 'OK' : 'WARNING'}: ${check.message}`).join('\n') :
+  'Not checked (water level unknown)'}${wellSafety.advice.map(line => `\n- ${line}`).join('')}
+
+PUMP CABLE
+--------------------------------
+${wiring ?
+  `Cable run: ${formatLength(wiring.length, units)} (${formatLength(wiring.wellDepth, units)} down the well, ${formatLength(wiring.mainsDistance, units)} to the controller${wiring.mainsDistanceEstimated ? ', assumed' : ''})
+Pump current: ${wiring.current} A at ${wiring.voltage}V
+Wire size: ${wiring.gauge} AWG copper (${wiring.voltageDropPercent}% voltage drop, limit ${wiring.maxVoltageDrop}%)${wiring.withinLimit ? '' : `
+WARNING: even ${wiring.gauge} AWG loses more than ${wiring.maxVoltageDrop}% - move the controller closer to the well or ask us about a higher-voltage pump`}` :
+  `Cable run: Not calculated (well depth unknown)`}
+
+COST ESTIMATE (${billOfMaterials.tier} prices, ${billOfMaterials.currency})
+--------------------------------
+${costTable}
+Total: ${formatPrice(billOfMaterials.total, billOfMaterials.currency)}${billOfMaterials.unpricedItems > 0 ? ` plus ${billOfMaterials.unpricedItems} item${billOfMaterials.unpricedItems === 1 ? '' : 's'} priced on request` : ''}
+${compared ? `
+${formatAlternatives(compared, units)}
+` : ''}`;
+  
+  return {
+    isValid: true,
+    catalogVersion,
+    configVersion: config.version,
+    units,
+    waterRequirements: {
+      dailyGallons: waterReq.dailyGallons,
+      peakDailyGallons: waterReq.peakDailyGallons,
+      requiredGPM: waterReq.requiredGPM.toFixed(2)
+    },
+    monthlyBalance,
+    bottleneckMonth: bottleneck ? bottleneck.month : null,
+    storage,
+    pumpDetails: {
+      model: selectedPump.model,
+      family: selectedPump.family,
+      pumpType: selectedPump.pumpType,
+      stages: pumpStages,
+      maxFlow: selectedPump.maxFlow,
+      maxHead: selectedPump.maxHead
+    },
+    operatingPoint: {
+      head: tdh.toFixed(1),
+      flowRate: selectedPump.flowRate.toFixed(2),
+      flowMargin: flowMargin.toFixed(2),
+      flowMarginPercent: flowMarginPercent !== null ? flowMarginPercent.toFixed(0) : null
+    },
+    system: {
+      tdh: tdh.toFixed(1),
+      tdhBreakdown: tdhBreakdown.map(row => ({ component: row.component, head: parseFloat(row.head.toFixed(1)) })),
+      frictionLoss: friction && friction.segments ? {
+        segments: friction.segments.map(segment => ({
+          length: segment.length,
+          size: segment.size,
+          material: segment.material,
+          innerDiameter: segment.innerDiameter,
+          pipeLoss: segment.pipeLoss.toFixed(1)
+        })),
+        pipeLoss: friction.pipeLoss.toFixed(1),
+        minorLoss: friction.minorLoss.toFixed(1),
+        total: friction.total.toFixed(1)
+      } : friction ? {
+        material: friction.material,
+        materialAssumed: !data.pipeMaterial,
+        cFactor: friction.cFactor,
+        innerDiameter: friction.innerDiameter,
+        pipeLoss: friction.pipeLoss.toFixed(1),
+        minorLoss: friction.minorLoss.toFixed(1),
+        total: friction.total.toFixed(1)
+      } : null,
+      peakSunHours: waterReq.peakSunHours,
+      sunHoursSource: {
+        region: waterReq.sunHours.region,
+        referenceCity: waterReq.sunHours.referenceCity || null,
+        month: waterReq.sunHours.monthName,
+        basis: waterReq.sunHours.basis
+      },
+      panelsRequired: solarArray.panels,
+      dailyOutput: pumpOutput.toFixed(0)
+    },
+    solarConfig: {
+      voltage: solarArray.voltage,
+      wattage: solarArray.wattage,
+      powerRequired,
+      panels: solarArray.panels,
+      panelWatts: solarArray.panelWatts,
+      seriesCount: solarArray.seriesCount,
+      strings: solarArray.strings,
+      description: `${solarArray.panels} panels (${stringDescription})`
+    },
+    wellSafety,
+    wiring,
+    paths,
+    billOfMaterials,
+    ...(compared ? { alternatives: compared } : {}),
+    formattedSummary
+  };
+}
+
+// Does this model deliver the site's flow at its head?
+function modelFits(data, model, settings) {
+  const waterReq = calculateWaterRequirements(data, settings);
+  const { tdh } = calculateHead(data, waterReq.requiredGPM);
+  return !evaluatePump(model, waterReq.requiredGPM, tdh, settings).problem;
+}
+
+// The field that sets a site's demand, how finely it can be cut, and how to say it
+function demandField(data, units) {
+  if (data.customGPD) {
+    return { key: 'customGPD', step: 10, describe: value => `${formatVolume(value, units)} per day` };
+  }
+  switch (data.usageType) {
+    case USAGE_TYPES.LIVESTOCK:
+      return { key: 'animalCount', step: 1, describe: value => `${value} head of ${data.livestockType || 'livestock'}` };
+    case USAGE_TYPES.HOUSEHOLD:
+      return { key: 'peopleCount', step: 1, describe: value => `${value} ${value === 1 ? 'person' : 'people'}` };
+    case USAGE_TYPES.IRRIGATION:
+      return { key: 'irrigationArea', step: 0.1, describe: value => formatArea(value, units) };
+    default:
+      return null;
+  }
+}
+
+// Changes to the site that would let a model work: the next pipe size up that's enough,
+// and the most demand it can carry, down to NEAR_MISS_LIMIT of what was asked
+function findFixes(data, model, units, settings) {
+  const fixes = [];
+  
+  // Bigger pipe cuts friction; only for a single run we can resize
+  if (!data.customHead && !data.pipeSegments && data.pipeLength && data.pipeSize) {
+    const sizes = Object.keys(INNER_DIAMETERS[data.pipeMaterial] || INNER_DIAMETERS[DEFAULT_PIPE_MATERIAL])
+      .map(Number)
+      .filter(size => size > data.pipeSize)
+      .sort((a, b) => a - b);
+    const size = sizes.find(candidate => modelFits({ ...data, pipeSize: candidate }, model, settings));
+    if (size) {
+      fixes.push({ field: 'pipeSize', value: size, description: `Raise the pipe to ${formatPipeSize(size, units)}` });
+    }
+  }
+  
+  // Largest demand the model can carry, searched in whole steps
+  const field = demandField(data, units);
+  const current = field && data[field.key];
+  if (current > 0) {
+    let low = Math.ceil(current * NEAR_MISS_LIMIT / field.step);
+    let high = Math.ceil(current / field.step) - 1;
+    const fits = steps => modelFits({ ...data, [field.key]: parseFloat((steps * field.step).toFixed(1)) }, model, settings);
+    
+    if (low <= high && fits(low)) {
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(middle)) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      const value = parseFloat((low * field.step).toFixed(1));
+      fixes.push({ field: field.key, value, description: `Reduce to ${field.describe(value)}` });
+    }
+  }
+  
+  return fixes;
+}
+
+// Every catalog pump tried against the site: the top `count` that work, ranked by cost,
+// surplus flow or array size, and the ones that don't with what would make them work
+function compareAlternatives(data, { count = DEFAULT_ALTERNATIVES, rankBy = 'cost', priceTier, pipeSegments, config = DEFAULT_CONFIG, selected = null } = {}) {
+  const units = data.unitSystem || UNIT_SYSTEMS.IMPERIAL;
+  const options = [];
+  const nearMisses = [];
+  
+  for (const model of Object.keys(pumpData)) {
+    const result = recommendForPath(data, { priceTier, pipeSegments, model, config });
+    
+    if (result.isValid) {
+      options.push({
+        model,
+        stages: result.pumpDetails.stages,
+        flowRate: parseFloat(result.operatingPoint.flowRate),
+        flowMarginPercent: result.operatingPoint.flowMarginPercent !== null ? parseFloat(result.operatingPoint.flowMarginPercent) : null,
+        dailyOutput: parseFloat(result.system.dailyOutput),
+        panels: result.solarConfig.panels,
+        arrayWatts: result.solarConfig.wattage,
+        total: result.billOfMaterials.total,
+        currency: result.billOfMaterials.currency,
+        selected: model === selected
+      });
+    } else if (result.pumpProblem === 'head' || result.pumpProblem === 'flow') {
+      const fixes = findFixes(data, model, units, config.settings);
+      if (fixes.length > 0) {
+        // A pipe change keeps all the demand; otherwise how much of it the model can carry
+        const demandFix = fixes.find(fix => fix.field !== 'pipeSize');
+        const demandKept = fixes[0].field === 'pipeSize' ? 1 : demandFix.value / data[demandFix.field];
+        nearMisses.push({ model, problem: result.pumpProblem, demandKept, fixes });
+      }
+    }
+  }
+  
+  // Ties go to the cheaper system
+  const byCost = (a, b) => a.total - b.total;
+  const rankings = {
+    cost: byCost,
+    surplus: (a, b) => (b.flowMarginPercent || 0) - (a.flowMarginPercent || 0) || byCost(a, b),
+    array: (a, b) => a.arrayWatts - b.arrayWatts || byCost(a, b)
+  };
+  
+  return {
+    rankBy,
+    options: options.sort(rankings[rankBy] || byCost).slice(0, count),
+    // Closest first: the ones that need the least given up
+    nearMisses: nearMisses
+      .sort((a, b) => b.demandKept - a.demandKept)
+      .slice(0, count)
+      .map(({ demandKept, ...miss }) => miss)
+  };
+}
+
+// ALTERNATIVES section of the summary
+function formatAlternatives(compared, units) {
+  const options = compared.options.map((option, i) =>
+    `${i + 1}. ${option.model}: ${formatFlow(option.flowRate, units)}${option.flowMarginPercent !== null ? ` (${option.flowMarginPercent}% over required)` : ''}, ${option.panels} panels (${option.arrayWatts}W), ${formatPrice(option.total, option.currency)}${option.selected ? ' - recommended' : ''}`
+  );
+  const nearMisses = compared.nearMisses.map(miss =>
+    `- ${miss.model} (${PUMP_PROBLEMS[miss.problem]}): ${miss.fixes.map(fix => fix.description).join(', or ')}`
+  );
+  
+  return `ALTERNATIVES (ranked by ${compared.rankBy})
+--------------------------------
+${options.length > 0 ? options.join('\n') : 'None of our standard pumps fit as the site stands'}${nearMisses.length > 0 ? `
+Near misses:
+${nearMisses.join('\n')}` : ''}`;
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+// Several wells or delivery points: each well's pump carries its delivery points' share of
+// the demand and is sized for whichever of its paths needs the most head
+function recommendForSite(data, options) {
+  const units = data.unitSystem || UNIT_SYSTEMS.IMPERIAL;
+  const wells = getWells(data);
+  const destinations = getDestinations(data);
+  const shares = splitDemand(destinations);
+  
+  const paths = [];
+  const wellResults = wells.map((well, index) => {
+    const served = destinations
+      .map((destination, i) => ({ ...destination, demandShare: shares[i] }))
+      .filter(destination => destination.well === index);
+    
+    if (served.length === 0) {
+      return { name: well.name, demandShare: 0, worstPath: null, recommendation: null };
+    }
+    
+    const demandShare = served.reduce((sum, destination) => sum + destination.demandShare, 0);
+    
+    // Every path from this well carries the pump's full flow when its float valve opens
+    const headed = served.map(destination => {
+      const site = pathData(data, well, destination, demandShare);
+      const { tdh, friction } = calculateHead(site, calculateWaterRequirements(site, options.config.settings).requiredGPM);
+      return { destination, site, tdh, pipeLength: friction ? friction.length || site.pipeLength : 0 };
+    });
+    const worst = headed.reduce((most, path) => path.tdh > most.tdh ? path : most);
+    
+    const wellPaths = headed.map(path => ({
+      well: well.name,
+      destination: path.destination.name,
+      elevationGain: path.destination.elevationGain,
+      pipeLength: path.pipeLength,
+      demandShare: parseFloat(path.destination.demandShare.toFixed(3)),
+      tdh: parseFloat(path.tdh.toFixed(1)),
+      worstCase: path === worst
+    }));
+    paths.push(...wellPaths);
+    
+    const recommendation = recommendForPath(worst.site, {
+      ...options,
+      paths: wellPaths,
+      pipeSegments: served.flatMap(destination => destination.pipeSegments)
+    });
+    
+    return { name: well.name, demandShare: parseFloat(demandShare.toFixed(3)), worstPath: worst.destination.name, recommendation };
+  });
+  
+  // One well is an ordinary recommendation with its paths listed
+  if (wells.length === 1) {
+    return wellResults[0].recommendation;
+  }
+  
+  const unsized = wellResults.filter(result => !result.recommendation);
+  const invalid = wellResults.filter(result => result.recommendation && !result.recommendation.isValid);
+  
+  const formattedSummary = wellResults.map(result => result.recommendation ?
+    `
+################################
+${result.name.toUpperCase()} - ${Math.round(result.demandShare * 100)}% of the demand, sized for ${result.worstPath}
+################################
+${result.recommendation.isValid ? result.recommendation.formattedSummary : `\n${result.recommendation.message}\n`}` :
+    `
+################################
+${result.name.toUpperCase()} - not sized, no delivery point is fed from it
+################################
+`).join('');
+  
+  return {
+    isValid: invalid.length === 0 && unsized.length < wells.length,
+    ...(invalid.length > 0 ? { message: invalid.map(result => `${result.name}: ${result.recommendation.message}`).join(' ') } : {}),
+    multiWell: true,
+    catalogVersion,
+    configVersion: options.config.version,
+    units,
+    paths,
+    wells: wellResults,
+    formattedSummary
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  irrigationMonthlyFactors,
+  DEFAULT_AUTONOMY_DAYS,
+  STANDARD_TANK_SIZES,
+  DEFAULT_ALTERNATIVES,
+  MAX_ALTERNATIVES,
+  ALTERNATIVE_RANKINGS,
+  calculateWaterRequirements,
+  calculateStorage,
+  calculateRecommendation,
+  compareAlternatives
+};
@@ -0,0 +1,124 @@
+// solarData.js - Monthly peak sun hours from the bundled offline insolation table
+const insolation = require('./data/peakSunHours.json');
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Used when a location can't be matched against the table
+const DEFAULT_PEAK_SUN_HOURS = 5.4;
+
+// State names, longest first so "West Virginia" wins over "Virginia"
+const STATE_NAMES = Object.entries(insolation.states)
+  .map(([code, state]) => ({ code, name: state.name.toLowerCase() }))
+  .sort((a, b) => b.name.length - a.name.length);
+
+// Build a location result for a state code
+function getRegion(code) {
+  const state = insolation.states[code];
+  if (!state) {
+    return null;
+  }
+
+  return {
+    code,
+    name: state.name,
+    referenceCity: state.referenceCity,
+    monthly: state.monthly
+  };
+}
+
+// Resolve a free-text location ("Amarillo, TX", "west texas") to a state in the table
+function resolveLocation(location) {
+  if (!location) {
+    return null;
+  }
+
+  const lowerLocation = location.toLowerCase();
+
+  // Full state names first
+  for (const { code, name } of STATE_NAMES) {
+    if (new RegExp(`\\b${name}\\b`).test(lowerLocation)) {
+      return getRegion(code);
+    }
+  }
+
+  // Then a capitalised two-letter code, e.g. "Amarillo, TX" or just "NM"
+  const codeMatch = location.match(/(?:^|,\s*|\s)([A-Z]{2})\.?\s*(?:\d{5})?\s*$/) ||
+    location.match(/,\s*([A-Z]{2})\b/);
+  if (codeMatch) {
+    return getRegion(codeMatch[1]);
+  }
+
+  return null;
+}
+
+// Parse a month name out of text, returning its index (0-11). A three-letter
+// abbreviation (and May, which is one) only counts on its own or after
+// "design"/"for", since "may" and "mar" are ordinary words too ("what we may need").
+function parseMonth(text) {
+  const lowerText = (text || '').toLowerCase().trim();
+
+  for (let i = 0; i < MONTH_NAMES.length; i++) {
+    const name = MONTH_NAMES[i].toLowerCase();
+    const abbreviation = name.slice(0, 3);
+    const fullName = name.length > 3 ? `\\b${name}\\b|` : '';
+    if (new RegExp(`${fullName}^${abbreviation}\\.?$|\\b(?:design(?:\\s+month)?|for)\\s+${abbreviation}\\b`).test(lowerText)) {
+      return i;
+    }
+  }
+
+  return null;
+}
+
+// Monthly peak sun hours for a region, flat at the default when it's unknown
+function getMonthlySunHours(region) {
+  return region ? region.monthly.slice() : new Array(12).fill(DEFAULT_PEAK_SUN_HOURS);
+}
+
+// Pick the month to size with: the design month if given and it has demand, else the worst month.
+// The worst month is the one with the most demand per sun hour, which is simply
+// the darkest month when demand is flat through the year.
+function getDesignSunHours(region, designMonth, monthlyDemand) {
+  const monthlySunHours = getMonthlySunHours(region);
+  const demand = monthlyDemand || new Array(12).fill(1);
+
+  let month = designMonth;
+  let basis = 'design month';
+
+  // A design month with no demand would size the pump for nothing, so it's passed over
+  const isMonth = Number.isInteger(month) && month >= 0 && month <= 11;
+  const designMonthIgnored = isMonth && !(demand[month] > 0);
+
+  if (!isMonth || designMonthIgnored) {
+    const ratios = monthlySunHours.map((hours, i) => demand[i] / hours);
+    month = ratios.indexOf(Math.max(...ratios));
+    basis = 'worst month';
+
+    // Without a region or seasonal demand, no month is worse than another
+    if (!region && demand.every(value => value === demand[0])) {
+      month = null;
+    }
+  }
+
+  return {
+    peakSunHours: month !== null ? monthlySunHours[month] : DEFAULT_PEAK_SUN_HOURS,
+    month,
+    monthName: month !== null ? MONTH_NAMES[month] : null,
+    basis: region ? basis : 'default',
+    region: region ? region.name : null,
+    referenceCity: region ? region.referenceCity : null,
+    ...(designMonthIgnored ? { designMonthIgnored: MONTH_NAMES[designMonth] } : {}),
+    monthlySunHours
+  };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  DEFAULT_PEAK_SUN_HOURS,
+  resolveLocation,
+  parseMonth,
+  getMonthlySunHours,
+  getDesignSunHours
+};
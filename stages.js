@@ -0,0 +1,57 @@
+// stages.js - Water usage types and conversation stages
+
+// Water usage types
+const USAGE_TYPES = {
+  UNKNOWN: 'unknown',
+  LIVESTOCK: 'livestock',
+  HOUSEHOLD: 'household',
+  IRRIGATION: 'irrigation',
+  OTHER: 'other'
+};
+
+// Conversation stages
+const STAGES = {
+  GREETING: 'greeting',
+  USAGE_TYPE: 'usage_type',
+  LOCATION: 'location',
+  
+  // Livestock stages
+  LIVESTOCK_TYPE: 'livestock_type',
+  ANIMAL_COUNT: 'animal_count',
+  
+  // Household stages
+  PEOPLE_COUNT: 'people_count',
+  FIXTURES_COUNT: 'fixtures_count',
+  
+  // Irrigation stages
+  IRRIGATION_AREA: 'irrigation_area',
+  IRRIGATION_TYPE: 'irrigation_type',
+  CROP_TYPE: 'crop_type',
+  
+  // Common stages
+  WELL_DEPTH: 'well_depth',
+  STATIC_WATER: 'static_water',
+  DRAWDOWN: 'drawdown',
+  WELL_YIELD: 'well_yield', // recovery rate, checked against pump output
+  PUMP_SETTING: 'pump_setting', // how deep the pump hangs
+  ADDITIONAL_WELLS: 'additional_wells', // repeats until the customer has no more wells
+  ELEVATION: 'elevation',
+  PIPE_INFO: 'pipe_info',
+  ADDITIONAL_DESTINATIONS: 'additional_destinations', // repeats until there are no more tanks
+  STORAGE_TANK: 'storage_tank',
+  WATER_QUALITY: 'water_quality',
+  WELL_CASING: 'well_casing',
+  MAINS_DISTANCE: 'mains_distance', // array and controller to the wellhead, for wire sizing
+  SUMMARY: 'summary',
+  CONTACT_INFO: 'contact_info', // optional; the customer can skip it
+  RECOMMENDATION: 'recommendation',
+  
+  // Special stages
+  CUSTOM_FLOW: 'custom_flow',
+  CUSTOM_HEAD: 'custom_head'
+};
+
+module.exports = {
+  USAGE_TYPES,
+  STAGES
+};
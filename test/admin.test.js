@@ -0,0 +1,93 @@
+// Sizing config admin API and page, against a throwaway SQLite config store
+process.env.LLM_PROVIDER = 'mock';
+process.env.SEARCH_PROVIDER = 'disabled';
+process.env.SESSION_STORE = 'memory';
+process.env.SIZING_CONFIG_STORE = 'sqlite';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-'));
+process.env.SESSION_SQLITE_PATH = path.join(tmpDir, 'sessions.db');
+process.env.ADMIN_API_KEY = 'admin-test-key';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+async function admin(route, { method = 'GET', body, key = 'admin-test-key' } = {}) {
+  const response = await fetch(`${baseUrl}/api/admin/config${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'X-Admin-Key': key } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const size = async () => (await (await fetch(`${baseUrl}/api/size`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ usageType: 'other', custom: { gallonsPerDay: 400, totalHead: 60 }, well: { casingSize: 4.5 } })
+})).json()).recommendation;
+
+test('the admin API needs the admin key', async () => {
+  assert.equal((await admin('', { key: null })).status, 401);
+  assert.equal((await admin('', { key: 'guess' })).status, 401);
+  assert.equal((await admin('/rollback', { method: 'POST', body: { version: 1 }, key: null })).status, 401);
+
+  const { status, body } = await admin('');
+  assert.equal(status, 200);
+  assert.equal(body.config.version, 1);
+  assert.equal(body.config.settings.minCasingSize, 5);
+  assert.equal(body.shared, true);
+});
+
+test('a config change applies to the next sizing without a restart', async () => {
+  assert.equal((await size()).isValid, false);
+
+  const changed = await admin('', { method: 'PATCH', body: { settings: { minCasingSize: 4 }, note: '4" pumps in stock', author: 'pat' } });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body.config.version, 2);
+
+  const recommendation = await size();
+  assert.equal(recommendation.isValid, true);
+  assert.equal(recommendation.configVersion, 2);
+
+  const rejected = await admin('', { method: 'PATCH', body: { settings: { minCasingSize: 'small' } } });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.fields[0].field, 'minCasingSize');
+});
+
+test('history lists every version and a rollback restores an old one', async () => {
+  const history = await admin('/history');
+  assert.deepEqual(history.body.versions.map(entry => entry.version), [2, 1]);
+  assert.equal(history.body.versions[0].author, 'pat');
+
+  const rolledBack = await admin('/rollback', { method: 'POST', body: { version: 1 } });
+  assert.equal(rolledBack.status, 200);
+  assert.equal(rolledBack.body.config.version, 3);
+  assert.equal(rolledBack.body.config.rolledBackFrom, 1);
+  assert.equal((await size()).isValid, false);
+
+  assert.equal((await admin('/rollback', { method: 'POST', body: { version: 42 } })).status, 400);
+});
+
+test('the admin page is served', async () => {
+  const response = await fetch(`${baseUrl}/admin`);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /Sizing settings/);
+});
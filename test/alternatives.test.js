@@ -0,0 +1,54 @@
+// Comparing the catalog's pumps for a site, and what would make a near-miss work
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateRecommendation, compareAlternatives } = require('../sizing');
+
+// 30 beef cattle on a 250 ft well, the same site the what-if tests change
+const SITE = require('./fixtures/livestockSite.json');
+
+test('working pumps are ranked by cost, surplus or array size', () => {
+  const byCost = compareAlternatives(SITE, { count: 5 });
+  assert.ok(byCost.options.length >= 2);
+  const totals = byCost.options.map(option => option.total);
+  assert.deepEqual(totals, [...totals].sort((a, b) => a - b));
+
+  const bySurplus = compareAlternatives(SITE, { count: 5, rankBy: 'surplus' });
+  const margins = bySurplus.options.map(option => option.flowMarginPercent);
+  assert.deepEqual(margins, [...margins].sort((a, b) => b - a));
+
+  assert.equal(compareAlternatives(SITE, { count: 1 }).options.length, 1);
+});
+
+test('a near-miss says how much demand it can carry', () => {
+  const { nearMisses } = compareAlternatives(SITE);
+  const miss = nearMisses.find(candidate => candidate.model === '4S48V50C');
+
+  assert.equal(miss.problem, 'flow');
+  assert.equal(miss.fixes[0].field, 'animalCount');
+  assert.ok(miss.fixes[0].value < 30 && miss.fixes[0].value >= 15);
+  assert.match(miss.fixes[0].description, /^Reduce to \d+ head of beef$/);
+});
+
+test('a bigger pipe is offered when friction is what stops a pump', () => {
+  const site = { ...SITE, animalCount: 45, pipeLength: 2500, pipeSize: 0.75 };
+  const rec = calculateRecommendation(site, { alternatives: {} });
+
+  assert.equal(rec.isValid, false);
+  const [closest] = rec.alternatives.nearMisses;
+  assert.equal(closest.model, '6S48V50C');
+  assert.deepEqual(closest.fixes[0], { field: 'pipeSize', value: 1, description: 'Raise the pipe to 1"' });
+  assert.match(rec.message, /The 6S48V50C would work if you raise the pipe to 1"/);
+});
+
+test('the recommendation lists alternatives only when asked', () => {
+  const plain = calculateRecommendation(SITE);
+  assert.equal(plain.alternatives, undefined);
+  assert.doesNotMatch(plain.formattedSummary, /ALTERNATIVES/);
+
+  const rec = calculateRecommendation(SITE, { alternatives: { count: 3, rankBy: 'array' } });
+  assert.equal(rec.alternatives.rankBy, 'array');
+  assert.equal(rec.alternatives.options.filter(option => option.selected).length, 1);
+  assert.match(rec.formattedSummary, /ALTERNATIVES \(ranked by array\)/);
+  assert.match(rec.formattedSummary, /Near misses:\n- 4S48V50C \(not enough flow\): Reduce to/);
+});
@@ -0,0 +1,273 @@
+// End-to-end conversation through /api/chat with the mock LLM provider; no network needed
+process.env.LLM_PROVIDER = 'mock';
+process.env.SEARCH_PROVIDER = 'disabled';
+process.env.SESSION_STORE = 'memory';
+// Shipped sizing settings, whatever a local .env says
+process.env.SIZING_CONFIG_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-'));
+process.env.LOG_STORE = 'file';
+process.env.LEADS_PATH = path.join(tmpDir, 'leads.jsonl');
+process.env.DEALER_API_KEY = 'dealer-test-key';
+process.env.ADMIN_API_KEY = 'admin-test-key';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+async function chat(sessionId, message) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId, message })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a scripted livestock conversation ends in a recommendation', async () => {
+  const script = [
+    ['hi', 'usage_type'],
+    ['watering cattle', 'location'],
+    ['Amarillo, TX', 'livestock_type'],
+    ['beef', 'animal_count'],
+    ['40 head', 'well_depth'],
+    ['300 ft', 'static_water'],
+    ['100 ft', 'drawdown'],
+    ["don't know", 'well_yield'],
+    ['about 3 gpm', 'pump_setting'],
+    ['not sure', 'additional_wells'],
+    ['just the one', 'elevation'],
+    ['flat', 'pipe_info'],
+    ['400 ft of 1.25" pvc', 'additional_destinations'],
+    ['no', 'storage_tank'],
+    ['no tank yet', 'water_quality'],
+    ['clear', 'well_casing'],
+    ['6 inch', 'mains_distance'],
+    ['about 30 ft', 'summary'],
+    ['yes', 'contact_info'],
+    ['Sam Hill, sam@example.com', 'recommendation'],
+    ['thanks!', 'recommendation']
+  ];
+
+  let last;
+  for (const [message, stage] of script) {
+    last = await chat('e2e-livestock', message);
+    assert.equal(last.status, 200);
+    assert.equal(last.body.stage, stage, `after "${message}"`);
+    assert.match(last.body.message, /\[mock\]/);
+  }
+
+  const { recommendation } = last.body;
+  assert.equal(recommendation.isValid, true);
+  assert.ok(recommendation.pumpDetails.model);
+  assert.equal(recommendation.storage.existingCapacity, null);
+  assert.match(recommendation.formattedSummary, /Livestock: 40 beef/);
+  assert.ok(recommendation.alternatives.options.some(option => option.selected));
+  assert.equal(last.body.quoteUrl, '/api/session/e2e-livestock/quote.pdf');
+
+  const debug = await (await fetch(`${baseUrl}/api/debug/e2e-livestock`)).json();
+  assert.equal(debug.currentStage, 'recommendation');
+  assert.equal(debug.messageCount, script.length * 2);
+
+  // The completed sizing is logged once, with the contact details
+  const leads = fs.readFileSync(process.env.LEADS_PATH, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(leads.length, 1);
+  assert.equal(leads[0].sessionId, 'e2e-livestock');
+  assert.deepEqual(leads[0].contact, { name: 'Sam Hill', email: 'sam@example.com', phone: null });
+  assert.equal(leads[0].site.animalCount, 40);
+  assert.equal(leads[0].recommendation.pumpDetails.model, recommendation.pumpDetails.model);
+});
+
+test('a missing session ID is rejected', async () => {
+  const { status, body } = await chat(undefined, 'hi');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Session ID is required');
+});
+
+test('a finished session prints as a quote with a stable number', async () => {
+  const pdf = await fetch(`${baseUrl}/api/session/e2e-livestock/quote.pdf`);
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  const quoteNumber = /filename="(Q-\d{8}-[0-9A-F]{6})\.pdf"/.exec(pdf.headers.get('content-disposition'))[1];
+  assert.equal((Buffer.from(await pdf.arrayBuffer())).subarray(0, 5).toString(), '%PDF-');
+
+  const html = await fetch(`${baseUrl}/api/session/e2e-livestock/quote.html`);
+  assert.match(html.headers.get('content-type'), /text\/html/);
+  const page = await html.text();
+  assert.ok(page.includes(`Quote ${quoteNumber}`));
+  assert.match(page, /Sam Hill/);
+});
+
+test('a quote needs a session with a recommendation', async () => {
+  await chat('e2e-unfinished', 'hi');
+
+  const unfinished = await fetch(`${baseUrl}/api/session/e2e-unfinished/quote.pdf`);
+  assert.equal(unfinished.status, 409);
+  assert.equal((await unfinished.json()).error, 'No recommendation to quote yet');
+
+  const missing = await fetch(`${baseUrl}/api/session/no-such-session/quote.html`);
+  assert.equal(missing.status, 404);
+});
+
+test('a sized session takes what-ifs in the chat and through the API', async () => {
+  const before = (await (await fetch(`${baseUrl}/api/debug/e2e-livestock`)).json()).data.recommendation;
+
+  const asked = await chat('e2e-livestock', 'what if I had 20 head instead');
+  assert.equal(asked.body.stage, 'recommendation');
+  assert.equal(asked.body.whatIf.field, 'animalCount');
+  assert.equal(asked.body.whatIf.previous, 40);
+  assert.ok(asked.body.whatIf.changes.some(change => change.label === 'Daily water needed'));
+  assert.match(asked.body.recommendation.formattedSummary, /Livestock: 20 beef/);
+  assert.notDeepEqual(asked.body.recommendation.waterRequirements, before.waterRequirements);
+
+  const patch = (sessionId, body) => fetch(`${baseUrl}/api/session/${sessionId}/data`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const patched = await patch('e2e-livestock', { field: 'animalCount', value: 40 });
+  assert.equal(patched.status, 200);
+  const body = await patched.json();
+  assert.equal(body.previous, 20);
+  assert.deepEqual(body.recommendation.waterRequirements, before.waterRequirements);
+  assert.match(body.summary, /Daily water needed/);
+
+  assert.equal((await patch('e2e-livestock', { field: 'animalCount', value: -3 })).status, 400);
+  assert.equal((await patch('e2e-unfinished', { field: 'animalCount', value: 40 })).status, 409);
+  assert.equal((await patch('no-such-session', { field: 'animalCount', value: 40 })).status, 404);
+});
+
+test('dealer prices need the dealer key', async () => {
+  const size = headers => fetch(`${baseUrl}/api/size`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ usageType: 'other', custom: { gallonsPerDay: 400, totalHead: 60 } })
+  });
+
+  const retail = await (await size({})).json();
+  assert.equal(retail.recommendation.billOfMaterials.tier, 'retail');
+
+  const dealer = await (await size({ 'X-Dealer-Key': 'dealer-test-key' })).json();
+  assert.equal(dealer.recommendation.billOfMaterials.tier, 'dealer');
+  assert.ok(dealer.recommendation.billOfMaterials.total < retail.recommendation.billOfMaterials.total);
+
+  assert.equal((await size({ 'X-Dealer-Key': 'guess' })).status, 401);
+});
+
+test('the sizing API needs the static water level unless a total head is given', async () => {
+  const size = body => fetch(`${baseUrl}/api/size`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ usageType: 'livestock', livestock: { type: 'beef', count: 40 }, ...body })
+  });
+
+  const response = await size({});
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).fields, [
+    { field: 'well.staticWaterLevel', message: 'is required unless custom.totalHead is given' }
+  ]);
+
+  assert.equal((await size({ well: { staticWaterLevel: 80 } })).status, 200);
+  assert.equal((await size({ custom: { totalHead: 100 } })).status, 200);
+});
+
+test('the sizing API compares alternatives on request', async () => {
+  const size = query => fetch(`${baseUrl}/api/size${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ usageType: 'other', custom: { gallonsPerDay: 400, totalHead: 60 } })
+  });
+
+  const plain = await (await size('')).json();
+  assert.equal(plain.recommendation.alternatives, undefined);
+
+  const compared = await (await size('?alternatives=2&rankBy=surplus')).json();
+  assert.equal(compared.recommendation.alternatives.rankBy, 'surplus');
+  assert.equal(compared.recommendation.alternatives.options.length, 2);
+
+  assert.equal((await size('?rankBy=colour')).status, 400);
+  assert.equal((await size('?alternatives=0')).status, 400);
+});
+
+test('a site description can be quoted without a chat', async () => {
+  const response = await fetch(`${baseUrl}/api/quote.html`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      usageType: 'livestock',
+      location: 'Amarillo, TX',
+      livestock: { type: 'beef', count: 30 },
+      well: { staticWaterLevel: 80, drawdown: 8 },
+      elevationGain: 10,
+      pipe: { length: 200, size: 1 }
+    })
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /Total dynamic head/);
+});
+
+test('a multi-well site is quoted one well at a time', async () => {
+  const quote = well => fetch(`${baseUrl}/api/quote.html${well ? `?well=${well}` : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      usageType: 'livestock',
+      livestock: { type: 'beef', count: 60 },
+      well: { depth: 200, staticWaterLevel: 80 },
+      pipe: { length: 200, size: 1 },
+      additionalWells: [{ depth: 150, staticWaterLevel: 50 }],
+      additionalDestinations: [{ name: 'North trough', well: 2, elevationGain: 20, pipe: [{ length: 300, size: 1 }] }]
+    })
+  });
+
+  const first = await quote();
+  assert.equal(first.status, 200);
+  assert.match(await first.text(), /Well 1 to Tank 1/);
+
+  const second = await quote(2);
+  assert.equal(second.status, 200);
+  assert.match(await second.text(), /Well 2 to North trough/);
+
+  assert.equal((await quote(3)).status, 400);
+});
+
+test('sizing settings held in memory can be read but not changed', async () => {
+  const admin = (method, route, body) => fetch(`${baseUrl}/api/admin/config${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Admin-Key': 'admin-test-key' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  assert.equal((await (await admin('GET', '')).json()).shared, false);
+  assert.equal((await admin('PATCH', '', { settings: { minCasingSize: 4 } })).status, 503);
+  assert.equal((await admin('POST', '/rollback', { version: 1 })).status, 503);
+});
+
+test('browsers on other sites may not send the dealer key', async () => {
+  const preflight = await fetch(`${baseUrl}/api/size`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://dealer.example.com', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'content-type,x-dealer-key' }
+  });
+
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-headers'), 'Content-Type');
+});
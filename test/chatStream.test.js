@@ -0,0 +1,133 @@
+// Streamed conversation through /api/chat/stream with a slowed mock LLM provider
+process.env.LLM_PROVIDER = 'mock';
+process.env.SEARCH_PROVIDER = 'disabled';
+process.env.SESSION_STORE = 'memory';
+process.env.SIZING_CONFIG_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-stream-'));
+process.env.LOG_STORE = 'file';
+process.env.LEADS_PATH = path.join(tmpDir, 'leads.jsonl');
+// A pause before each piece leaves time to hang up part way through a reply
+process.env.LLM_MOCK_SCRIPT = path.join(tmpDir, 'mock.json');
+fs.writeFileSync(process.env.LLM_MOCK_SCRIPT, JSON.stringify({ delay: 20 }));
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function post(url, body, signal) {
+  return fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+// Split a Server-Sent Events body into { event, data } pairs
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.trim()).map(block => {
+    const [, event] = /^event: (.*)$/m.exec(block);
+    const [, data] = /^data: (.*)$/m.exec(block);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+async function streamChat(sessionId, message) {
+  const response = await post('/api/chat/stream', { sessionId, message });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  return parseEvents(await response.text());
+}
+
+async function debugSession(sessionId) {
+  return (await fetch(`${baseUrl}/api/debug/${sessionId}`)).json();
+}
+
+test('a streamed turn sends the stage change, the reply in pieces, then done', async () => {
+  const events = await streamChat('stream-order', 'hi');
+  const names = events.map(({ event }) => event);
+
+  assert.equal(names[0], 'stage');
+  assert.deepEqual(events[0].data, { stage: 'usage_type', previousStage: 'greeting' });
+  assert.ok(names.filter(name => name === 'token').length > 1);
+  assert.deepEqual(names.slice(1, -1).filter(name => name !== 'token'), []);
+  assert.equal(names[names.length - 1], 'done');
+
+  const done = events[events.length - 1].data;
+  const reply = events.filter(({ event }) => event === 'token').map(({ data }) => data.content).join('');
+  assert.equal(done.message, reply);
+  assert.equal(done.stage, 'usage_type');
+  assert.equal((await debugSession('stream-order')).currentStage, 'usage_type');
+
+  // No stage event when the answer is re-asked
+  const again = await streamChat('stream-order', 'hmm');
+  assert.equal(again[0].event, 'token');
+});
+
+test('the recommendation is sent after the reply and before done', async () => {
+  const sessionId = 'stream-recommendation';
+  const answers = [
+    'hi', 'watering cattle', 'Amarillo, TX', 'beef', '40 head', '300 ft', '100 ft', "don't know",
+    'about 3 gpm', 'not sure', 'just the one', 'flat', '400 ft of 1.25" pvc', 'no', 'no tank yet',
+    'clear', '6 inch', 'about 30 ft', 'yes'
+  ];
+  for (const message of answers) {
+    assert.equal((await post('/api/chat', { sessionId, message })).status, 200);
+  }
+
+  const events = await streamChat(sessionId, 'Sam Hill, sam@example.com');
+  const names = events.map(({ event }) => event);
+
+  assert.equal(names[0], 'stage');
+  assert.deepEqual(names.slice(-2), ['recommendation', 'done']);
+  assert.equal(events[events.length - 2].data.isValid, true);
+  assert.match(events[events.length - 1].data.quoteUrl, new RegExp(`/api/session/${sessionId}/quote\\.`));
+});
+
+test('a turn the client hangs up on is not saved and can be sent again', async () => {
+  const sessionId = 'stream-abort';
+  const controller = new AbortController();
+  const response = await post('/api/chat/stream', { sessionId, message: 'hi' }, controller.signal);
+
+  // Hang up once the first piece of the reply arrives
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = '';
+  while (!received.includes('event: token')) {
+    const { value } = await reader.read();
+    received += decoder.decode(value, { stream: true });
+  }
+  controller.abort();
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  assert.deepEqual(await debugSession(sessionId), { error: 'Session not found' });
+
+  const events = await streamChat(sessionId, 'hi');
+  assert.equal(events[events.length - 1].event, 'done');
+  assert.equal((await debugSession(sessionId)).currentStage, 'usage_type');
+  assert.equal((await debugSession(sessionId)).messageCount, 2);
+});
+
+test('a streamed turn needs a session ID before the stream starts', async () => {
+  const response = await post('/api/chat/stream', { message: 'hi' });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'Session ID is required');
+});
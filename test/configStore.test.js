@@ -0,0 +1,131 @@
+// Sizing settings kept as versions: history, rollback and sizing with a given version
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateSizingConfig, loadDefaultSettings, createMemoryBackend, createSqliteBackend, createConfigStore } = require('../configStore');
+const { calculateRecommendation, calculateWaterRequirements } = require('../sizing');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const DEFAULTS = loadDefaultSettings();
+const SITE = {
+  usageType: 'livestock', livestockType: 'beef', animalCount: 30,
+  wellDepth: 250, staticWaterLevel: 80, drawdownLevel: 8, elevationGain: 10,
+  pipeLength: 200, pipeSize: 1, wellCasingSize: 4.5
+};
+
+let dbCount = 0;
+const BACKENDS = {
+  memory: () => createMemoryBackend(),
+  sqlite: () => createSqliteBackend({ path: path.join(tmpDir, `config-${++dbCount}.db`) })
+};
+
+const newStore = (backend = createMemoryBackend()) => createConfigStore(undefined, { backend, families: ['48V50C'] });
+
+test('bad settings are rejected field by field', () => {
+  const fields = settings => validateSizingConfig(settings, { families: ['48V50C'] }).map(error => error.field);
+
+  assert.deepEqual(validateSizingConfig(DEFAULTS, { families: ['48V50C'] }), []);
+  assert.deepEqual(fields({ ...DEFAULTS, minCasingSize: 0 }), ['minCasingSize']);
+  assert.deepEqual(fields({ ...DEFAULTS, householdWaterNeeds: { ...DEFAULTS.householdWaterNeeds, person: 'lots' } }), ['householdWaterNeeds.person']);
+  assert.deepEqual(fields({ ...DEFAULTS, livestockWaterNeeds: { ...DEFAULTS.livestockWaterNeeds, beef: { summer: 22, monthly: [1, 2] } } }), ['livestockWaterNeeds.beef.monthly']);
+  assert.deepEqual(fields({ ...DEFAULTS, pumpFamilies: { '24V10C': { wattsPerStage: 40 } } }), ['pumpFamilies.24V10C']);
+  assert.deepEqual(fields({ ...DEFAULTS, colour: 'red' }), ['colour']);
+});
+
+for (const [name, createBackend] of Object.entries(BACKENDS)) {
+  test(`${name} store starts from the shipped settings as version 1`, async () => {
+    const backend = createBackend();
+    const store = newStore(backend);
+
+    assert.equal((await store.current()).version, 1);
+    assert.deepEqual((await store.current()).settings, DEFAULTS);
+    // Nothing is stored until the first change
+    assert.deepEqual(await backend.list(), []);
+    await store.close();
+  });
+
+  test(`${name} store saves changes as versions`, async () => {
+    const store = newStore(createBackend());
+
+    const { config } = await store.update({ minCasingSize: 4 }, { author: 'pat', note: 'New 4" pump line' });
+    assert.equal(config.version, 2);
+    assert.equal(config.settings.minCasingSize, 4);
+    assert.deepEqual(config.settings.livestockWaterNeeds, DEFAULTS.livestockWaterNeeds);
+
+    assert.ok((await store.update({ minCasingSize: -1 })).errors);
+    assert.equal((await store.current()).version, 2);
+    assert.deepEqual((await store.history()).map(entry => entry.version), [2, 1]);
+    await store.close();
+  });
+
+  test(`${name} store keeps a rollback as a new version with the old settings`, async () => {
+    const store = newStore(createBackend());
+    await store.update({ minCasingSize: 4 });
+    await store.update({ minCasingSize: 3 });
+
+    const { config } = await store.rollback(1, { author: 'pat' });
+    assert.equal(config.version, 4);
+    assert.equal(config.rolledBackFrom, 1);
+    assert.equal(config.settings.minCasingSize, 5);
+    assert.equal((await store.history()).length, 4);
+
+    assert.ok((await store.rollback(9)).errors);
+    await store.close();
+  });
+}
+
+test('instances sharing a database see each other\'s changes', async () => {
+  const file = path.join(tmpDir, 'shared.db');
+  const first = newStore(createSqliteBackend({ path: file }));
+  const second = newStore(createSqliteBackend({ path: file }));
+
+  await first.update({ minCasingSize: 4 }, { note: 'New 4" pump line' });
+  assert.equal((await second.current()).version, 2);
+  assert.equal((await second.current()).note, 'New 4" pump line');
+
+  await second.rollback(1);
+  assert.equal((await first.current()).settings.minCasingSize, 5);
+  assert.deepEqual((await first.history()).map(entry => entry.version), [3, 2, 1]);
+
+  await first.close();
+  await second.close();
+});
+
+test('two changes racing for one version number keep only the first', async () => {
+  const store = newStore();
+
+  const results = await Promise.all([store.update({ minCasingSize: 4 }), store.update({ minCasingSize: 3 })]);
+  assert.equal(results[0].config.version, 2);
+  assert.equal(results[1].conflict, true);
+  assert.equal(results[1].errors[0].field, 'version');
+  assert.equal((await store.current()).settings.minCasingSize, 4);
+});
+
+test('a recommendation is sized with, and records, the config version', async () => {
+  const store = newStore();
+  const shipped = calculateRecommendation(SITE, { config: await store.current() });
+  assert.equal(shipped.isValid, false);
+  assert.match(shipped.message, /5 inches/);
+
+  const { config } = await store.update({
+    minCasingSize: 4,
+    pumpFamilies: { '48V50C': { wattsPerStage: 80, panelWatts: 200 } },
+    livestockWaterNeeds: { ...DEFAULTS.livestockWaterNeeds, beef: { summer: 30, monthly: new Array(12).fill(30) } }
+  });
+  const rec = calculateRecommendation(SITE, { config });
+
+  assert.equal(rec.isValid, true);
+  assert.equal(rec.configVersion, 2);
+  assert.equal(rec.waterRequirements.dailyGallons, 900);
+  assert.equal(rec.solarConfig.powerRequired, rec.pumpDetails.stages * 80);
+  assert.equal(rec.solarConfig.panelWatts, 200);
+  assert.equal(calculateWaterRequirements(SITE, config.settings).dailyGallons, 900);
+
+  // Without a config, sizing uses the shipped settings
+  assert.equal(calculateRecommendation({ ...SITE, wellCasingSize: 6 }).configVersion, 1);
+});
@@ -0,0 +1,273 @@
+// Conversation state machine: stage flow and what gets recorded from each answer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSession, processUserInput } = require('../conversation');
+const { STAGES } = require('../stages');
+const { calculateRecommendation } = require('../sizing');
+
+// Feed a list of messages through the state machine using the regex extraction
+function converse(messages, session = createSession()) {
+  for (const message of messages) {
+    processUserInput(session, message);
+  }
+  return session;
+}
+
+const WELL_ANSWERS = ['250 ft', '120 ft', '12', '5 gpm', "don't know", 'no', 'uphill 20 feet', '600 ft of 1.25" hdpe', 'no', '2,000 gallon tank', 'clear', '6 inch', '50 ft'];
+
+test('livestock path collects the herd and the well', () => {
+  const session = converse(['hi', 'cattle watering', 'Amarillo, TX', 'angus beef', '40 head', ...WELL_ANSWERS]);
+
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+  assert.equal(session.data.usageType, 'livestock');
+  assert.equal(session.data.livestockType, 'beef');
+  assert.equal(session.data.animalCount, 40);
+  assert.equal(session.data.customHead, undefined);
+  assert.equal(session.data.solarRegion, 'TX');
+  assert.equal(session.data.wellDepth, 250);
+  assert.equal(session.data.staticWaterLevel, 120);
+  assert.equal(session.data.wellYield, 5);
+  assert.equal(session.data.pumpSettingDepth, undefined);
+  assert.equal(session.data.pipeMaterial, 'hdpe');
+  assert.equal(session.data.pipeSize, 1.25);
+  assert.equal(session.data.tankCapacity, 2000);
+  assert.equal(session.data.sandyWater, false);
+  assert.equal(session.data.wellCasingSize, 6);
+  assert.equal(session.data.mainsDistance, 50);
+  assert.equal(session.data.mainsDistanceEstimated, false);
+});
+
+test('household path collects people and fixtures', () => {
+  const session = converse(['hi', 'water for my house', 'Santa Fe, NM', '4 people', '2 bathrooms, kitchen and laundry', ...WELL_ANSWERS]);
+
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+  assert.equal(session.data.usageType, 'household');
+  assert.equal(session.data.peopleCount, 4);
+  assert.equal(session.data.bathroomCount, 2);
+  assert.match(session.data.fixturesInfo, /kitchen/);
+});
+
+test('irrigation path collects area, method and crop', () => {
+  const session = converse(['hi', 'irrigation', 'Fresno, California', '5 acres', 'drip', 'vegetables', ...WELL_ANSWERS]);
+
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+  assert.equal(session.data.usageType, 'irrigation');
+  assert.equal(session.data.irrigationArea, 5);
+  assert.equal(session.data.irrigationMethod, 'drip');
+  assert.equal(session.data.cropCategory, 'vegetables');
+});
+
+test('custom flow and head skip straight to the well questions', () => {
+  let session = converse(['hi', 'I need 1500 gallons per day at 180 ft of head']);
+
+  assert.equal(session.data.usageType, 'other');
+  assert.equal(session.data.customGPD, 1500);
+  assert.equal(session.data.customHead, 180);
+  assert.equal(session.currentStage, STAGES.WELL_DEPTH);
+
+  session = converse(WELL_ANSWERS, session);
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+  assert.equal(session.data.wellDepth, 250);
+});
+
+test('drawdown is not estimated when the static level is unknown too', () => {
+  const session = converse(['hi', 'I need 1000 gallons per day at 60 ft of total head']);
+  for (let turn = 0; turn < 30 && session.currentStage !== STAGES.SUMMARY; turn++) {
+    processUserInput(session, 'I dont know');
+  }
+
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+  assert.equal(session.data.staticWaterLevel, undefined);
+  assert.equal(session.data.drawdownLevel, undefined);
+  assert.equal(session.data.drawdownEstimated, false);
+
+  const rec = calculateRecommendation(session.data);
+  assert.doesNotMatch(rec.formattedSummary, /NaN/);
+  assert.ok(!rec.wellSafety.advice.some(advice => /estimated at 10%/.test(advice)));
+});
+
+test('metric answers are stored in feet, gallons and inches', () => {
+  const session = converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head', 'the well is 90 m deep', 'about 30', '3 m', '20 L/min', 'set at 40 m', 'no', 'rises 5 m', '200 m of 40 mm poly', 'no', '10,000 L tank']);
+
+  assert.equal(session.data.unitSystem, 'metric');
+  assert.equal(Math.round(session.data.wellDepth), 295);
+  assert.equal(Math.round(session.data.staticWaterLevel), 98);
+  assert.equal(session.data.wellYield.toFixed(2), '5.28');
+  assert.equal(Math.round(session.data.pumpSettingDepth), 131);
+  assert.equal(session.data.pipeSize, 1.25);
+  assert.equal(Math.round(session.data.tankCapacity), 2642);
+});
+
+test('fractional pipe and casing sizes are read whole', () => {
+  const pipeTo = reply => converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head', ...WELL_ANSWERS.slice(0, 7), reply]).data.pipeSize;
+  assert.equal(pipeTo('600 ft of 3/4" poly'), 0.75);
+  assert.equal(pipeTo('600 ft of 1-1/4 inch hdpe'), 1.25);
+  assert.equal(pipeTo('600 ft of 1 1/2 in pvc'), 1.5);
+
+  const casingTo = reply => converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head', ...WELL_ANSWERS.slice(0, 11), reply]).data.wellCasingSize;
+  assert.equal(casingTo('5 1/2 inch'), 5.5);
+  assert.equal(casingTo('6-5/8"'), 6.625);
+  assert.equal(casingTo('4 1/2" steel'), 4.5);
+});
+
+test('an unknown array distance is assumed, "next to the well" is none', () => {
+  const answersTo = reply => converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head', ...WELL_ANSWERS.slice(0, 12), reply]);
+
+  const unknown = answersTo('no idea yet');
+  assert.equal(unknown.currentStage, STAGES.SUMMARY);
+  assert.equal(unknown.data.mainsDistance, 20);
+  assert.equal(unknown.data.mainsDistanceEstimated, true);
+
+  assert.equal(answersTo('right next to the well').data.mainsDistance, 0);
+  assert.equal(Math.round(answersTo('about 40 m').data.mainsDistance), 131);
+});
+
+test('other wells and tanks are collected one at a time', () => {
+  const session = converse([
+    'hi', 'cattle', 'Amarillo, TX', 'beef', '60 head', '250 ft', '120 ft', '12', '5 gpm', "don't know",
+    'yes, a second well 180 ft deep', 'water at 60 ft', 'no more',
+    'uphill 20 feet', '600 ft of 1.25" hdpe',
+    'another trough 40 ft up, 1200 ft of 1 inch poly', 'and one from the second well, 300 ft away, 15 ft lower', "that's all"
+  ]);
+
+  assert.equal(session.currentStage, STAGES.STORAGE_TANK);
+  assert.deepEqual(session.data.additionalWells, [
+    { wellDepth: 180, staticWaterLevel: 60, drawdownLevel: 6, drawdownEstimated: true }
+  ]);
+  assert.deepEqual(session.data.additionalDestinations, [
+    { well: 0, elevationGain: 40, pipeSegments: [{ length: 1200, size: 1, material: 'poly' }] },
+    // No size or material given: the same pipe as the first run
+    { well: 1, elevationGain: -15, pipeSegments: [{ length: 300, size: 1.25, material: 'hdpe' }] }
+  ]);
+  assert.equal(session.data.otherWellDepth, undefined);
+  assert.equal(session.data.otherDestinationPipeLength, undefined);
+});
+
+test('another tank can give its drop after the word, and no run means the first run', () => {
+  const session = converse([
+    'hi', 'cattle', 'Amarillo, TX', 'beef', '60 head', '250 ft', '120 ft', '12', '5 gpm', "don't know", 'no',
+    'uphill 20 feet', '600 ft of 1.25" hdpe',
+    'one more: 300 ft of pipe, downhill 15 ft', 'another tank up 30 feet', "that's all"
+  ]);
+
+  assert.deepEqual(session.data.additionalDestinations, [
+    { well: 0, elevationGain: -15, pipeSegments: [{ length: 300, size: 1.25, material: 'hdpe' }] },
+    { well: 0, elevationGain: 30, pipeSegments: [{ length: 600, size: 1.25, material: 'hdpe' }] }
+  ]);
+});
+
+test('a design month is read from its name, not from "may" or "mar" in the sentence', () => {
+  const designMonth = message => converse(['hi', message]).data.designMonth;
+
+  assert.equal(designMonth('size it for what we may need, design for August'), 7);
+  assert.equal(designMonth('please design for jul'), 6);
+  assert.equal(designMonth('design for May'), 4);
+  assert.equal(designMonth("don't mar the design, we may add cattle"), undefined);
+});
+
+test('sand in the water is recorded, "no sand" is not', () => {
+  const answersTo = reply => converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head', ...WELL_ANSWERS.slice(0, 10), reply]);
+
+  assert.equal(answersTo('yes, quite a bit of sand').data.sandyWater, true);
+  assert.equal(answersTo('no sand at all').data.sandyWater, false);
+  assert.equal(answersTo('sediment free').data.sandyWater, false);
+});
+
+test('an unusable answer to a required question is re-asked once, then left missing', () => {
+  const session = converse(['hi', 'cattle', 'Amarillo, TX', 'beef', 'a bunch']);
+
+  assert.equal(session.currentStage, STAGES.ANIMAL_COUNT);
+  assert.equal(session.reask.problems[0].key, 'animalCount');
+
+  converse(['not sure'], session);
+  assert.equal(session.currentStage, STAGES.WELL_DEPTH);
+  assert.equal(session.data.animalCount, undefined);
+
+  // Sizing asks for it rather than sizing for no herd
+  const recommendation = calculateRecommendation(converse(WELL_ANSWERS, session).data);
+  assert.equal(recommendation.isValid, false);
+  assert.deepEqual(recommendation.missingFields, ['animalCount']);
+  assert.match(recommendation.message, /the number of head/);
+});
+
+test('LLM extraction values are validated before they are used', () => {
+  const session = converse(['hi', 'cattle', 'Amarillo, TX', 'beef', '40 head']);
+
+  processUserInput(session, 'deep', { values: { wellDepth: 90000 }, confidence: 'high' });
+  assert.equal(session.currentStage, STAGES.WELL_DEPTH);
+  assert.match(session.reask.problems[0].reason, /out of range/);
+
+  processUserInput(session, 'about 300', { values: { wellDepth: 300 }, confidence: 'medium' });
+  assert.equal(session.currentStage, STAGES.STATIC_WATER);
+  assert.equal(session.data.wellDepth, 300);
+});
+
+// SUMMARY: a confirmation moves on to the contact question, a correction goes back to the stage it mentions
+const summarySession = () => converse(['hi', 'cattle watering', 'Amarillo, TX', 'beef', '40 head', ...WELL_ANSWERS]);
+
+for (const [reply, stage] of [
+  ['yes', STAGES.CONTACT_INFO],
+  ['that looks good', STAGES.CONTACT_INFO],
+  ['wrong location', STAGES.LOCATION],
+  ['the animal count is off', STAGES.LIVESTOCK_TYPE],
+  ['well depth is wrong', STAGES.WELL_DEPTH],
+  ['static level changed', STAGES.STATIC_WATER],
+  ['fix the drawdown', STAGES.DRAWDOWN],
+  ['the well yield is lower than that', STAGES.WELL_YIELD],
+  ['the pump setting is deeper', STAGES.PUMP_SETTING],
+  ['elevation is different', STAGES.ELEVATION],
+  ['the pipe is longer', STAGES.PIPE_INFO],
+  ['bigger tank', STAGES.STORAGE_TANK],
+  ['there is some sand', STAGES.WATER_QUALITY],
+  ['casing is 5"', STAGES.WELL_CASING],
+  ['the panels will be further from the well', STAGES.MAINS_DISTANCE],
+  ['I forgot the other well', STAGES.ADDITIONAL_WELLS],
+  ['add another trough', STAGES.ADDITIONAL_DESTINATIONS]
+]) {
+  test(`SUMMARY routes "${reply}" to ${stage}`, () => {
+    const session = summarySession();
+    processUserInput(session, reply);
+    assert.equal(session.currentStage, stage);
+  });
+}
+
+test('SUMMARY ignores corrections for another usage type', () => {
+  const session = summarySession();
+  processUserInput(session, 'change the irrigation crop');
+  assert.equal(session.currentStage, STAGES.SUMMARY);
+});
+
+test('contact details are optional and move on to the recommendation', () => {
+  const withContact = converse(['yes', "I'm Jane Doe, jane@example.com or 806-555-0199"], summarySession());
+  assert.equal(withContact.currentStage, STAGES.RECOMMENDATION);
+  assert.equal(withContact.data.contactName, 'Jane Doe');
+  assert.equal(withContact.data.contactEmail, 'jane@example.com');
+  assert.equal(withContact.data.contactPhone, '806-555-0199');
+
+  const skipped = converse(['yes', 'no thanks'], summarySession());
+  assert.equal(skipped.currentStage, STAGES.RECOMMENDATION);
+  assert.equal(skipped.data.contactEmail, undefined);
+  assert.equal(skipped.data.contactPhone, undefined);
+});
+
+test('a yes, no or filler reply is not taken as a name', () => {
+  const nameFrom = reply => converse(['yes', reply], summarySession()).data.contactName;
+
+  assert.equal(nameFrom('no, thanks'), undefined);
+  assert.equal(nameFrom('nah - just show me'), undefined);
+  assert.equal(nameFrom('I am not interested'), undefined);
+  assert.equal(nameFrom('Sure, sam@example.com'), undefined);
+  assert.equal(nameFrom('Sam Smith, sam@example.com'), 'Sam Smith');
+  assert.equal(nameFrom("I'm Sam, thanks"), 'Sam');
+});
+
+test('an unusable email or phone from the LLM is dropped', () => {
+  const session = converse(['yes'], summarySession());
+  processUserInput(session, 'jane at gmail', { values: { contactName: 'Jane', contactEmail: 'jane at gmail', contactPhone: '555' }, confidence: 'medium' });
+
+  assert.equal(session.currentStage, STAGES.RECOMMENDATION);
+  assert.equal(session.data.contactName, 'Jane');
+  assert.equal(session.data.contactEmail, undefined);
+  assert.equal(session.data.contactPhone, undefined);
+});
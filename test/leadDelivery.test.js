@@ -0,0 +1,85 @@
+// A chat reaching its recommendation while the CRM webhook is down
+process.env.LLM_PROVIDER = 'mock';
+process.env.SEARCH_PROVIDER = 'disabled';
+process.env.SESSION_STORE = 'memory';
+process.env.SIZING_CONFIG_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-delivery-'));
+process.env.LOG_STORE = 'file';
+process.env.LEADS_PATH = path.join(tmpDir, 'leads.jsonl');
+process.env.WEBHOOK_DEAD_LETTER_PATH = path.join(tmpDir, 'dead-letters.jsonl');
+process.env.CRM_WEBHOOK_SECRET = 'test-secret';
+
+let receiver;
+let server;
+let baseUrl;
+let hits = 0;
+
+// The CRM is down: every delivery gets a 503. The server is loaded once its URL is known.
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    hits++;
+    req.resume();
+    res.writeHead(503);
+    res.end();
+  });
+  await new Promise(resolve => receiver.listen(0, resolve));
+  process.env.CRM_WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  const app = require('../server');
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const readLog = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+async function chat(sessionId, message) {
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId, message })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the recommendation reply is not held up by a down CRM', async () => {
+  const sessionId = 'crm-down';
+  const answers = [
+    'hi', 'watering cattle', 'Amarillo, TX', 'beef', '40 head', '300 ft', '100 ft', "don't know",
+    'about 3 gpm', 'not sure', 'just the one', 'flat', '400 ft of 1.25" pvc', 'no', 'no tank yet',
+    'clear', '6 inch', 'about 30 ft', 'yes'
+  ];
+  for (const message of answers) {
+    assert.equal((await chat(sessionId, message)).status, 200);
+  }
+
+  const started = Date.now();
+  const last = await chat(sessionId, 'Sam Hill, sam@example.com');
+
+  // The sender's default cap, not its five attempts with backoff
+  assert.ok(Date.now() - started < 4000);
+  assert.equal(last.status, 200);
+  assert.equal(last.body.stage, 'recommendation');
+  assert.ok(hits >= 1);
+
+  // The lead is kept and the delivery is left in the dead-letter log
+  assert.equal(readLog(process.env.LEADS_PATH)[0].sessionId, sessionId);
+  const deadLetters = readLog(process.env.WEBHOOK_DEAD_LETTER_PATH);
+  assert.equal(deadLetters[deadLetters.length - 1].status, 'failed');
+  assert.equal(deadLetters[deadLetters.length - 1].error, 'HTTP 503');
+});
@@ -0,0 +1,69 @@
+// Lead log: kept through the file and SQLite log backends, delivered before record() resolves
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLogStore } = require('../logStore');
+const { createLeadLog } = require('../leads');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let count = 0;
+const newLog = type => createLogStore(type, {
+  name: 'leads',
+  path: path.join(tmpDir, `leads-${++count}.jsonl`),
+  sqlitePath: path.join(tmpDir, `logs-${count}.db`)
+});
+
+for (const type of ['file', 'sqlite']) {
+  test(`${type} log keeps entries in order, apart from other logs`, async () => {
+    const store = newLog(type);
+
+    assert.deepEqual(await store.list(), []);
+    await store.append({ n: 1 });
+    await store.append({ n: 2 });
+    assert.deepEqual(await store.list(), [{ n: 1 }, { n: 2 }]);
+    await store.close();
+  });
+}
+
+test('sqlite logs sharing a database are kept apart by name', async () => {
+  const sqlitePath = path.join(tmpDir, 'shared.db');
+  const leads = createLogStore('sqlite', { name: 'leads', sqlitePath });
+  const deadLetters = createLogStore('sqlite', { name: 'webhook-dead-letters', sqlitePath });
+
+  await leads.append({ id: 'lead' });
+  await deadLetters.append({ id: 'letter' });
+  assert.deepEqual(await leads.list(), [{ id: 'lead' }]);
+  assert.deepEqual(await deadLetters.list(), [{ id: 'letter' }]);
+
+  await leads.close();
+  await deadLetters.close();
+});
+
+test('a lead is stored before the webhook and waits for its delivery', async () => {
+  const store = newLog('file');
+  const sent = [];
+  const webhook = {
+    enabled: true,
+    async send(event, data) {
+      // Already kept when the delivery starts
+      assert.equal((await store.list()).length, 1);
+      sent.push({ event, data });
+      return { delivered: false, attempts: 3 };
+    }
+  };
+
+  const lead = await createLeadLog({ store, webhook }).record({ id: 'abc' });
+
+  assert.deepEqual(lead, { id: 'abc', delivered: false });
+  assert.deepEqual(sent, [{ event: 'sizing.completed', data: { id: 'abc' } }]);
+  assert.deepEqual(await store.list(), [{ id: 'abc' }]);
+});
+
+test('an unknown log store is refused', () => {
+  assert.throws(() => createLogStore('postgres', { name: 'leads' }), /Unknown log store/);
+});
@@ -0,0 +1,102 @@
+// LLM providers: which one LLM_PROVIDER picks, and the mock's scripted replies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DEFAULT_OPENAI_MODEL, createMockProvider, createLLMProvider } = require('../llmProvider');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_MODEL', 'LLM_MOCK_SCRIPT', 'OPENAI_API_KEY'];
+
+// Run with only the given LLM settings in the environment
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    }
+  }
+}
+
+const stageMessages = stage => [{ role: 'system', content: `Current conversation stage: ${stage}` }];
+
+test('LLM_PROVIDER picks the provider, defaulting to OpenAI', () => {
+  withEnv({ OPENAI_API_KEY: 'test-key' }, () => {
+    const provider = createLLMProvider();
+    assert.equal(provider.name, 'openai');
+    assert.equal(provider.model, DEFAULT_OPENAI_MODEL);
+  });
+
+  withEnv({ LLM_PROVIDER: 'mock' }, () => {
+    assert.equal(createLLMProvider().name, 'mock');
+  });
+
+  withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3' }, () => {
+    const provider = createLLMProvider();
+    assert.equal(provider.name, 'openai-compatible');
+    assert.equal(provider.model, 'llama3');
+  });
+});
+
+test('an OpenAI-compatible provider needs a base URL', () => {
+  withEnv({}, () => {
+    assert.throws(() => createLLMProvider('openai-compatible'), /LLM_BASE_URL is required/);
+    assert.equal(createLLMProvider('openai-compatible', { baseURL: 'http://localhost:8080/v1' }).name, 'openai-compatible');
+  });
+});
+
+test('an unknown provider is refused', () => {
+  assert.throws(() => createLLMProvider('carrier-pigeon'), /Unknown LLM provider/);
+});
+
+test('the mock provider reads its script from LLM_MOCK_SCRIPT', async () => {
+  const scriptPath = path.join(tmpDir, 'script.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({ replies: ['Howdy!'], toolCalls: [{ usageType: 'livestock' }] }));
+
+  const provider = withEnv({ LLM_MOCK_SCRIPT: scriptPath }, () => createLLMProvider('mock'));
+  assert.equal(await provider.complete({ messages: stageMessages('greeting') }), 'Howdy!');
+  assert.deepEqual(await provider.callTool({ messages: [] }), { usageType: 'livestock' });
+});
+
+test('mock replies come from the script in order, then by stage', async () => {
+  const provider = createMockProvider({ replies: ['Howdy!'], stageReplies: { location: 'Where ya at?' }, toolCalls: [{ animalCount: 40 }] });
+
+  assert.equal(await provider.complete({ messages: stageMessages('usage_type') }), 'Howdy!');
+  assert.equal(await provider.complete({ messages: stageMessages('location') }), 'Where ya at?');
+  assert.equal(await provider.complete({ messages: stageMessages('well_depth') }), '[mock] Next question for stage: well_depth');
+
+  assert.deepEqual(await provider.callTool({ messages: [] }), { animalCount: 40 });
+  // Once the tool calls run out, extraction falls back to the regexes
+  assert.equal(await provider.callTool({ messages: [] }), null);
+});
+
+test('a mock stream sends the reply in pieces and stops when aborted', async () => {
+  const provider = createMockProvider({ replies: ['Well howdy there partner', 'Never finished'] });
+
+  const pieces = [];
+  for await (const piece of provider.stream({ messages: [] })) {
+    pieces.push(piece);
+  }
+  assert.deepEqual(pieces, ['Well ', 'howdy ', 'there ', 'partner']);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(async () => {
+    for await (const piece of provider.stream({ messages: [], signal: controller.signal })) {
+      pieces.push(piece);
+    }
+  }, /aborted/);
+  await assert.rejects(provider.complete({ messages: [], signal: controller.signal }), /aborted/);
+});
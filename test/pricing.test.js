@@ -0,0 +1,82 @@
+// Price list validation and pricing a bill of materials
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pumpData, pumpFamilies } = require('../pumpData');
+const { INNER_DIAMETERS } = require('../pipeData');
+const { STANDARD_TANK_SIZES } = require('../sizing');
+const { validatePriceList, loadPriceList, priceBillOfMaterials, formatPrice } = require('../pricing');
+
+const priceList = loadPriceList();
+
+const PRICE_LIST = {
+  version: 1,
+  currency: 'USD',
+  items: {
+    'panel:100W': { name: '100W panel', unit: 'ea', dealer: 68, retail: 95 },
+    'pipe:pvc:1': { name: '1" PVC', unit: 'ft', dealer: 0.78, retail: 1.09 }
+  }
+};
+
+test('the shipped price list is valid and covers the catalog', () => {
+  assert.deepEqual(validatePriceList(priceList), []);
+
+  const skus = [
+    ...Object.keys(pumpData).map(model => `pump:${model}`),
+    ...Object.keys(pumpFamilies).map(family => `controller:${family}`),
+    ...Object.values(pumpFamilies).map(family => `panel:${family.panel.watts}W`),
+    ...Object.entries(INNER_DIAMETERS).flatMap(([material, sizes]) => Object.keys(sizes).map(size => `pipe:${material}:${size}`)),
+    ...STANDARD_TANK_SIZES.map(size => `tank:${size}`)
+  ];
+  assert.deepEqual(skus.filter(sku => !priceList.items[sku]), []);
+});
+
+test('price list problems are reported', () => {
+  const errors = validatePriceList({
+    version: 0,
+    currency: 'dollars',
+    items: {
+      'pump:X': { unit: 'box', dealer: 10, retail: 5 },
+      'tank:300': { unit: 'ea', retail: 100 }
+    }
+  });
+
+  assert.deepEqual(errors, [
+    'Price list version must be a positive integer',
+    'Price list currency must be a three-letter code',
+    'pump:X: unit must be one of ea, ft',
+    'pump:X: dealer price 10 is above retail 5',
+    'tank:300: missing or invalid dealer price'
+  ]);
+});
+
+test('line items are priced at the chosen tier and totalled', () => {
+  const items = [
+    { item: 'panels', sku: 'panel:100W', quantity: 4, unit: 'ea' },
+    { item: 'pipe', sku: 'pipe:pvc:1', quantity: 250, unit: 'ft' }
+  ];
+
+  const retail = priceBillOfMaterials(items, PRICE_LIST);
+  assert.equal(retail.tier, 'retail');
+  assert.deepEqual(retail.lineItems.map(line => line.total), [380, 272.5]);
+  assert.equal(retail.total, 652.5);
+
+  const dealer = priceBillOfMaterials(items, PRICE_LIST, 'dealer');
+  assert.equal(dealer.total, 272 + 195);
+
+  assert.throws(() => priceBillOfMaterials(items, PRICE_LIST, 'wholesale'), /Unknown price tier/);
+});
+
+test('items missing from the price list are counted, not dropped', () => {
+  const priced = priceBillOfMaterials([
+    { item: 'panels', sku: 'panel:100W', quantity: 1, unit: 'ea' },
+    { item: 'tank', sku: 'tank:12000', quantity: 1, unit: 'ea' }
+  ], PRICE_LIST);
+
+  assert.equal(priced.lineItems.length, 2);
+  assert.equal(priced.lineItems[1].unitPrice, null);
+  assert.equal(priced.unpricedItems, 1);
+  assert.equal(priced.total, 95);
+  assert.equal(formatPrice(null, 'USD'), 'Price on request');
+  assert.equal(formatPrice(1075, 'USD'), '$1,075.00');
+});
@@ -0,0 +1,130 @@
+// Pump catalog: the checks that stop the server starting on bad curve data, and the importer's rows
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseModelCode, buildModelsFromRows, validatePumpCatalog, loadPumpCatalog } = require('../pumpCatalog');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'pumpCatalog.json');
+const FIXTURE = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pump-catalog-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// The fixture catalog with one change made to a copy of it
+function broken(change) {
+  const catalog = JSON.parse(JSON.stringify(FIXTURE));
+  change(catalog);
+  return validatePumpCatalog(catalog);
+}
+
+test('the shipped and fixture catalogs are valid', () => {
+  assert.ok(Object.keys(loadPumpCatalog().models).length > 0);
+  assert.deepEqual(validatePumpCatalog(FIXTURE), []);
+});
+
+test('curves must rise in head with flow that never goes up or below zero', () => {
+  assert.deepEqual(broken(catalog => { catalog.models['6S24V30C'].flowRateByHead[2].head = 50; }), [
+    '6S24V30C: head is not monotonic at point 3 (60 -> 50)',
+    '6S24V30C: maxHead 120 does not match curve (60)'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.models['2S24V30C'].flowRateByHead[2].flowRate = -1; }), [
+    '2S24V30C: point 3 has a negative or missing flow rate (-1)'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.models['2S24V30C'].flowRateByHead[1].flowRate = 5; }), [
+    '2S24V30C: flow rises with head at point 2 (4 -> 5)'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.models['HR10-48V'].flowRateByHead = [{ head: 0, flowRate: 2 }]; }), [
+    'HR10-48V: curve needs at least two points'
+  ]);
+});
+
+test('every model needs its stage count, voltage and a known family', () => {
+  assert.deepEqual(broken(catalog => { delete catalog.models['6S24V30C'].stages; }), [
+    '6S24V30C: missing or invalid stage count'
+  ]);
+  assert.deepEqual(broken(catalog => { delete catalog.models['HR20-48V'].voltage; }), [
+    'HR20-48V: missing or invalid voltage'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.models['2S24V30C'].voltage = 48; }), [
+    '2S24V30C: voltage 48 does not match family 24V30C (24)'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.models['2S24V30C'].family = '12V10C'; }), [
+    '2S24V30C: does not belong to a known pump family'
+  ]);
+});
+
+test('every family needs its type, voltage, power and solar rules', () => {
+  assert.deepEqual(broken(catalog => { delete catalog.families['24V30C'].voltage; }), [
+    'Family 24V30C: missing or invalid voltage',
+    '2S24V30C: voltage 24 does not match family 24V30C (undefined)',
+    '6S24V30C: voltage 24 does not match family 24V30C (undefined)',
+    '9S24V30C: voltage 24 does not match family 24V30C (undefined)'
+  ]);
+  assert.deepEqual(broken(catalog => { delete catalog.families.HR48.modelPower; }), [
+    'Family HR48: helical families need modelPower'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.families['24V30C'].pumpType = 'piston'; }), [
+    'Family 24V30C: pumpType must be one of multistage, helical'
+  ]);
+  assert.deepEqual(broken(catalog => { delete catalog.families.HR48.controller.maxStrings; }), [
+    'Family HR48: controller needs maxPower, maxInputVoltage and maxStrings'
+  ]);
+  assert.deepEqual(broken(catalog => { catalog.families.HR48.panel.seriesCount = 4; }), [
+    'Family HR48: a string of 4 panels exceeds the controller input voltage'
+  ]);
+  assert.deepEqual(validatePumpCatalog({ version: 1, families: {}, models: {} }), [
+    'Catalog contains no pump families',
+    'Catalog contains no pump models'
+  ]);
+});
+
+test('a bad catalog file is refused when it is loaded', () => {
+  const badPath = path.join(tmpDir, 'bad.json');
+  const catalog = JSON.parse(JSON.stringify(FIXTURE));
+  catalog.models['6S24V30C'].flowRateByHead[1].flowRate = -2;
+  fs.writeFileSync(badPath, JSON.stringify(catalog));
+
+  assert.throws(() => loadPumpCatalog(badPath), /Invalid pump catalog .*bad\.json:\n {2}- 6S24V30C: point 2 has a negative/);
+  assert.throws(() => loadPumpCatalog(path.join(tmpDir, 'missing.json')), /Unable to read pump catalog/);
+});
+
+test('model codes are read for stage count, voltage and series', () => {
+  assert.deepEqual(parseModelCode('3S48V50C'), { stages: 3, voltage: 48, series: '50C' });
+  assert.deepEqual(parseModelCode('12s24v'), { stages: 12, voltage: 24, series: null });
+  assert.equal(parseModelCode('HR10-48V'), null);
+});
+
+test('the importer builds models from the workbook columns', () => {
+  const rows = [
+    { GPM: '1', '6S24V30C_Head (Feet)': '120', 'HR10-48V_Head (Feet) ': '', 'PX9_Head (Feet)': '10' },
+    { GPM: '4', '6S24V30C_Head (Feet)': '0', 'HR10-48V_Head (Feet) ': '0', 'PX9_Head (Feet)': '0' },
+    { GPM: '3', '6S24V30C_Head (Feet)': '60', 'HR10-48V_Head (Feet) ': '150', Notes: 'pump test 2024' }
+  ];
+  const models = buildModelsFromRows(rows, FIXTURE.families);
+
+  assert.deepEqual(Object.keys(models).sort(), ['6S24V30C', 'HR10-48V', 'PX9']);
+
+  // Stages from the code for a multistage pump, power from the family's watts per stage
+  assert.deepEqual(models['6S24V30C'], {
+    family: '24V30C',
+    stages: 6,
+    voltage: 24,
+    flowRateByHead: [{ head: 0, flowRate: 4 }, { head: 60, flowRate: 3 }, { head: 120, flowRate: 1 }],
+    maxFlow: 4,
+    maxHead: 120,
+    powerRequired: 300
+  });
+
+  // A helical pump is one stage with its power from modelPower; blank cells are skipped
+  assert.equal(models['HR10-48V'].stages, 1);
+  assert.equal(models['HR10-48V'].powerRequired, 150);
+  assert.deepEqual(models['HR10-48V'].flowRateByHead.map(point => point.head), [0, 150]);
+
+  // A column no family matches is kept so validation can name it
+  assert.equal(models.PX9.family, null);
+  assert.ok(validatePumpCatalog({ version: 1, families: FIXTURE.families, models })
+    .includes('PX9: does not belong to a known pump family'));
+});
@@ -0,0 +1,78 @@
+// Pump selection across voltages and pump types, with the fixture catalog loaded as
+// PUMP_CATALOG_PATH: a 24V multistage family and a 48V helical family
+const path = require('path');
+process.env.PUMP_CATALOG_PATH = path.join(__dirname, 'fixtures', 'pumpCatalog.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pumpData, catalogVersion, getFlowRateAtHead, getPowerRequired, calculateSolarArray, evaluatePump, findSuitablePump } = require('../pumpData');
+
+test('the catalog comes from PUMP_CATALOG_PATH', () => {
+  assert.equal(catalogVersion, 1);
+  assert.deepEqual(Object.keys(pumpData), ['2S24V30C', '6S24V30C', '9S24V30C', 'HR10-48V', 'HR20-48V']);
+});
+
+test('flow is read off the curve between its points', () => {
+  assert.equal(getFlowRateAtHead('6S24V30C', 30), 3.5);
+  assert.equal(getFlowRateAtHead('HR20-48V', 225), 2.75);
+  assert.equal(getFlowRateAtHead('2S24V30C', 41), 0);
+});
+
+test('a 24V array is laid out in whole strings at its family\'s series count', () => {
+  // 300 W is three 100 W panels, rounded up to two strings of two at 40 V
+  assert.deepEqual(calculateSolarArray('6S24V30C'), {
+    family: '24V30C',
+    voltage: 24,
+    powerRequired: 300,
+    panelWatts: 100,
+    panelVoltage: 20,
+    seriesCount: 2,
+    strings: 2,
+    panels: 4,
+    wattage: 400,
+    stringVoltage: 40,
+    withinControllerLimits: true
+  });
+});
+
+test('a helical pump is powered by its own rating, in strings of three panels', () => {
+  const array = calculateSolarArray('HR20-48V');
+
+  assert.equal(array.voltage, 48);
+  assert.equal(array.powerRequired, 450);
+  assert.equal(array.strings, 1);
+  assert.equal(array.panels, 3);
+  assert.equal(array.stringVoltage, 108);
+  assert.equal(array.withinControllerLimits, true);
+
+  // A watts-per-stage override only applies to multistage pumps
+  const settings = { pumpFamilies: { '24V30C': { wattsPerStage: 45 }, HR48: { wattsPerStage: 45 } } };
+  assert.equal(getPowerRequired('6S24V30C', settings), 270);
+  assert.equal(getPowerRequired('HR20-48V', settings), 450);
+});
+
+test('a pump whose array is past its controller\'s limits is refused', () => {
+  // 450 W needs five panels, so three strings on a two-string, 400 W controller
+  const pump = evaluatePump('9S24V30C', 1, 50);
+
+  assert.equal(pump.solarArray.strings, 3);
+  assert.equal(pump.solarArray.wattage, 600);
+  assert.equal(pump.solarArray.withinControllerLimits, false);
+  assert.equal(pump.problem, 'controller');
+});
+
+test('each pump says why it can or can\'t do the job', () => {
+  assert.equal(evaluatePump('2S24V30C', 1, 50).problem, 'head');
+  assert.equal(evaluatePump('6S24V30C', 3.6, 30).problem, 'flow');
+  assert.equal(evaluatePump('6S24V30C', 3, 30).problem, null);
+  assert.equal(evaluatePump('HR10-48V', 1.5, 150).pumpType, 'helical');
+});
+
+test('the pump drawing the least power is picked across voltages and types', () => {
+  // Only the helical pumps reach 150 ft; the smaller one is enough
+  assert.equal(findSuitablePump(1.5, 150).model, 'HR10-48V');
+  // The 24V multistage pump beats the bigger helical pump at 60 ft
+  assert.equal(findSuitablePump(3, 60).model, '6S24V30C');
+  assert.equal(findSuitablePump(5, 60), undefined);
+});
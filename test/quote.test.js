@@ -0,0 +1,101 @@
+// Printable quotes: the quote model and its HTML and PDF renderings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateRecommendation } = require('../sizing');
+const { createQuoteNumber, buildQuote, niceAxis, plotCurve, renderQuoteHtml, renderQuotePdf } = require('../quote');
+
+const SITE = {
+  usageType: 'livestock', livestockType: 'beef', animalCount: 30, location: 'Amarillo, TX',
+  wellDepth: 200, staticWaterLevel: 80, drawdownLevel: 8, drawdownEstimated: true, elevationGain: 10,
+  pipeLength: 200, pipeSize: 1, wellCasingSize: 6, contactName: 'Tom <Baker>', contactPhone: '(406) 555-0142'
+};
+
+function quoteFor(site, options) {
+  return buildQuote(site, calculateRecommendation(site), options);
+}
+
+test('quote numbers carry the date and a random suffix', () => {
+  const date = new Date('2024-06-12T15:00:00Z');
+  assert.match(createQuoteNumber(date), /^Q-20240612-[0-9A-F]{6}$/);
+  assert.notEqual(createQuoteNumber(date), createQuoteNumber(date));
+});
+
+test('the quote breaks down the head and marks the operating point', () => {
+  const quote = quoteFor(SITE, { quoteNumber: 'Q-TEST', date: new Date('2024-06-12T00:00:00Z') });
+
+  assert.equal(quote.quoteNumber, 'Q-TEST');
+  assert.equal(quote.validUntil, '2024-07-12');
+  assert.deepEqual(quote.tdh.rows.slice(0, 3), [
+    ['Static water level', '80 feet'],
+    ['Drawdown (estimated)', '8 feet'],
+    ['Elevation gain', '10 feet']
+  ]);
+  assert.equal(quote.tdh.rows.length, 5);
+  assert.deepEqual(quote.customer, { name: 'Tom <Baker>', email: null, phone: '(406) 555-0142' });
+  assert.deepEqual(quote.well.rows.slice(0, 2), [['Pump setting', '108 feet (suggested)'], ['Well yield', 'Not specified']]);
+
+  // The operating point sits between the curve points either side of it
+  const { points, operatingPoint } = quote.curve;
+  const below = points.filter(point => point.head <= operatingPoint.head).pop();
+  const above = points.find(point => point.head >= operatingPoint.head);
+  assert.ok(operatingPoint.flow <= below.flow && operatingPoint.flow >= above.flow);
+  assert.ok(operatingPoint.flow >= quote.curve.requiredFlow);
+});
+
+test('the bill of materials lists the pump, array, pipe and a tank when needed', () => {
+  const withoutTank = quoteFor(SITE);
+  const descriptions = withoutTank.billOfMaterials.map(line => line.description);
+
+  assert.match(descriptions[0], /solar pump/);
+  assert.ok(descriptions.some(description => /pump controller/.test(description)));
+  assert.ok(descriptions.some(description => /^Storage tank/.test(description)));
+  assert.ok(withoutTank.billOfMaterials.some(line => line.quantity === '200 feet' && line.unitPrice === '$1.09/ft'));
+  assert.match(withoutTank.pricing.total, /^\$[\d,]+\.\d\d$/);
+  assert.equal(withoutTank.pricing.tier, 'retail');
+
+  const withTank = quoteFor({ ...SITE, hasStorageTank: true, tankCapacity: 5000 });
+  assert.ok(!withTank.billOfMaterials.some(line => /^Storage tank/.test(line.description)));
+});
+
+test('metric sites are quoted in meters and liters', () => {
+  const quote = quoteFor({ ...SITE, unitSystem: 'metric' });
+
+  assert.equal(quote.curve.headUnit, 'm');
+  assert.equal(quote.curve.flowUnit, 'L/min');
+  assert.deepEqual(quote.tdh.rows[0], ['Static water level', '24.4 m']);
+  assert.ok(quote.billOfMaterials.some(line => line.quantity === '61 m' && line.unitPrice === '$3.58/m'));
+});
+
+test('a site with no recommendation cannot be quoted', () => {
+  assert.throws(() => quoteFor({ ...SITE, sandyWater: true }), /valid recommendation/);
+});
+
+test('axes round up to tidy steps and the curve fits its box', () => {
+  assert.deepEqual(niceAxis(120), { max: 150, ticks: [0, 50, 100, 150] });
+  assert.deepEqual(niceAxis(5), { max: 5, ticks: [0, 1, 2, 3, 4, 5] });
+
+  const quote = quoteFor(SITE);
+  const plot = plotCurve(quote.curve, { x: 0, y: 0, width: 100, height: 100 });
+  for (const [x, y] of [...plot.line, plot.operatingPoint]) {
+    assert.ok(x >= 0 && x <= 100 && y >= 0 && y <= 100);
+  }
+});
+
+test('the HTML view has every section and escapes customer text', () => {
+  const html = renderQuoteHtml(quoteFor(SITE, { quoteNumber: 'Q-TEST' }));
+
+  for (const heading of ['Customer', 'Site', 'Total dynamic head', 'Well', 'Pump', 'Solar array', 'Bill of materials']) {
+    assert.ok(html.includes(`<h2>${heading}</h2>`), heading);
+  }
+  assert.match(html, /Quote Q-TEST/);
+  assert.match(html, /class="operating-point"/);
+  assert.match(html, /Tom &lt;Baker&gt;/);
+});
+
+test('the PDF renders locally', async () => {
+  const pdf = await renderQuotePdf(quoteFor(SITE));
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
@@ -0,0 +1,111 @@
+// Web search: provider selection, the fixture provider, and the client's cache and time budget
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFixtureProvider, createSearchProvider, createSearchClient } = require('../searchProvider');
+
+const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+// A provider that counts its searches and answers after `delay` ms unless aborted
+function createCountingProvider({ delay = 0, fail = false } = {}) {
+  const provider = {
+    name: 'counting',
+    calls: [],
+
+    search(query, { signal } = {}) {
+      provider.calls.push(query);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (fail) {
+            reject(new Error('quota exceeded'));
+          } else {
+            resolve([{ title: query, snippet: `about ${query}`, link: 'https://example.com' }]);
+          }
+        }, delay);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('aborted'));
+          });
+        }
+      });
+    }
+  };
+  return provider;
+}
+
+test('the fixture provider answers from the first entry found in the query', async () => {
+  const provider = createFixtureProvider();
+
+  const [result] = await provider.search('Solar insolation for Amarillo, TX');
+  assert.match(result.link, /nrel\.gov/);
+  assert.deepEqual(await provider.search('weather on mars'), []);
+});
+
+test('SEARCH_PROVIDER picks the provider; Google needs its keys', () => {
+  const saved = { GOOGLE_API_KEY: process.env.GOOGLE_API_KEY, GOOGLE_CSE_ID: process.env.GOOGLE_CSE_ID };
+  delete process.env.GOOGLE_API_KEY;
+  delete process.env.GOOGLE_CSE_ID;
+  try {
+    assert.equal(createSearchProvider('fixture').name, 'fixture');
+    assert.equal(createSearchProvider('disabled').name, 'disabled');
+    assert.equal(createSearchProvider('').name, 'disabled');
+    assert.throws(() => createSearchProvider('google'), /GOOGLE_API_KEY and GOOGLE_CSE_ID are required/);
+    assert.equal(createSearchProvider('google', { apiKey: 'key', engineId: 'cse' }).name, 'google');
+    assert.throws(() => createSearchProvider('bing'), /Unknown search provider/);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value !== undefined) {
+        process.env[key] = value;
+      }
+    }
+  }
+});
+
+test('a query is answered from the cache until its TTL runs out', async () => {
+  const provider = createCountingProvider();
+  const client = createSearchClient(provider, { ttl: 50 });
+
+  const first = await client.search('amarillo');
+  assert.deepEqual(await client.search('amarillo'), first);
+  assert.deepEqual(provider.calls, ['amarillo']);
+
+  await client.search('fresno');
+  assert.deepEqual(provider.calls, ['amarillo', 'fresno']);
+
+  await sleep(80);
+  await client.search('amarillo');
+  assert.deepEqual(provider.calls, ['amarillo', 'fresno', 'amarillo']);
+
+  client.clearCache();
+  await client.search('fresno');
+  assert.equal(provider.calls.length, 4);
+});
+
+test('a failed search comes back empty and is not cached', async () => {
+  const provider = createCountingProvider({ fail: true });
+  const client = createSearchClient(provider);
+
+  assert.deepEqual(await client.search('amarillo'), []);
+  assert.deepEqual(await client.search('amarillo'), []);
+  assert.equal(provider.calls.length, 2);
+});
+
+test('searches in one request share its time budget', async () => {
+  const provider = createCountingProvider({ delay: 1000 });
+  const client = createSearchClient(provider, { budget: 50 });
+  const budget = client.startBudget();
+
+  // The slow search is cut off when the budget runs out...
+  const started = Date.now();
+  assert.deepEqual(await client.search('solar insolation', budget), []);
+  assert.ok(Date.now() - started < 500);
+
+  // ...and the next search in the same request isn't even tried
+  assert.deepEqual(await client.search('local fact', budget), []);
+  assert.deepEqual(provider.calls, ['solar insolation']);
+
+  // A new request gets a fresh budget
+  await client.search('local fact', client.startBudget());
+  assert.deepEqual(provider.calls, ['solar insolation', 'local fact']);
+});
@@ -0,0 +1,72 @@
+// Session stores: the in-memory and SQLite backends behave the same
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore, createSqliteStore, createSessionStore } = require('../sessionStore');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const BACKENDS = {
+  memory: options => createMemoryStore(options),
+  sqlite: options => createSqliteStore({ path: path.join(tmpDir, `${Date.now()}-${Math.random()}.db`), ...options })
+};
+
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+for (const [name, createStore] of Object.entries(BACKENDS)) {
+  test(`${name} store saves and returns a copy of the session`, async () => {
+    const store = createStore();
+    const session = { currentStage: 'location', data: { usageType: 'livestock' }, messages: [] };
+
+    await store.set('abc', session);
+    session.currentStage = 'changed';
+
+    assert.deepEqual(await store.get('abc'), { currentStage: 'location', data: { usageType: 'livestock' }, messages: [] });
+    assert.equal(await store.get('missing'), null);
+    await store.close();
+  });
+
+  test(`${name} store deletes sessions`, async () => {
+    const store = createStore();
+
+    await store.set('abc', { currentStage: 'greeting' });
+    await store.delete('abc');
+
+    assert.equal(await store.get('abc'), null);
+    await store.close();
+  });
+
+  test(`${name} store expires sessions after the TTL and refreshes it on set`, async () => {
+    const store = createStore({ ttl: 80 });
+
+    await store.set('stale', { n: 1 });
+    await store.set('fresh', { n: 1 });
+    await wait(50);
+    await store.set('fresh', { n: 2 });
+    await wait(50);
+
+    assert.equal(await store.get('stale'), null);
+    assert.deepEqual(await store.get('fresh'), { n: 2 });
+    await store.close();
+  });
+}
+
+test('sqlite sessions survive reopening the file', async () => {
+  const file = path.join(tmpDir, 'reopen.db');
+
+  const first = createSqliteStore({ path: file });
+  await first.set('abc', { currentStage: 'well_depth' });
+  await first.close();
+
+  const second = createSqliteStore({ path: file });
+  assert.deepEqual(await second.get('abc'), { currentStage: 'well_depth' });
+  await second.close();
+});
+
+test('an unknown store type is an error', () => {
+  assert.throws(() => createSessionStore('dynamo'), /Unknown session store "dynamo"/);
+});
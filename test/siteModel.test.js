@@ -0,0 +1,100 @@
+// Sites with several wells and delivery points: a head per path, a pump per well
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDestinations, splitDemand } = require('../siteModel');
+const { calculatePathFrictionLoss, calculateFrictionLoss } = require('../pipeData');
+const { calculateRecommendation } = require('../sizing');
+const { validateSiteDescription } = require('../siteSchema');
+
+const SITE = {
+  usageType: 'livestock', livestockType: 'beef', animalCount: 60, location: 'Amarillo, TX',
+  wellDepth: 200, staticWaterLevel: 80, drawdownLevel: 8, elevationGain: 10,
+  pipeLength: 200, pipeSize: 1, pipeMaterial: 'poly'
+};
+
+test('demand is split equally unless a delivery point gives its share', () => {
+  assert.deepEqual(splitDemand([{}, {}]), [0.5, 0.5]);
+  assert.deepEqual(splitDemand([{}, { demandPercent: 20 }, {}]), [0.4, 0.2, 0.4]);
+});
+
+test('the first delivery point comes from the flat pipe fields', () => {
+  const [primary, other] = getDestinations({ ...SITE, additionalDestinations: [{ elevationGain: 40 }] });
+
+  assert.deepEqual(primary.pipeSegments, [{ length: 200, size: 1, material: 'poly' }]);
+  assert.equal(other.name, 'Tank 2');
+  assert.equal(other.well, 0);
+  assert.deepEqual(other.pipeSegments, []);
+});
+
+test('friction along a run adds its segments and counts the fittings once', () => {
+  const segments = [{ length: 800, size: 1.25, material: 'poly' }, { length: 400, size: 1, material: 'pvc' }];
+  const path = calculatePathFrictionLoss(5, segments);
+  const first = calculateFrictionLoss(5, 800, 1.25, 'poly');
+  const second = calculateFrictionLoss(5, 400, 1, 'pvc', {});
+
+  assert.equal(path.length, 1200);
+  assert.equal(path.pipeLoss, first.pipeLoss + second.pipeLoss);
+  assert.equal(path.minorLoss, first.minorLoss);
+});
+
+test('one well feeding several tanks is sized for the worst path', () => {
+  const rec = calculateRecommendation({
+    ...SITE,
+    additionalDestinations: [{ name: 'Hill tank', elevationGain: 40, pipeSegments: [{ length: 800, size: 1, material: 'poly' }] }]
+  });
+
+  assert.equal(rec.isValid, true);
+  assert.deepEqual(rec.paths.map(path => [path.destination, path.worstCase]), [['Tank 1', false], ['Hill tank', true]]);
+  assert.ok(rec.paths[1].tdh > rec.paths[0].tdh);
+  assert.equal(rec.operatingPoint.head, rec.paths[1].tdh.toFixed(1));
+  assert.match(rec.formattedSummary, /Hill tank: .* worst case/);
+
+  // Both runs are on the parts list
+  const pipe = rec.billOfMaterials.lineItems.filter(line => line.item === 'pipe');
+  assert.deepEqual(pipe.map(line => [line.sku, line.quantity]), [['pipe:poly:1', 1000]]);
+});
+
+test('each well gets a pump for its share of the demand', () => {
+  const rec = calculateRecommendation({
+    ...SITE,
+    additionalWells: [{ wellDepth: 150, staticWaterLevel: 50, drawdownLevel: 5 }],
+    additionalDestinations: [{ well: 1, elevationGain: 20, pipeSegments: [{ length: 300, size: 1 }] }]
+  });
+
+  assert.equal(rec.isValid, true);
+  assert.equal(rec.multiWell, true);
+  assert.deepEqual(rec.wells.map(well => [well.name, well.demandShare, well.worstPath]), [
+    ['Well 1', 0.5, 'Tank 1'],
+    ['Well 2', 0.5, 'Tank 2']
+  ]);
+  assert.equal(rec.wells[1].recommendation.wellSafety.pumpingLevel, 55);
+  assert.match(rec.formattedSummary, /WELL 2 - 50% of the demand, sized for Tank 2/);
+});
+
+test('a well that feeds nothing is reported, not sized', () => {
+  const rec = calculateRecommendation({ ...SITE, additionalWells: [{ staticWaterLevel: 50 }] });
+
+  assert.equal(rec.isValid, true);
+  assert.equal(rec.wells[1].recommendation, null);
+  assert.match(rec.formattedSummary, /WELL 2 - not sized/);
+});
+
+test('the site schema checks each well, delivery point and pipe segment', () => {
+  const { data, errors } = validateSiteDescription({
+    usageType: 'livestock',
+    livestock: { type: 'beef', count: 60 },
+    well: { staticWaterLevel: 80 },
+    additionalWells: [{ depth: 150, staticWaterLevel: 50 }],
+    additionalDestinations: [
+      { well: 2, elevationGain: 20, pipe: [{ length: 300, size: 1, material: 'poly' }] },
+      { well: 3, pipe: [{ length: 300 }] }
+    ]
+  });
+
+  assert.equal(data.additionalWells[0].drawdownEstimated, true);
+  assert.deepEqual(data.additionalDestinations[0], {
+    well: 1, elevationGain: 20, pipeSegments: [{ length: 300, size: 1, material: 'poly' }]
+  });
+  assert.deepEqual(errors.map(error => error.field), ['additionalDestinations[1].well', 'additionalDestinations[1].pipe[0].size']);
+});
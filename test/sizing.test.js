@@ -0,0 +1,158 @@
+// Sizing engine: water requirements and pump recommendations for each usage path
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_CONFIG, calculateWaterRequirements, calculateStorage, calculateRecommendation } = require('../sizing');
+
+const { livestockWaterNeeds } = DEFAULT_CONFIG.settings;
+
+// A well and pipe run shared by the sites below
+const WELL = {
+  wellDepth: 250,
+  staticWaterLevel: 80,
+  drawdownLevel: 8,
+  elevationGain: 10,
+  pipeLength: 200,
+  pipeSize: 1,
+  wellCasingSize: 6
+};
+
+test('livestock demand follows head count and the monthly profile', () => {
+  const waterReq = calculateWaterRequirements({ usageType: 'livestock', livestockType: 'beef', animalCount: 30, location: 'Amarillo, TX' });
+
+  assert.equal(waterReq.peakDailyGallons, 30 * livestockWaterNeeds.beef.summer);
+  assert.equal(waterReq.monthlyDemand.length, 12);
+  assert.equal(Math.max(...waterReq.monthlyDemand), waterReq.peakDailyGallons);
+  assert.equal(waterReq.sunHours.region, 'Texas');
+  assert.ok(waterReq.requiredGPM > 0);
+});
+
+test('household demand adds bathrooms and fixtures', () => {
+  const waterReq = calculateWaterRequirements({
+    usageType: 'household',
+    peopleCount: 4,
+    bathroomCount: 2,
+    fixturesInfo: 'kitchen, laundry and a large garden'
+  });
+
+  assert.ok(waterReq.peakDailyGallons > 4 * 50);
+  assert.ok(waterReq.monthlyDemand.every(demand => demand === waterReq.peakDailyGallons));
+  assert.equal(waterReq.sunHours.basis, 'default');
+});
+
+test('irrigation demand scales with area, method and crop', () => {
+  const drip = calculateWaterRequirements({ usageType: 'irrigation', irrigationArea: 2, irrigationMethod: 'drip', cropCategory: 'vegetables' });
+  const flood = calculateWaterRequirements({ usageType: 'irrigation', irrigationArea: 2, irrigationMethod: 'flood', cropCategory: 'vegetables' });
+
+  assert.ok(flood.peakDailyGallons > drip.peakDailyGallons);
+  assert.ok(drip.monthlyDemand[6] > drip.monthlyDemand[0]);
+});
+
+test('a design month with no demand falls back to the worst month', () => {
+  const site = { usageType: 'irrigation', location: 'Fresno, California', irrigationArea: 2, irrigationMethod: 'drip', cropCategory: 'vegetables' };
+  const winter = calculateWaterRequirements({ ...site, designMonth: 1 });
+  const worst = calculateWaterRequirements(site);
+
+  assert.equal(winter.sunHours.basis, 'worst month');
+  assert.equal(winter.sunHours.designMonthIgnored, 'February');
+  assert.equal(winter.sunHours.month, worst.sunHours.month);
+  assert.equal(winter.dailyGallons, worst.dailyGallons);
+  assert.ok(winter.dailyGallons > 0);
+  assert.equal(calculateWaterRequirements({ ...site, designMonth: 6 }).sunHours.basis, 'design month');
+});
+
+test('a custom daily volume is used as given', () => {
+  const waterReq = calculateWaterRequirements({ usageType: 'other', customGPD: 1500 });
+
+  assert.equal(waterReq.peakDailyGallons, 1500);
+  assert.equal(waterReq.dailyGallons, 1500);
+});
+
+test('storage is sized for the autonomy days and flags a small tank', () => {
+  const waterReq = calculateWaterRequirements({ usageType: 'other', customGPD: 600 });
+  const storage = calculateStorage(waterReq, { hasStorageTank: true, tankCapacity: 1000 });
+
+  assert.equal(storage.autonomyDays, 3);
+  assert.equal(storage.requiredGallons, 1800);
+  assert.equal(storage.recommendedSize, 2000);
+  assert.equal(storage.undersized, true);
+});
+
+for (const [name, site] of Object.entries({
+  livestock: { usageType: 'livestock', livestockType: 'beef', animalCount: 30, location: 'Amarillo, TX' },
+  household: { usageType: 'household', peopleCount: 3, bathroomCount: 1, location: 'Santa Fe, NM' },
+  irrigation: { usageType: 'irrigation', irrigationArea: 0.5, irrigationMethod: 'drip', cropCategory: 'vegetables', location: 'Fresno, CA' },
+  custom: { usageType: 'other', customGPD: 400, location: 'Tucson, AZ' }
+})) {
+  test(`recommends a pump for the ${name} path`, () => {
+    const recommendation = calculateRecommendation({ ...WELL, ...site });
+
+    assert.equal(recommendation.isValid, true);
+    assert.ok(recommendation.pumpDetails.model);
+    assert.ok(recommendation.operatingPoint.flowMargin >= 0);
+    assert.ok(Number(recommendation.system.tdh) > WELL.staticWaterLevel + WELL.drawdownLevel + WELL.elevationGain);
+    assert.ok(recommendation.solarConfig.panels > 0);
+    assert.match(recommendation.formattedSummary, /PUMP RECOMMENDATION/);
+  });
+}
+
+test('a custom total head overrides the well figures', () => {
+  const recommendation = calculateRecommendation({ ...WELL, usageType: 'other', customGPD: 400, customHead: 60 });
+
+  assert.equal(Number(recommendation.system.tdh), 60);
+  assert.equal(recommendation.system.frictionLoss, null);
+  assert.deepEqual(recommendation.system.tdhBreakdown, [{ component: 'Total head (as given)', head: 60 }]);
+});
+
+test('the head breakdown adds up to the total dynamic head', () => {
+  const recommendation = calculateRecommendation({ ...WELL, usageType: 'other', customGPD: 400 });
+  const breakdown = recommendation.system.tdhBreakdown;
+
+  assert.deepEqual(breakdown.map(row => row.component), ['Static water level', 'Drawdown', 'Elevation gain', 'Pipe friction', 'Fittings (typical)']);
+  assert.ok(Math.abs(breakdown.reduce((sum, row) => sum + row.head, 0) - Number(recommendation.system.tdh)) < 0.2);
+});
+
+test('the recommendation carries a priced bill of materials', () => {
+  const site = { ...WELL, usageType: 'livestock', livestockType: 'beef', animalCount: 30 };
+  const retail = calculateRecommendation(site).billOfMaterials;
+  const dealer = calculateRecommendation(site, { priceTier: 'dealer' }).billOfMaterials;
+
+  assert.deepEqual(retail.lineItems.map(line => line.item),
+    ['pump', 'controller', 'panels', 'mounting', 'pipe', 'wire', 'floatSwitch', 'tank']);
+  assert.equal(retail.unpricedItems, 0);
+  assert.ok(Math.abs(retail.total - retail.lineItems.reduce((sum, line) => sum + line.total, 0)) < 0.01);
+  assert.equal(retail.lineItems.find(line => line.item === 'pipe').quantity, WELL.pipeLength);
+  assert.equal(retail.lineItems.find(line => line.item === 'wire').quantity, WELL.wellDepth + 20);
+  assert.ok(dealer.total < retail.total);
+});
+
+test('sandy water is rejected', () => {
+  const recommendation = calculateRecommendation({ ...WELL, usageType: 'other', customGPD: 400, sandyWater: true });
+
+  assert.equal(recommendation.isValid, false);
+  assert.match(recommendation.message, /sand/);
+});
+
+test('a casing under 5 inches is rejected', () => {
+  const recommendation = calculateRecommendation({ ...WELL, usageType: 'other', customGPD: 400, wellCasingSize: 4 });
+
+  assert.equal(recommendation.isValid, false);
+  assert.match(recommendation.message, /casing/i);
+});
+
+test('no recommendation when no pump can reach the head', () => {
+  const recommendation = calculateRecommendation({ ...WELL, usageType: 'other', customGPD: 400, customHead: 1500 });
+
+  assert.equal(recommendation.isValid, false);
+});
+
+test('a site missing its demand or water level is not sized', () => {
+  const recommendation = calculateRecommendation({ usageType: 'livestock', livestockType: 'beef', animalCount: 0, wellDepth: 200 });
+
+  assert.equal(recommendation.isValid, false);
+  assert.deepEqual(recommendation.missingFields, ['animalCount', 'staticWaterLevel']);
+  assert.equal(recommendation.message, 'I still need the number of head and the static water level before I can size a pump.');
+
+  // A static level of 0 is a flowing well, not a missing answer
+  assert.equal(calculateRecommendation({ ...WELL, usageType: 'livestock', animalCount: 20, staticWaterLevel: 0 }).isValid, true);
+});
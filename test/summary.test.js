@@ -0,0 +1,56 @@
+// Golden-file tests of the formatted summary. After an intended change to the
+// summary, regenerate the files with: UPDATE_GOLDEN=1 npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateRecommendation } = require('../sizing');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.txt`);
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, actual);
+  }
+
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `formattedSummary differs from test/golden/${name}.txt`);
+}
+
+const SITES = {
+  'livestock-imperial': {
+    usageType: 'livestock', livestockType: 'beef', animalCount: 30, location: 'Amarillo, TX',
+    wellDepth: 200, staticWaterLevel: 80, drawdownLevel: 8, drawdownEstimated: true, elevationGain: 10,
+    pipeLength: 200, pipeSize: 1, hasStorageTank: true, tankCapacity: 1500, wellCasingSize: 6
+  },
+  'household-metric': {
+    usageType: 'household', peopleCount: 4, bathroomCount: 2, fixturesInfo: 'kitchen, laundry', location: 'Santa Fe, NM',
+    unitSystem: 'metric', wellDepth: 295.2756, staticWaterLevel: 98.4252, drawdownLevel: 9.84252, elevationGain: 16.4042,
+    pipeLength: 656.168, pipeSize: 1.25, pipeMaterial: 'poly', wellCasingSize: 5.9
+  },
+  'irrigation-design-month': {
+    usageType: 'irrigation', irrigationArea: 0.5, irrigationMethod: 'drip', cropType: 'tomatoes', cropCategory: 'vegetables',
+    location: 'Fresno, California', designMonth: 6, wellDepth: 150, staticWaterLevel: 40, drawdownLevel: 5, elevationGain: 0,
+    pipeLength: 400, pipeSize: 1.5, pipeMaterial: 'hdpe', autonomyDays: 2, wellCasingSize: 6
+  }
+};
+
+for (const [name, site] of Object.entries(SITES)) {
+  test(`formattedSummary for ${name} matches its golden file`, () => {
+    const recommendation = calculateRecommendation(site);
+    assert.equal(recommendation.isValid, true);
+    assertGolden(name, recommendation.formattedSummary);
+  });
+}
+
+test('an unresolved location with flat demand names no month', () => {
+  const { formattedSummary } = calculateRecommendation({
+    usageType: 'other', customGPD: 240, location: 'Nowhere Flats',
+    wellDepth: 200, staticWaterLevel: 80, drawdownLevel: 8, elevationGain: 10, pipeLength: 200, pipeSize: 1
+  });
+
+  assert.match(formattedSummary, /Daily water needed: 240 gallons\n/);
+  assert.match(formattedSummary, /Peak sun hours: [\d.]+ hours \(default, location not found\)/);
+});
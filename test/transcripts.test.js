@@ -0,0 +1,26 @@
+// Replays every recorded conversation in test/transcripts through the state machine
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadTranscript, findTranscripts, replayTranscript } = require('../transcripts');
+
+const TRANSCRIPTS_DIR = path.join(__dirname, 'transcripts');
+
+for (const file of findTranscripts(TRANSCRIPTS_DIR)) {
+  test(`transcript ${path.basename(file)} replays without divergence`, () => {
+    const { divergences } = replayTranscript(loadTranscript(file));
+    assert.deepEqual(divergences, []);
+  });
+}
+
+test('a changed expectation is reported as a divergence', () => {
+  const transcript = loadTranscript(path.join(TRANSCRIPTS_DIR, 'household-reask.jsonl'));
+  transcript.turns[4] = { ...transcript.turns[4], stage: 'location', data: { peopleCount: 4 } };
+
+  const { divergences } = replayTranscript(transcript);
+
+  assert.deepEqual(divergences.map(divergence => divergence.field), ['stage', 'data.peopleCount']);
+  assert.equal(divergences[0].turn, 5);
+  assert.equal(divergences[1].actual, 5);
+});
@@ -0,0 +1,155 @@
+// CRM webhook: signing, retries with backoff and the dead-letter log
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { signPayload, createWebhookSender } = require('../webhook');
+
+const SECRET = 'test-secret';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// A receiver that answers with the given status codes in turn and records what it got
+function startReceiver(statuses) {
+  const requests = [];
+
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+        res.end();
+      });
+    });
+    server.listen(0, () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+const readDeadLetters = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+function createSender(url, deadLetterPath = path.join(tmpDir, `${Date.now()}-${Math.random()}.jsonl`)) {
+  return { deadLetterPath, sender: createWebhookSender({ url, secret: SECRET, maxAttempts: 3, baseDelay: 10, deadLetterPath }) };
+}
+
+test('deliveries are signed with an HMAC of the timestamp and body', async () => {
+  const receiver = await startReceiver([200]);
+  const { sender } = createSender(receiver.url);
+
+  const result = await sender.send('sizing.completed', { model: '3S48V50C' });
+  await receiver.close();
+
+  assert.deepEqual(result, { delivered: true, attempts: 1 });
+  const [request] = receiver.requests;
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'sizing.completed');
+  assert.deepEqual(payload.data, { model: '3S48V50C' });
+  assert.equal(request.headers['x-webhook-signature'], signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body));
+});
+
+test('server errors are retried until the delivery goes through', async () => {
+  const receiver = await startReceiver([503, 500, 200]);
+  const { sender, deadLetterPath } = createSender(receiver.url);
+
+  const result = await sender.send('sizing.completed', {});
+  await receiver.close();
+
+  assert.deepEqual(result, { delivered: true, attempts: 3 });
+  assert.equal(new Set(receiver.requests.map(request => JSON.parse(request.body).id)).size, 1);
+  // Noted before the first retry, then marked delivered
+  const deadLetters = readDeadLetters(deadLetterPath);
+  assert.deepEqual(deadLetters.map(entry => entry.status), ['retrying', 'delivered']);
+  assert.equal(deadLetters[0].id, JSON.parse(receiver.requests[0].body).id);
+  assert.equal(deadLetters[1].id, deadLetters[0].id);
+});
+
+test('a delivered first attempt leaves no dead letter', async () => {
+  const receiver = await startReceiver([200]);
+  const { sender, deadLetterPath } = createSender(receiver.url);
+
+  await sender.send('sizing.completed', {});
+  await receiver.close();
+
+  assert.equal(fs.existsSync(deadLetterPath), false);
+});
+
+test('a delivery cut off while backing off is already in the dead-letter log', async () => {
+  const receiver = await startReceiver([500]);
+  const deadLetterPath = path.join(tmpDir, 'cut-off.jsonl');
+  const sender = createWebhookSender({ url: receiver.url, secret: SECRET, maxAttempts: 2, baseDelay: 500, deadLetterPath });
+
+  // Look before the backoff ends; the entry is written before it starts
+  const sending = sender.send('sizing.completed', { model: '3S48V50C' });
+  while (!fs.existsSync(deadLetterPath)) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await receiver.close();
+
+  const [deadLetter] = readDeadLetters(deadLetterPath);
+  assert.equal(deadLetter.status, 'retrying');
+  assert.equal(deadLetter.error, 'HTTP 500');
+  assert.deepEqual(JSON.parse(deadLetter.body).data, { model: '3S48V50C' });
+  await sending;
+});
+
+test('a delivery that keeps failing goes to the dead-letter log', async () => {
+  const receiver = await startReceiver([500]);
+  const { sender, deadLetterPath } = createSender(receiver.url);
+
+  const result = await sender.send('sizing.completed', { model: '3S48V50C' });
+  await receiver.close();
+
+  assert.deepEqual(result, { delivered: false, attempts: 3 });
+  const deadLetters = readDeadLetters(deadLetterPath);
+  assert.deepEqual(deadLetters.map(entry => entry.status), ['retrying', 'failed']);
+  const deadLetter = deadLetters[1];
+  assert.equal(deadLetter.event, 'sizing.completed');
+  assert.equal(deadLetter.attempts, 3);
+  assert.equal(deadLetter.error, 'HTTP 500');
+  assert.deepEqual(JSON.parse(deadLetter.body).data, { model: '3S48V50C' });
+});
+
+test('a delivery gives up once its time is up, before the attempts run out', async () => {
+  const receiver = await startReceiver([503]);
+  const deadLetterPath = path.join(tmpDir, 'out-of-time.jsonl');
+  const sender = createWebhookSender({ url: receiver.url, secret: SECRET, maxAttempts: 5, baseDelay: 100, maxDeliveryTime: 250, deadLetterPath });
+
+  // Attempts at 0 and 100 ms; the next would start after 300 ms
+  const started = Date.now();
+  const result = await sender.send('sizing.completed', {});
+  await receiver.close();
+
+  assert.deepEqual(result, { delivered: false, attempts: 2 });
+  assert.ok(Date.now() - started < 250);
+  assert.deepEqual(readDeadLetters(deadLetterPath).map(entry => entry.status), ['retrying', 'failed']);
+});
+
+test('a rejected delivery is not retried', async () => {
+  const receiver = await startReceiver([400]);
+  const { sender, deadLetterPath } = createSender(receiver.url);
+
+  const result = await sender.send('sizing.completed', {});
+  await receiver.close();
+
+  assert.deepEqual(result, { delivered: false, attempts: 1 });
+  assert.equal(receiver.requests.length, 1);
+  assert.deepEqual(readDeadLetters(deadLetterPath).map(entry => entry.status), ['failed']);
+});
+
+test('without a URL nothing is sent', async () => {
+  const sender = createWebhookSender({});
+  assert.equal(sender.enabled, false);
+  assert.deepEqual(await sender.send('sizing.completed', {}), { delivered: false, attempts: 0, skipped: true });
+});
+
+test('a URL without a secret is refused', () => {
+  assert.throws(() => createWebhookSender({ url: 'http://example.com' }), /secret is required/);
+});
@@ -0,0 +1,90 @@
+// Pump setting, pumping level and output checked against the well
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkWellSafety } = require('../wellSafety');
+const { calculateRecommendation } = require('../sizing');
+const { validateSiteDescription } = require('../siteSchema');
+
+const WELL = { wellDepth: 200, staticWaterLevel: 80, drawdownLevel: 8 };
+const PUMP = { flowRate: 3, dailyGallons: 800, peakSunHours: 6, units: 'imperial' };
+
+const byCheck = result => Object.fromEntries(result.checks.map(check => [check.check, check]));
+
+test('an unknown setting depth is suggested under the pumping level', () => {
+  const result = checkWellSafety(WELL, PUMP);
+
+  assert.equal(result.pumpSettingDepth, 108);
+  assert.equal(result.settingDepthSuggested, true);
+  assert.equal(result.pumpingLevel, 88);
+  assert.equal(byCheck(result).bottomClearance.passed, true);
+  assert.equal(byCheck(result).submergence.passed, true);
+});
+
+test('a suggested setting never goes into the bottom clearance', () => {
+  const result = checkWellSafety({ ...WELL, wellDepth: 100 }, PUMP);
+
+  assert.equal(result.pumpSettingDepth, 90);
+  assert.equal(byCheck(result).bottomClearance.passed, true);
+  assert.equal(byCheck(result).submergence.passed, false);
+  assert.match(result.advice.join('\n'), /low-water cutoff/);
+});
+
+test('a pump set too deep or above the pumping level is flagged', () => {
+  const deep = checkWellSafety({ ...WELL, pumpSettingDepth: 195 }, PUMP);
+  assert.equal(byCheck(deep).bottomClearance.passed, false);
+  assert.match(deep.advice.join('\n'), /no deeper than 190 feet/);
+
+  const shallow = checkWellSafety({ ...WELL, pumpSettingDepth: 85 }, PUMP);
+  assert.equal(byCheck(shallow).submergence.passed, false);
+  assert.match(byCheck(shallow).submergence.message, /below the intake/);
+  assert.match(shallow.advice.join('\n'), /Lower the pump to at least 98 feet/);
+});
+
+test('pump output over the well yield asks for flow limiting and a cutoff', () => {
+  const within = checkWellSafety({ ...WELL, wellYield: 5 }, PUMP);
+  assert.equal(within.passed, true);
+  assert.doesNotMatch(within.advice.join('\n'), /cutoff/);
+
+  const over = checkWellSafety({ ...WELL, wellYield: 2 }, PUMP);
+  assert.equal(byCheck(over).yield.passed, false);
+  assert.match(over.advice.join('\n'), /Limit the pump to 2 GPM/);
+  assert.match(over.advice.join('\n'), /low-water cutoff/);
+  // 2 GPM over 6 sun hours is 720 gallons, short of the 800 needed
+  assert.equal(byCheck(over).dailyYield.passed, false);
+});
+
+test('an unknown yield or an estimated drawdown is called out', () => {
+  const result = checkWellSafety({ ...WELL, drawdownEstimated: true }, PUMP);
+
+  assert.equal(result.wellYield, null);
+  assert.equal(byCheck(result).yield, undefined);
+  assert.match(result.advice.join('\n'), /Well yield not given/);
+  assert.match(result.advice.join('\n'), /Drawdown was estimated/);
+});
+
+test('the recommendation checks the well and runs the cable to the pump setting', () => {
+  const site = {
+    usageType: 'livestock', livestockType: 'beef', animalCount: 30,
+    ...WELL, elevationGain: 10, wellYield: 1
+  };
+  const rec = calculateRecommendation({ ...site, pumpSettingDepth: 120 });
+
+  assert.equal(rec.wellSafety.pumpSettingDepth, 120);
+  assert.equal(rec.wellSafety.passed, false);
+  assert.equal(rec.wiring.wellDepth, 120);
+  assert.match(rec.formattedSummary, /WELL SAFETY/);
+  assert.match(rec.formattedSummary, /WARNING: Pump output/);
+});
+
+test('the site schema takes the yield and setting depth', () => {
+  const { data, errors } = validateSiteDescription({
+    usageType: 'livestock',
+    livestock: { type: 'beef', count: 30 },
+    well: { depth: 200, staticWaterLevel: 80, yield: 4, pumpSettingDepth: 150 }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(data.wellYield, 4);
+  assert.equal(data.pumpSettingDepth, 150);
+});
@@ -0,0 +1,90 @@
+// Changing one answer after sizing and seeing what it does to the system
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWhatIf, validateEdit, diffRecommendations, editSession } = require('../whatIf');
+const { calculateRecommendation } = require('../sizing');
+
+// 30 beef cattle on a 250 ft well, the same site the alternatives tests compare pumps for
+const SITE = require('./fixtures/livestockSite.json');
+
+const sizedSession = () => {
+  const data = { ...SITE };
+  data.recommendation = calculateRecommendation(data);
+  return { data };
+};
+
+test('what-ifs are read from chat messages', () => {
+  assert.deepEqual(parseWhatIf('what if I had 80 cows instead', SITE), { field: 'animalCount', value: 80 });
+  assert.deepEqual(parseWhatIf('What if the pipe was 1.5 inch?', SITE), { field: 'pipeSize', value: 1.5 });
+  assert.deepEqual(parseWhatIf('what if I switched to 1-1/4 inch pipe', SITE), { field: 'pipeSize', value: 1.25 });
+  assert.deepEqual(parseWhatIf('what about 3/4" pipe', SITE), { field: 'pipeSize', value: 0.75 });
+  assert.deepEqual(parseWhatIf('how about 900 ft of pipe', SITE), { field: 'pipeLength', value: 900 });
+  assert.deepEqual(parseWhatIf('what if they were dairy cows', SITE), { field: 'livestockType', value: 'dairy' });
+  assert.deepEqual(parseWhatIf('what if the tank was 20 m3 instead', { ...SITE, unitSystem: 'metric' }).field, 'tankCapacity');
+  assert.deepEqual(parseWhatIf('what if the tank was 3000 gallons', SITE), { field: 'tankCapacity', value: 3000 });
+  assert.deepEqual(parseWhatIf('what if the tank was 50 ft higher', SITE), { field: 'elevationGain', value: 50 });
+
+  assert.equal(parseWhatIf('thanks, 80 cows is about right', SITE), null);
+  // People don't apply to a livestock site
+  assert.equal(parseWhatIf('what if we had 5 people', SITE), null);
+});
+
+test('a change must be to a known field with a value in range', () => {
+  assert.deepEqual(validateEdit(SITE, 'animalCount', 80), []);
+  assert.equal(validateEdit(SITE, 'colour', 'red')[0].field, 'field');
+  assert.match(validateEdit(SITE, 'animalCount', 2.5)[0].message, /whole number/);
+  assert.match(validateEdit(SITE, 'wellDepth', -10)[0].message, /out of range/);
+  assert.match(validateEdit(SITE, 'peopleCount', 4)[0].message, /livestock site/);
+
+  // The rest of the site has to still make sense
+  assert.deepEqual(validateEdit(SITE, 'wellDepth', 100), [{ field: 'staticWaterLevel', message: 'must be less than wellDepth' }]);
+  assert.deepEqual(validateEdit(SITE, 'staticWaterLevel', 260), [{ field: 'staticWaterLevel', message: 'must be less than wellDepth' }]);
+  assert.deepEqual(validateEdit(SITE, 'wellDepth', 300), []);
+});
+
+test('a change re-sizes the session and lists what moved', () => {
+  const session = sizedSession();
+  const before = session.data.recommendation;
+  const change = editSession(session, 'animalCount', 45);
+
+  assert.equal(change.previous, 30);
+  assert.equal(change.value, 45);
+  assert.equal(session.data.animalCount, 45);
+  assert.notEqual(session.data.recommendation, before);
+
+  const labels = change.changes.map(row => row.label);
+  assert.ok(labels.includes('Daily water needed'));
+  assert.ok(labels.includes('Pump'));
+  assert.match(change.summary, /Daily water needed: 660 gallons -> 990 gallons/);
+});
+
+test('a change retires the quote number of the old sizing', () => {
+  const session = { ...sizedSession(), quoteNumber: 'Q-20260101-ABCDEF' };
+
+  editSession(session, 'animalCount', 45);
+  assert.equal(session.quoteNumber, undefined);
+
+  const rejected = { ...sizedSession(), quoteNumber: 'Q-20260101-ABCDEF' };
+  editSession(rejected, 'animalCount', 0);
+  assert.equal(rejected.quoteNumber, 'Q-20260101-ABCDEF');
+});
+
+test('a bad change leaves the session alone', () => {
+  const session = sizedSession();
+  const before = session.data.recommendation;
+
+  assert.ok(editSession(session, 'animalCount', 0).errors);
+  assert.equal(session.data.animalCount, 30);
+  assert.equal(session.data.recommendation, before);
+});
+
+test('a change that no pump can meet shows in the diff', () => {
+  const before = calculateRecommendation(SITE);
+  const after = calculateRecommendation({ ...SITE, animalCount: 200 });
+  const pump = diffRecommendations(before, after).find(row => row.label === 'Pump');
+
+  assert.equal(pump.before, before.pumpDetails.model);
+  assert.match(pump.after, /^none - /);
+  assert.deepEqual(diffRecommendations(before, before), []);
+});
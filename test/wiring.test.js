@@ -0,0 +1,62 @@
+// Pump cable sizing for voltage drop
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateVoltageDrop, sizeWire } = require('../wiring');
+const { calculateRecommendation } = require('../sizing');
+const { validateSiteDescription } = require('../siteSchema');
+
+test('voltage drop covers both conductors of the run', () => {
+  // 100 ft of 10 AWG at 5 A: 2 x 100 ft x 5 A x 1.24 ohm / 1000 ft
+  assert.equal(calculateVoltageDrop(5, 100, 10), 1.24);
+});
+
+test('the smallest wire within the limit is chosen', () => {
+  const short = sizeWire({ current: 3.3, length: 50, voltage: 48 });
+  assert.equal(short.gauge, 14);
+  assert.equal(short.withinLimit, true);
+
+  const long = sizeWire({ current: 3.3, length: 220, voltage: 48 });
+  assert.equal(long.gauge, 8);
+  assert.ok(long.voltageDropPercent <= 3);
+
+  const strict = sizeWire({ current: 3.3, length: 220, voltage: 48, maxVoltageDrop: 1 });
+  assert.equal(strict.gauge, 4);
+});
+
+test('a run too long for any gauge is flagged', () => {
+  const wire = sizeWire({ current: 6.6, length: 2000, voltage: 48 });
+
+  assert.equal(wire.gauge, 2);
+  assert.equal(wire.withinLimit, false);
+  assert.ok(wire.voltageDropPercent > 3);
+});
+
+test('the recommendation sizes the cable for the well and the distance to the controller', () => {
+  const site = {
+    usageType: 'livestock', livestockType: 'beef', animalCount: 30,
+    wellDepth: 300, staticWaterLevel: 80, drawdownLevel: 8, elevationGain: 10, pipeLength: 200, pipeSize: 1
+  };
+
+  const assumed = calculateRecommendation(site);
+  assert.equal(assumed.wiring.length, 320);
+  assert.equal(assumed.wiring.mainsDistanceEstimated, true);
+  assert.match(assumed.formattedSummary, /20 feet to the controller, assumed/);
+
+  const far = calculateRecommendation({ ...site, mainsDistance: 400 });
+  assert.equal(far.wiring.length, 700);
+  assert.ok(far.wiring.gauge < assumed.wiring.gauge);
+  assert.equal(far.billOfMaterials.lineItems.find(line => line.item === 'wire').sku, `wire:${far.wiring.gauge}AWG`);
+});
+
+test('the structured API takes the distance and the voltage drop limit', () => {
+  const { data, errors } = validateSiteDescription({
+    usageType: 'other',
+    custom: { gallonsPerDay: 400, totalHead: 60 },
+    wiring: { mainsDistance: 150, maxVoltageDrop: 2 }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(data.mainsDistance, 150);
+  assert.equal(data.maxVoltageDrop, 2);
+});
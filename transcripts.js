@@ -0,0 +1,120 @@
+// transcripts.js - Recorded conversations for regression testing the state machine.
+//
+// A transcript is a JSONL file. An optional first line describes it:
+//   {"description": "Rancher corrects the pipe run at the summary"}
+// Every other line is one user turn with the stage and data expected after it:
+//   {"user": "400 ft of 1.25\" pvc", "stage": "storage_tank", "data": {"pipeLength": 400, "pipeSize": 1.25}}
+// Only the data keys listed are checked. A turn can carry an "extraction" object
+// ({"values": {...}, "confidence": "high"}) to stand in for the LLM's function call;
+// without one the regex extraction is used, so replay runs offline.
+const fs = require('fs');
+const path = require('path');
+
+const { createSession, processUserInput } = require('./conversation');
+
+// Numbers from unit conversions only need to agree to a hundredth
+const NUMBER_TOLERANCE = 0.01;
+
+function loadTranscript(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  const entries = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${index + 1}: ${error.message}`);
+    }
+  });
+
+  const header = entries.length > 0 && entries[0].user === undefined ? entries.shift() : {};
+
+  return {
+    name: path.basename(filePath),
+    path: filePath,
+    description: header.description || '',
+    turns: entries
+  };
+}
+
+// Every .jsonl file in a directory, in name order
+function findTranscripts(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.jsonl'))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+function valuesMatch(expected, actual) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(expected - actual) <= NUMBER_TOLERANCE;
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+// Feed a transcript through the state machine and collect every turn where the
+// stage or an expected data value came out differently
+function replayTranscript(transcript) {
+  const session = createSession();
+  const divergences = [];
+
+  transcript.turns.forEach((turn, index) => {
+    processUserInput(session, turn.user, turn.extraction || null);
+
+    if (turn.stage !== undefined && turn.stage !== session.currentStage) {
+      divergences.push({ turn: index + 1, user: turn.user, field: 'stage', expected: turn.stage, actual: session.currentStage });
+    }
+
+    for (const [key, expected] of Object.entries(turn.data || {})) {
+      const actual = session.data[key];
+      if (!valuesMatch(expected, actual)) {
+        divergences.push({ turn: index + 1, user: turn.user, field: `data.${key}`, expected, actual });
+      }
+    }
+  });
+
+  return { name: transcript.name, turns: transcript.turns.length, divergences, session };
+}
+
+// Fill in a transcript's expectations from the current behaviour: the stage after
+// each turn and the data keys that turn changed
+function recordTranscript(transcript) {
+  const session = createSession();
+
+  const turns = transcript.turns.map(turn => {
+    const before = JSON.parse(JSON.stringify(session.data));
+    processUserInput(session, turn.user, turn.extraction || null);
+
+    const data = {};
+    for (const [key, value] of Object.entries(session.data)) {
+      if (key !== 'sarcasticLevel' && !valuesMatch(before[key], value)) {
+        data[key] = value;
+      }
+    }
+
+    return {
+      user: turn.user,
+      ...(turn.extraction ? { extraction: turn.extraction } : {}),
+      stage: session.currentStage,
+      data
+    };
+  });
+
+  return { ...transcript, turns };
+}
+
+// Write a transcript back out as JSONL
+function saveTranscript(transcript, filePath = transcript.path) {
+  const lines = [];
+  if (transcript.description) {
+    lines.push(JSON.stringify({ description: transcript.description }));
+  }
+  transcript.turns.forEach(turn => lines.push(JSON.stringify(turn)));
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+module.exports = {
+  loadTranscript,
+  findTranscripts,
+  replayTranscript,
+  recordTranscript,
+  saveTranscript
+};
@@ -0,0 +1,295 @@
+// units.js - Unit-aware parsing and display. Everything is stored internally in
+// feet, gallons, inches and acres; metric answers are converted on the way in
+// and rendered back in the customer's units on the way out.
+
+const UNIT_SYSTEMS = {
+  IMPERIAL: 'imperial',
+  METRIC: 'metric'
+};
+
+const FEET_PER_METER = 3.28084;
+const LITERS_PER_GALLON = 3.78541;
+const MM_PER_INCH = 25.4;
+const ACRES_PER_HECTARE = 2.47105;
+
+// Metric PE/PVC pipe is sold by outside diameter; map to the closest nominal inch size
+const METRIC_PIPE_SIZES = { 20: 0.5, 25: 0.75, 32: 1, 40: 1.25, 50: 1.5, 63: 2, 75: 2.5, 90: 3 };
+
+// A number, or a fraction as pipe and casing are sold: "3/4", "1-1/4" or "5 1/2"
+const NUMBER = '(\\d+(?:\\s*-\\s*|\\s+)\\d+\\/[1-9]\\d*|\\d+\\/[1-9]\\d*|\\d[\\d,]*(?:\\.\\d+)?)';
+
+// Unit patterns, each with a factor to the internal unit
+const LENGTH_UNITS = [
+  { pattern: '(?:meters?|metres?|m)\\b', factor: FEET_PER_METER, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:feet|foot|ft\\b|\')', factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+const VOLUME_UNITS = [
+  { pattern: '(?:m3|m³|cubic met(?:er|re)s?)', factor: 1000 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:kl|kilolit(?:er|re)s?)\\b', factor: 1000 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:l|lit(?:er|re)s?)\\b', factor: 1 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:gal(?:lon)?s?)\\b', factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+const PER_DAY = '\\s*(?:per|a|\\/)\\s*(?:day|d)\\b';
+
+const FLOW_PER_DAY_UNITS = [
+  { pattern: `(?:m3|m³|cubic met(?:er|re)s?)${PER_DAY}`, factor: 1000 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: `(?:l|lit(?:er|re)s?)${PER_DAY}|lpd\\b`, factor: 1 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: `(?:gal(?:lon)?s?)${PER_DAY}|gpd\\b`, factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+const PER_MINUTE = '\\s*(?:per|a|\\/)\\s*min(?:ute)?\\b';
+const PER_HOUR = '\\s*(?:per|an?|\\/)\\s*(?:hour|hr|h)\\b';
+
+// Pumping rates, converted to gallons per minute
+const FLOW_UNITS = [
+  { pattern: `(?:m3|m³|cubic met(?:er|re)s?)${PER_HOUR}`, factor: 1000 / LITERS_PER_GALLON / 60, system: UNIT_SYSTEMS.METRIC },
+  { pattern: `(?:l|lit(?:er|re)s?)${PER_MINUTE}|lpm\\b`, factor: 1 / LITERS_PER_GALLON, system: UNIT_SYSTEMS.METRIC },
+  { pattern: `(?:gal(?:lon)?s?)${PER_HOUR}|gph\\b`, factor: 1 / 60, system: UNIT_SYSTEMS.IMPERIAL },
+  { pattern: `(?:gal(?:lon)?s?)${PER_MINUTE}|gpm\\b`, factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+const DIAMETER_UNITS = [
+  { pattern: '(?:mm|millimet(?:er|re)s?)\\b', factor: 1 / MM_PER_INCH, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:cm|centimet(?:er|re)s?)\\b', factor: 10 / MM_PER_INCH, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:inch(?:es)?|in\\b|")', factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+const AREA_UNITS = [
+  { pattern: '(?:ha|hectares?)\\b', factor: ACRES_PER_HECTARE, system: UNIT_SYSTEMS.METRIC },
+  { pattern: '(?:acres?|ac)\\b', factor: 1, system: UNIT_SYSTEMS.IMPERIAL }
+];
+
+// Read a number matched by NUMBER
+function parseNumber(text) {
+  const fraction = text.match(/^(?:(\d+)[\s-]+)?(\d+)\/(\d+)$/);
+  if (fraction) {
+    return (fraction[1] ? parseInt(fraction[1]) : 0) + parseInt(fraction[2]) / parseInt(fraction[3]);
+  }
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+// Find the first "<number> <unit>" in text for any of the given units
+function matchQuantity(text, units) {
+  let best = null;
+
+  for (const unit of units) {
+    const match = new RegExp(`${NUMBER}\\s*-?\\s*(?:${unit.pattern})`, 'i').exec(text || '');
+    if (match && (!best || match.index < best.index)) {
+      best = {
+        index: match.index,
+        number: parseNumber(match[1]),
+        factor: unit.factor,
+        system: unit.system
+      };
+    }
+  }
+
+  return best;
+}
+
+// A bare number with no unit, read in the session's unit system
+function matchBareNumber(text) {
+  const match = (text || '').match(/\d[\d,]*(?:\.\d+)?/);
+  return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+}
+
+// Parse a length into feet
+function parseLength(text, unitSystem, { requireUnit = false } = {}) {
+  const quantity = matchQuantity(text, LENGTH_UNITS);
+  if (quantity) {
+    return quantity.number * quantity.factor;
+  }
+
+  const bare = requireUnit ? null : matchBareNumber(text);
+  if (bare === null) {
+    return undefined;
+  }
+
+  return unitSystem === UNIT_SYSTEMS.METRIC ? bare * FEET_PER_METER : bare;
+}
+
+// Parse a volume into gallons
+function parseVolume(text, unitSystem, { requireUnit = false } = {}) {
+  const quantity = matchQuantity(text, VOLUME_UNITS);
+  if (quantity) {
+    return quantity.number * quantity.factor;
+  }
+
+  const bare = requireUnit ? null : matchBareNumber(text);
+  if (bare === null) {
+    return undefined;
+  }
+
+  return unitSystem === UNIT_SYSTEMS.METRIC ? bare / LITERS_PER_GALLON : bare;
+}
+
+// Parse a daily flow into gallons per day
+function parseDailyFlow(text, unitSystem, { requireUnit = false } = {}) {
+  const quantity = matchQuantity(text, FLOW_PER_DAY_UNITS);
+  if (quantity) {
+    return quantity.number * quantity.factor;
+  }
+
+  return requireUnit ? undefined : parseVolume(text, unitSystem);
+}
+
+// Parse a pumping rate into gallons per minute; a bare number is GPM or L/min
+function parseFlow(text, unitSystem) {
+  const quantity = matchQuantity(text, FLOW_UNITS);
+  if (quantity) {
+    return quantity.number * quantity.factor;
+  }
+
+  const bare = matchBareNumber(text);
+  if (bare === null) {
+    return undefined;
+  }
+
+  return unitSystem === UNIT_SYSTEMS.METRIC ? bare / LITERS_PER_GALLON : bare;
+}
+
+// Parse a diameter into inches; metric pipe sizes snap to the matching nominal size
+function parseDiameter(text, unitSystem, { pipe = false } = {}) {
+  const quantity = matchQuantity(text, DIAMETER_UNITS);
+  let millimeters = null;
+
+  if (quantity && quantity.system === UNIT_SYSTEMS.METRIC) {
+    millimeters = quantity.number * quantity.factor * MM_PER_INCH;
+  } else if (quantity) {
+    return quantity.number;
+  } else {
+    const bare = matchBareNumber(text);
+    if (bare === null) {
+      return undefined;
+    }
+    if (unitSystem !== UNIT_SYSTEMS.METRIC) {
+      return bare;
+    }
+    millimeters = bare;
+  }
+
+  if (pipe && METRIC_PIPE_SIZES[Math.round(millimeters)]) {
+    return METRIC_PIPE_SIZES[Math.round(millimeters)];
+  }
+
+  return millimeters / MM_PER_INCH;
+}
+
+// Parse an area into acres
+function parseArea(text, unitSystem) {
+  const quantity = matchQuantity(text, AREA_UNITS);
+  if (quantity) {
+    return quantity.number * quantity.factor;
+  }
+
+  const bare = matchBareNumber(text);
+  if (bare === null) {
+    return undefined;
+  }
+
+  return unitSystem === UNIT_SYSTEMS.METRIC ? bare * ACRES_PER_HECTARE : bare;
+}
+
+// Work out which unit system a message is written in, if it says
+function detectUnitSystem(text) {
+  const lowerText = (text || '').toLowerCase();
+
+  if (/\bmetric\b/.test(lowerText)) {
+    return UNIT_SYSTEMS.METRIC;
+  }
+  if (/\b(?:imperial|us units|feet and gallons)\b/.test(lowerText)) {
+    return UNIT_SYSTEMS.IMPERIAL;
+  }
+
+  const quantities = [LENGTH_UNITS, VOLUME_UNITS, FLOW_PER_DAY_UNITS, FLOW_UNITS, DIAMETER_UNITS, AREA_UNITS]
+    .map(units => matchQuantity(text, units))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index);
+
+  return quantities.length > 0 ? quantities[0].system : null;
+}
+
+// Round to a sensible number of places for display
+function round(value, places) {
+  return parseFloat(value.toFixed(places)).toLocaleString('en-US');
+}
+
+// Display helpers: take internal units and render in the session's units
+function formatLength(feet, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ?
+    `${round(feet / FEET_PER_METER, 1)} m` :
+    `${round(feet, 1)} feet`;
+}
+
+function formatVolume(gallons, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ?
+    `${round(gallons * LITERS_PER_GALLON, 0)} liters` :
+    `${round(gallons, 0)} gallons`;
+}
+
+function formatFlow(gpm, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ?
+    `${round(gpm * LITERS_PER_GALLON, 2)} L/min` :
+    `${round(gpm, 2)} GPM`;
+}
+
+function formatDiameter(inches, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ?
+    `${round(inches * MM_PER_INCH, 0)} mm` :
+    `${round(inches, 3)}"`;
+}
+
+// Nominal pipe sizes show as the metric size they were given in, e.g. 1-1/4" as 40 mm
+function formatPipeSize(inches, unitSystem) {
+  const metricSize = Object.keys(METRIC_PIPE_SIZES).find(mm => METRIC_PIPE_SIZES[mm] === inches);
+  return unitSystem === UNIT_SYSTEMS.METRIC && metricSize ?
+    `${metricSize} mm` :
+    formatDiameter(inches, unitSystem);
+}
+
+function formatArea(acres, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ?
+    `${round(acres / ACRES_PER_HECTARE, 2)} hectares` :
+    `${round(acres, 2)} acres`;
+}
+
+// Convert a volume in gallons to the session's volume unit as a plain number
+function toDisplayVolume(gallons, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ? gallons * LITERS_PER_GALLON : gallons;
+}
+
+// Convert a length in feet to meters or feet as a plain number
+function toDisplayLength(feet, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ? feet / FEET_PER_METER : feet;
+}
+
+// Convert a flow in GPM to L/min or GPM as a plain number
+function toDisplayFlow(gpm, unitSystem) {
+  return unitSystem === UNIT_SYSTEMS.METRIC ? gpm * LITERS_PER_GALLON : gpm;
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  FEET_PER_METER,
+  LITERS_PER_GALLON,
+  MM_PER_INCH,
+  ACRES_PER_HECTARE,
+  parseLength,
+  parseVolume,
+  parseDailyFlow,
+  parseFlow,
+  parseDiameter,
+  parseArea,
+  detectUnitSystem,
+  formatLength,
+  formatVolume,
+  formatFlow,
+  formatDiameter,
+  formatPipeSize,
+  formatArea,
+  toDisplayVolume,
+  toDisplayLength,
+  toDisplayFlow
+};
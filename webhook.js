@@ -0,0 +1,131 @@
+// webhook.js - Signed outbound webhooks with retry and a dead-letter log.
+//
+// Each delivery POSTs {id, event, createdAt, data} as JSON with two headers:
+//   X-Webhook-Timestamp: milliseconds since the epoch
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the shared secret>
+// The receiver should recompute the signature and reject stale timestamps.
+// Network errors, timeouts, 429 and 5xx responses are retried with exponential
+// backoff. The delivery goes in the dead-letter log before the first retry, with status
+// "retrying", so one cut off mid-backoff isn't lost; a second entry with the same id
+// says how it ended, "delivered" or "failed". An id whose last entry is "retrying"
+// never finished and should be sent again.
+// A chat reply waits on its delivery, so send() gives up after maxDeliveryTime, attempts
+// and backoff included, and leaves the rest to the dead-letter log.
+const crypto = require('crypto');
+const axios = require('axios');
+const { createFileLog } = require('./logStore');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY = 1000; // milliseconds before the first retry, doubling each time
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_DELIVERY_TIME = 3000; // milliseconds for every attempt of one event
+const DEFAULT_DEAD_LETTER_PATH = 'webhook-dead-letter.jsonl';
+
+// Sign a request body the way receivers are told to check it
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Whether a failed attempt is worth trying again
+function isRetryable(error) {
+  if (!error.response) {
+    return true; // network error or timeout
+  }
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+// How an attempt failed, for the dead-letter log
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+function createWebhookSender({
+  url,
+  secret,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelay = DEFAULT_BASE_DELAY,
+  timeout = DEFAULT_TIMEOUT,
+  maxDeliveryTime = DEFAULT_MAX_DELIVERY_TIME,
+  deadLetterPath = DEFAULT_DEAD_LETTER_PATH,
+  deadLetters = createFileLog({ path: deadLetterPath })
+} = {}) {
+  if (url && !secret) {
+    throw new Error('A webhook secret is required to sign deliveries');
+  }
+
+  async function writeDeadLetter(entry) {
+    try {
+      await deadLetters.append(entry);
+    } catch (error) {
+      console.error('Could not write webhook dead letter:', error.message);
+    }
+  }
+
+  // Deliver one event. Resolves to { delivered, attempts } and never throws.
+  async function send(event, data) {
+    if (!url) {
+      return { delivered: false, attempts: 0, skipped: true };
+    }
+
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    const deadline = Date.now() + maxDeliveryTime;
+    let lastError = null;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      attempts = attempt;
+
+      // Sign each attempt so the timestamp stays fresh across retries
+      const timestamp = Date.now().toString();
+
+      try {
+        await axios.post(url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(secret, timestamp, body)
+          },
+          timeout: Math.max(Math.min(timeout, deadline - Date.now()), 1)
+        });
+        if (attempt > 1) {
+          await writeDeadLetter({ id, status: 'delivered', at: new Date().toISOString(), attempts: attempt });
+        }
+        return { delivered: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        const status = error.response ? error.response.status : null;
+        console.error(`Webhook ${event} attempt ${attempt}/${maxAttempts} failed:`, status || error.message);
+
+        const delay = baseDelay * Math.pow(2, attempt - 1);
+        if (!isRetryable(error) || attempt === maxAttempts || Date.now() + delay >= deadline) {
+          break;
+        }
+        if (attempt === 1) {
+          await writeDeadLetter({ id, status: 'retrying', at: new Date().toISOString(), url, event, attempts: 1, error: describeError(error), body });
+        }
+        await sleep(delay);
+      }
+    }
+
+    await writeDeadLetter({ id, status: 'failed', at: new Date().toISOString(), url, event, attempts, error: describeError(lastError), body });
+    return { delivered: false, attempts };
+  }
+
+  return { enabled: !!url, send };
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_MAX_DELIVERY_TIME,
+  DEFAULT_DEAD_LETTER_PATH,
+  signPayload,
+  createWebhookSender
+};
@@ -0,0 +1,121 @@
+// wellSafety.js - Check the well can feed the pump: where it hangs and how hard it draws
+const { formatLength, formatFlow, formatVolume } = require('./units');
+
+// Keep the intake clear of silt at the bottom of the well
+const MIN_BOTTOM_CLEARANCE = 10; // feet
+
+// Water over the intake at the pumping level, so the pump never sucks air
+const MIN_SUBMERGENCE = 10; // feet
+
+// When the customer doesn't know the setting depth we suggest one this far below the pumping level
+const SUGGESTED_SUBMERGENCE = 20; // feet
+
+// Setting depth to suggest: comfortably under the pumping level, but never into the bottom clearance
+function suggestSettingDepth(data, pumpingLevel) {
+  const depth = pumpingLevel + SUGGESTED_SUBMERGENCE;
+  return data.wellDepth ? Math.min(depth, data.wellDepth - MIN_BOTTOM_CLEARANCE) : depth;
+}
+
+// Check pump setting, pumping level and output against the well. Lengths are feet and flows
+// GPM; messages are in the customer's units. Checks are only made when we have the numbers.
+function checkWellSafety(data, { flowRate, dailyGallons, peakSunHours, units }) {
+  const waterLevelKnown = typeof data.staticWaterLevel === 'number';
+  const pumpingLevel = (data.staticWaterLevel || 0) + (data.drawdownLevel || 0);
+  const settingDepthSuggested = typeof data.pumpSettingDepth !== 'number';
+  // Without a water level there's nothing to suggest a setting from
+  const pumpSettingDepth = !settingDepthSuggested ? data.pumpSettingDepth :
+    waterLevelKnown ? suggestSettingDepth(data, pumpingLevel) : null;
+  const wellYield = typeof data.wellYield === 'number' ? data.wellYield : null;
+
+  const checks = [];
+  const advice = [];
+
+  // Pump above the well bottom
+  if (data.wellDepth && pumpSettingDepth !== null) {
+    const clearance = data.wellDepth - pumpSettingDepth;
+    const passed = clearance >= MIN_BOTTOM_CLEARANCE;
+    checks.push({
+      check: 'bottomClearance',
+      passed,
+      message: clearance < 0 ?
+        `Pump setting of ${formatLength(pumpSettingDepth, units)} is deeper than the ${formatLength(data.wellDepth, units)} well` :
+        `Pump sits ${formatLength(clearance, units)} above the well bottom (${formatLength(MIN_BOTTOM_CLEARANCE, units)} minimum)`
+    });
+    if (!passed) {
+      advice.push(`Set the pump no deeper than ${formatLength(data.wellDepth - MIN_BOTTOM_CLEARANCE, units)} to keep it out of the silt.`);
+    }
+  }
+
+  // Pumping water level above the intake
+  if (waterLevelKnown && pumpSettingDepth !== null) {
+    const submergence = pumpSettingDepth - pumpingLevel;
+    const passed = submergence >= MIN_SUBMERGENCE;
+    checks.push({
+      check: 'submergence',
+      passed,
+      message: submergence < 0 ?
+        `Pumping level of ${formatLength(pumpingLevel, units)} is ${formatLength(-submergence, units)} below the intake - the pump will run dry` :
+        `${formatLength(submergence, units)} of water over the intake at the pumping level (${formatLength(MIN_SUBMERGENCE, units)} minimum)`
+    });
+    if (!passed) {
+      const lowest = data.wellDepth ? data.wellDepth - MIN_BOTTOM_CLEARANCE : Infinity;
+      if (pumpingLevel + MIN_SUBMERGENCE <= lowest) {
+        advice.push(`Lower the pump to at least ${formatLength(pumpingLevel + MIN_SUBMERGENCE, units)}.`);
+      }
+    }
+  }
+
+  // Pump output within what the well recovers
+  if (wellYield !== null) {
+    const passed = flowRate <= wellYield;
+    checks.push({
+      check: 'yield',
+      passed,
+      message: passed ?
+        `Pump output of ${formatFlow(flowRate, units)} is within the well yield of ${formatFlow(wellYield, units)}` :
+        `Pump output of ${formatFlow(flowRate, units)} is more than the well yields (${formatFlow(wellYield, units)}) - it will pump the well down`
+    });
+    if (!passed) {
+      advice.push(`Limit the pump to ${formatFlow(wellYield, units)} with the controller's speed setting or a flow restrictor.`);
+    }
+
+    // Even at the well's own rate, can a day of sun bring up enough water?
+    const dailyYield = wellYield * peakSunHours * 60;
+    if (dailyYield < dailyGallons) {
+      checks.push({
+        check: 'dailyYield',
+        passed: false,
+        message: `At ${formatFlow(wellYield, units)} the well gives ${formatVolume(dailyYield, units)} over ${peakSunHours} sun hours, short of the ${formatVolume(dailyGallons, units)} needed`
+      });
+      advice.push('The well can\'t meet the daily demand on its own - ask us about a second well.');
+    }
+  } else {
+    advice.push('Well yield not given - your driller\'s log or a pump test will tell you what the well can keep up with.');
+  }
+
+  // A cutoff protects the pump whenever the water could drop to the intake
+  if (checks.some(check => !check.passed && check.check !== 'bottomClearance') || wellYield === null) {
+    advice.push('Fit a low-water cutoff (well probe) so the controller stops the pump before the intake runs dry.');
+  }
+
+  if (data.drawdownEstimated) {
+    advice.push('Drawdown was estimated at 10% of the static level; a pump test will confirm the pumping level.');
+  }
+
+  return {
+    pumpSettingDepth: pumpSettingDepth !== null ? parseFloat(pumpSettingDepth.toFixed(1)) : null,
+    settingDepthSuggested,
+    pumpingLevel: waterLevelKnown ? parseFloat(pumpingLevel.toFixed(1)) : null,
+    wellYield,
+    checks,
+    passed: checks.every(check => check.passed),
+    advice
+  };
+}
+
+module.exports = {
+  MIN_BOTTOM_CLEARANCE,
+  MIN_SUBMERGENCE,
+  SUGGESTED_SUBMERGENCE,
+  checkWellSafety
+};
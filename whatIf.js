@@ -0,0 +1,243 @@
+// whatIf.js - Change one answer once the system is sized ("what if I had 80 cows instead"),
+// re-size straight away and show what changed. Values are stored in feet, gallons, inches
+// and acres like every other answer.
+const { STAGES, USAGE_TYPES } = require('./stages');
+const { STAGE_FIELDS, validateStageValues } = require('./extraction');
+const { calculateRecommendation } = require('./sizing');
+const { parsePipeMaterial } = require('./pipeData');
+const { resolveLocation } = require('./solarData');
+const { formatPrice } = require('./pricing');
+const { checkSiteRules } = require('./siteSchema');
+const {
+  UNIT_SYSTEMS,
+  parseLength,
+  parseVolume,
+  parseDailyFlow,
+  parseFlow,
+  parseDiameter,
+  parseArea,
+  formatLength,
+  formatVolume,
+  formatFlow
+} = require('./units');
+
+// Stages whose answers can be changed one at a time; the other wells and tanks are lists
+// and the usage type changes which questions apply, so those go back through the summary
+const EDITABLE_STAGES = Object.keys(STAGE_FIELDS).filter(stage => ![
+  STAGES.USAGE_TYPE,
+  STAGES.ADDITIONAL_WELLS,
+  STAGES.ADDITIONAL_DESTINATIONS,
+  STAGES.CONTACT_INFO
+].includes(stage));
+
+// Field key -> the stage that asks for it
+const EDITABLE_FIELDS = Object.fromEntries(EDITABLE_STAGES.flatMap(stage =>
+  STAGE_FIELDS[stage].map(field => [field.key, stage])
+));
+
+// Fields that only mean something for one kind of site
+const USAGE_FIELDS = {
+  animalCount: USAGE_TYPES.LIVESTOCK,
+  livestockType: USAGE_TYPES.LIVESTOCK,
+  peopleCount: USAGE_TYPES.HOUSEHOLD,
+  bathroomCount: USAGE_TYPES.HOUSEHOLD,
+  fixturesInfo: USAGE_TYPES.HOUSEHOLD,
+  irrigationArea: USAGE_TYPES.IRRIGATION,
+  irrigationMethod: USAGE_TYPES.IRRIGATION,
+  cropType: USAGE_TYPES.IRRIGATION,
+  cropCategory: USAGE_TYPES.IRRIGATION
+};
+
+// Words that make a message at the recommendation a what-if rather than small talk
+const WHAT_IF_PATTERN = /\bwhat if\b|\bwhat about\b|\bhow about\b|\binstead\b|\bchange\b|\bswitch\b|\bmake it\b/;
+
+const LIVESTOCK_TYPES = ['beef', 'dairy', 'horses', 'goats', 'sheep'];
+
+function firstNumber(text) {
+  const match = text.match(/\d[\d,]*(?:\.\d+)?/);
+  return match ? parseFloat(match[0].replace(/,/g, '')) : undefined;
+}
+
+// Which field a what-if is about and how to read its value, tried in order. More specific
+// words come first: "1.5 inch pipe" is a pipe size, not a length.
+const WHAT_IF_FIELDS = [
+  // "the tank was 50 ft higher" is the elevation, so a bare number is a volume only with no length
+  { key: 'tankCapacity', pattern: /\btank\b/, parse: (text, units) => {
+    const volume = parseVolume(text, units, { requireUnit: true });
+    return volume === undefined && parseLength(text, units, { requireUnit: true }) === undefined ? parseVolume(text, units) : volume;
+  } },
+  { key: 'pipeSize', pattern: /\bpipe\b/, parse: (text, units) => /\d\s*(?:inch|in\b|"|mm)/.test(text) ? parseDiameter(text, units, { pipe: true }) : undefined },
+  { key: 'pipeLength', pattern: /\bpipe\b|\brun\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'pipeMaterial', pattern: /\bpipe\b|\bpvc\b|\bhdpe\b|\bpoly\b|\bgalv/, parse: text => parsePipeMaterial(text) || undefined },
+  { key: 'wellCasingSize', pattern: /\bcasing\b/, parse: (text, units) => parseDiameter(text, units) },
+  { key: 'wellYield', pattern: /\byield|\brecovery\b|\brecharge\b/, parse: (text, units) => parseFlow(text, units) },
+  { key: 'pumpSettingDepth', pattern: /\bsetting\b|\bset (?:it |the pump )?at\b|\bhangs?\b|\bhung\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'staticWaterLevel', pattern: /\bstatic\b|\bwater level\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'drawdownLevel', pattern: /\bdrawdown\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'wellDepth', pattern: /\bwell\b|\bdeep\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'elevationGain', pattern: /\buphill\b|\bdownhill\b|\brise\b|\belevation\b|\bhigher\b|\blower\b/, parse: (text, units) => {
+    const length = parseLength(text, units);
+    return length !== undefined && /\bdownhill\b|\blower\b|\bbelow\b/.test(text) ? -length : length;
+  } },
+  { key: 'mainsDistance', pattern: /\bcontroller\b|\barray\b|\bpanels?\b/, parse: (text, units) => parseLength(text, units) },
+  { key: 'customGPD', pattern: /\bgpd\b|\bper day\b|\ba day\b/, parse: (text, units) => parseDailyFlow(text, units, { requireUnit: true }) },
+  { key: 'animalCount', pattern: /\b(?:cows?|cattle|head|animals?|horses?|goats?|sheep|steers?|heifers?|calves|livestock)\b/, parse: firstNumber },
+  { key: 'peopleCount', pattern: /\b(?:people|persons?|folks)\b/, parse: firstNumber },
+  { key: 'bathroomCount', pattern: /\bbath(?:room)?s?\b/, parse: firstNumber },
+  { key: 'irrigationArea', pattern: /\b(?:acres?|ac|hectares?|ha)\b/, parse: (text, units) => parseArea(text, units) },
+  { key: 'irrigationMethod', pattern: /\b(?:drip|sprinkler|flood)\b/, parse: text => text.match(/\b(drip|sprinkler|flood)\b/)[1] },
+  { key: 'livestockType', pattern: /\b(?:beef|dairy|horses?|goats?|sheep)\b/, parse: text => {
+    const word = text.match(/\b(beef|dairy|horse|goat|sheep)/)[1];
+    return LIVESTOCK_TYPES.find(type => type.startsWith(word));
+  } },
+  // "what if we were in Phoenix, AZ" - only if the place is in the solar table
+  { key: 'location', pattern: /\b(?:in|to|at|near)\s+[a-z]/, parse: (text, units, message) => {
+    const place = message.match(/\b(?:in|to|at|near)\s+([A-Za-z][A-Za-z .,'-]*?)\s*(?:instead)?[?.!]*$/i);
+    return place && resolveLocation(place[1]) ? place[1].trim() : undefined;
+  } }
+];
+
+// Read a what-if out of a chat message: { field, value } or null if it isn't one
+function parseWhatIf(message, data) {
+  const lowerMessage = (message || '').toLowerCase();
+  if (!WHAT_IF_PATTERN.test(lowerMessage)) {
+    return null;
+  }
+
+  for (const candidate of WHAT_IF_FIELDS) {
+    if (!candidate.pattern.test(lowerMessage)) {
+      continue;
+    }
+    if (USAGE_FIELDS[candidate.key] && USAGE_FIELDS[candidate.key] !== data.usageType) {
+      continue;
+    }
+
+    const value = candidate.parse(lowerMessage, data.unitSystem, message);
+    if (value !== undefined && value !== null && !Number.isNaN(value)) {
+      return { field: candidate.key, value: typeof value === 'number' ? parseFloat(value.toFixed(2)) : value };
+    }
+  }
+
+  return null;
+}
+
+// Check a change against the field's own rules and the site's. Returns a list of { field, message }.
+function validateEdit(data, field, value) {
+  const stage = EDITABLE_FIELDS[field];
+  if (!stage) {
+    return [{ field: 'field', message: `must be one of ${Object.keys(EDITABLE_FIELDS).join(', ')}` }];
+  }
+  if (USAGE_FIELDS[field] && USAGE_FIELDS[field] !== data.usageType) {
+    return [{ field, message: `doesn't apply to a ${data.usageType} site` }];
+  }
+  if (field === 'customGPD' && data.usageType !== USAGE_TYPES.OTHER && !data.customGPD) {
+    return [{ field, message: 'only applies when the daily water was given directly' }];
+  }
+
+  // Only this field's problems count; the stage's other answers aren't being changed
+  const { problems } = validateStageValues(stage, { [field]: value }, 'high');
+  const problem = problems.find(candidate => candidate.key === field);
+  if (problem || value === undefined || value === null || value === '') {
+    return [{ field, message: problem ? problem.reason : 'is required' }];
+  }
+
+  // And against the rest of the site, with the rules a site description has to meet;
+  // only what this change breaks counts
+  const broken = new Set(checkSiteRules(data).map(error => `${error.field} ${error.message}`));
+  return checkSiteRules({ ...data, [field]: value }).filter(error => !broken.has(`${error.field} ${error.message}`));
+}
+
+// Set the field, along with anything that follows from it
+function applyEdit(data, field, value) {
+  data[field] = value;
+
+  if (field === 'location') {
+    const region = resolveLocation(value);
+    data.solarRegion = region ? region.code : null;
+  } else if (field === 'drawdownLevel') {
+    data.drawdownEstimated = false;
+  } else if (field === 'mainsDistance') {
+    data.mainsDistanceEstimated = false;
+  } else if (field === 'tankCapacity') {
+    data.hasStorageTank = true;
+  }
+}
+
+// The figures a customer compares between two sizings, as display strings by label
+function recommendationFigures(recommendation) {
+  if (!recommendation) {
+    return [];
+  }
+  if (recommendation.multiWell) {
+    return recommendation.wells.flatMap(well =>
+      recommendationFigures(well.recommendation).map(figure => ({ ...figure, label: `${well.name} ${figure.label.toLowerCase()}` }))
+    );
+  }
+  if (!recommendation.isValid) {
+    return [{ label: 'Pump', value: `none - ${recommendation.message}` }];
+  }
+
+  const units = recommendation.units || UNIT_SYSTEMS.IMPERIAL;
+  const { pumpDetails, operatingPoint, waterRequirements, system, solarConfig, storage, wiring, wellSafety, billOfMaterials } = recommendation;
+  return [
+    { label: 'Pump', value: pumpDetails.model },
+    { label: 'Daily water needed', value: formatVolume(waterRequirements.dailyGallons, units) },
+    { label: 'Required flow rate', value: formatFlow(parseFloat(waterRequirements.requiredGPM), units) },
+    { label: 'Total dynamic head', value: formatLength(parseFloat(system.tdh), units) },
+    { label: 'Operating point', value: `${formatFlow(parseFloat(operatingPoint.flowRate), units)} at ${formatLength(parseFloat(operatingPoint.head), units)}` },
+    { label: 'Solar array', value: `${solarConfig.panels} x ${solarConfig.panelWatts}W panels` },
+    { label: 'Storage', value: formatVolume(storage.recommendedSize, units) },
+    { label: 'Pump cable', value: wiring ? `${wiring.gauge} AWG` : 'not calculated' },
+    { label: 'Well safety', value: wellSafety.passed ? 'all checks passed' : 'warnings' },
+    { label: 'Total', value: formatPrice(billOfMaterials.total, billOfMaterials.currency) }
+  ];
+}
+
+// What's different between two sizings: [{ label, before, after }], in the newer one's order
+function diffRecommendations(before, after) {
+  const beforeValues = Object.fromEntries(recommendationFigures(before).map(figure => [figure.label, figure.value]));
+  const afterFigures = recommendationFigures(after);
+  const afterLabels = new Set(afterFigures.map(figure => figure.label));
+
+  return [
+    ...afterFigures.map(figure => ({ label: figure.label, before: beforeValues[figure.label] || null, after: figure.value })),
+    ...Object.keys(beforeValues).filter(label => !afterLabels.has(label)).map(label => ({ label, before: beforeValues[label], after: null }))
+  ].filter(change => change.before !== change.after);
+}
+
+// The changes as text for the chat and the API
+function formatChanges(changes) {
+  return changes.length > 0 ?
+    changes.map(change => `${change.label}: ${change.before || 'none'} -> ${change.after || 'none'}`).join('\n') :
+    'No change to the recommended system.';
+}
+
+// Change one answer on a sized session and re-size it with the given options. Returns
+// { field, previous, value, changes, summary }, or { errors } with nothing changed.
+function editSession(session, field, value, options = {}) {
+  const data = session.data;
+  const errors = validateEdit(data, field, value);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const previous = data[field] === undefined ? null : data[field];
+  const before = data.recommendation;
+
+  applyEdit(data, field, value);
+  data.recommendation = calculateRecommendation(data, options);
+  // A quote number names one sizing; the next quote printed gets a new one
+  delete session.quoteNumber;
+
+  const changes = diffRecommendations(before, data.recommendation);
+  return { field, previous, value, changes, summary: formatChanges(changes) };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  parseWhatIf,
+  validateEdit,
+  diffRecommendations,
+  formatChanges,
+  editSession
+};
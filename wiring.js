@@ -0,0 +1,60 @@
+// wiring.js - Pump cable sizing: the smallest wire that keeps voltage drop under a limit
+
+// DC resistance of stranded copper in ohms per 1,000 feet at 75°C (NEC Chapter 9, Table 8),
+// smallest wire first
+const AWG_RESISTANCE = {
+  14: 3.14,
+  12: 1.98,
+  10: 1.24,
+  8: 0.778,
+  6: 0.491,
+  4: 0.308,
+  2: 0.194
+};
+
+// Largest voltage drop allowed on the run, as a percentage of the pump voltage
+const DEFAULT_MAX_VOLTAGE_DROP = parseFloat(process.env.MAX_VOLTAGE_DROP_PERCENT) || 3;
+
+// Distance from the array and controller to the wellhead when the customer doesn't know
+const DEFAULT_MAINS_DISTANCE = 20; // feet
+
+// Voltage lost over a two-conductor run of the given one-way length in feet
+function calculateVoltageDrop(current, length, gauge) {
+  return 2 * length * current * AWG_RESISTANCE[gauge] / 1000;
+}
+
+// Pick the smallest gauge whose drop stays within the limit. If none does, the largest
+// gauge comes back with withinLimit false, so the caller can flag the run.
+function sizeWire({ current, length, voltage, maxVoltageDrop = DEFAULT_MAX_VOLTAGE_DROP }) {
+  const gauges = Object.keys(AWG_RESISTANCE).map(Number).sort((a, b) => b - a);
+
+  let gauge = gauges[gauges.length - 1];
+  for (const candidate of gauges) {
+    if (calculateVoltageDrop(current, length, candidate) / voltage * 100 <= maxVoltageDrop) {
+      gauge = candidate;
+      break;
+    }
+  }
+
+  const voltageDrop = calculateVoltageDrop(current, length, gauge);
+  const voltageDropPercent = voltageDrop / voltage * 100;
+
+  return {
+    gauge,
+    length,
+    current: parseFloat(current.toFixed(2)),
+    voltage,
+    voltageDrop: parseFloat(voltageDrop.toFixed(2)),
+    voltageDropPercent: parseFloat(voltageDropPercent.toFixed(2)),
+    maxVoltageDrop,
+    withinLimit: voltageDropPercent <= maxVoltageDrop
+  };
+}
+
+module.exports = {
+  AWG_RESISTANCE,
+  DEFAULT_MAX_VOLTAGE_DROP,
+  DEFAULT_MAINS_DISTANCE,
+  calculateVoltageDrop,
+  sizeWire
+};